@@ -0,0 +1,64 @@
+// config/secrets.js
+
+// Secrets kept apart from JWT_SECRET: whoever holds the auth secret must not be able to
+// forge check-in codes or link anonymous feedback and ballots back to members
+const DEDICATED_SECRETS = ['CHECKIN_TOKEN_SECRET', 'FEEDBACK_HASH_SECRET', 'POLL_HASH_SECRET'];
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+// The sandbox payment provider signs its own webhooks, so its secret is needed once it is enabled
+const getRequiredSecrets = () => {
+  return process.env.PAYMENT_SANDBOX_ENABLED === 'true'
+    ? [...DEDICATED_SECRETS, 'PAYMENT_SANDBOX_SECRET']
+    : DEDICATED_SECRETS;
+};
+
+/**
+ * Get a dedicated secret (falls back to JWT_SECRET only outside production)
+ * @param {string} name - Environment variable name
+ * @returns {string} Secret
+ * @throws {Error} In production when the secret is missing or reuses JWT_SECRET
+ */
+const getSecret = (name) => {
+  if (isProduction()) {
+    if (!process.env[name]) {
+      throw new Error(`${name} is not set`);
+    }
+    if (process.env[name] === process.env.JWT_SECRET) {
+      throw new Error(`${name} must not be the same as JWT_SECRET`);
+    }
+  }
+
+  if (process.env[name]) return process.env[name];
+
+  return process.env.JWT_SECRET;
+};
+
+/**
+ * Check the dedicated secrets at startup: all set and distinct from JWT_SECRET in production
+ * @throws {Error} In production when a secret is missing or reuses JWT_SECRET
+ */
+const validateSecrets = () => {
+  const required = getRequiredSecrets();
+  const missing = required.filter(name => !process.env[name]);
+  const reused = required.filter(name => process.env[name] && process.env[name] === process.env.JWT_SECRET);
+
+  if (isProduction() && (missing.length > 0 || reused.length > 0)) {
+    const problems = [
+      missing.length > 0 ? `missing ${missing.join(', ')}` : null,
+      reused.length > 0 ? `same as JWT_SECRET: ${reused.join(', ')}` : null
+    ].filter(Boolean);
+
+    throw new Error(`Dedicated secrets are required in production (${problems.join('; ')})`);
+  }
+
+  if (missing.length > 0) {
+    console.warn(`⚠️ ${missing.join(', ')} not set; using JWT_SECRET instead (refused in production)`);
+  }
+};
+
+module.exports = {
+  DEDICATED_SECRETS,
+  getSecret,
+  validateSecrets
+};
@@ -0,0 +1,206 @@
+// controllers/calendarController.js
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Club = require('../models/Club');
+const District = require('../models/District');
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const EventRegistration = require('../models/EventRegistration');
+const { buildCalendar, sendCalendar } = require('../utils/icalUtils');
+
+// Feeds include recent past events so calendars keep a little history
+const FEED_HISTORY_DAYS = 60;
+const FEED_MAX_EVENTS = 500;
+
+const getFeedBaseUrl = (req) => {
+  const baseUrl = process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl}/api/calendar`;
+};
+
+const buildFeedUrls = (req, user) => {
+  const base = `${getFeedBaseUrl(req)}/${user.calendarToken}`;
+
+  return {
+    myEvents: `${base}/my-events.ics`,
+    club: user.club ? `${base}/clubs/${user.club}.ics` : null,
+    district: user.district ? `${base}/districts/${user.district}.ics` : null
+  };
+};
+
+const findUserByCalendarToken = (token) => {
+  return User.findOne({ calendarToken: token, isActive: true }).select('+calendarToken fullName club district');
+};
+
+// Public events for a club or district feed, with their series so recurrences become RRULEs
+const buildPublicFeed = async (filter, name) => {
+  const events = await Event.find({
+    ...filter,
+    isPublic: true,
+    date: { $gte: new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000) }
+  })
+    .sort({ date: 1 })
+    .limit(FEED_MAX_EVENTS);
+
+  const seriesIds = [...new Set(events.filter(event => event.series).map(event => event.series.toString()))];
+  const series = seriesIds.length > 0 ? await EventSeries.find({ _id: { $in: seriesIds } }) : [];
+
+  return buildCalendar({
+    name,
+    events,
+    seriesById: new Map(series.map(item => [item._id.toString(), item]))
+  });
+};
+
+// @desc    Get my calendar feed URLs (creates the feed token on first use)
+// @route   GET /api/calendar/feeds
+// @access  Private
+exports.getCalendarFeeds = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+calendarToken club district');
+
+    if (!user.calendarToken) {
+      await user.generateCalendarToken();
+    }
+
+    res.status(200).json({
+      success: true,
+      feeds: buildFeedUrls(req, user)
+    });
+
+  } catch (error) {
+    console.error('Get calendar feeds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch calendar feeds'
+    });
+  }
+};
+
+// @desc    Rotate my calendar feed token (old feed URLs stop working)
+// @route   POST /api/calendar/feeds/regenerate
+// @access  Private
+exports.regenerateCalendarToken = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+calendarToken club district');
+    await user.generateCalendarToken();
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed links regenerated. Re-subscribe in your calendar app.',
+      feeds: buildFeedUrls(req, user)
+    });
+
+  } catch (error) {
+    console.error('Regenerate calendar token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate calendar feeds'
+    });
+  }
+};
+
+// @desc    Calendar feed of my registered events
+// @route   GET /api/calendar/:token/my-events.ics
+// @access  Public (feed token)
+exports.getMyEventsFeed = async (req, res) => {
+  try {
+    const user = await findUserByCalendarToken(req.params.token);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const registrations = await EventRegistration.find({
+      user: user._id,
+      status: { $ne: 'cancelled' }
+    })
+      .populate('event')
+      .sort({ registrationDate: -1 })
+      .limit(FEED_MAX_EVENTS);
+
+    const statusByEvent = new Map(registrations
+      .filter(registration => registration.event)
+      .map(registration => [registration.event._id.toString(), registration.status]));
+
+    const calendar = buildCalendar({
+      name: 'My LeoConnect Events',
+      events: registrations.filter(registration => registration.event).map(registration => registration.event),
+      // Waitlisted spots are not guaranteed yet
+      statusFor: (event) => ['waitlisted', 'offered'].includes(statusByEvent.get(event._id.toString()))
+        ? 'TENTATIVE'
+        : 'CONFIRMED'
+    });
+
+    sendCalendar(res, calendar, 'my-events.ics');
+
+  } catch (error) {
+    console.error('My events feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build calendar feed'
+    });
+  }
+};
+
+// @desc    Calendar feed of a club's public events
+// @route   GET /api/calendar/:token/clubs/:clubId.ics
+// @access  Public (feed token)
+exports.getClubFeed = async (req, res) => {
+  try {
+    const [user, club] = await Promise.all([
+      findUserByCalendarToken(req.params.token),
+      mongoose.Types.ObjectId.isValid(req.params.clubId) ? Club.findById(req.params.clubId).select('name') : null
+    ]);
+
+    if (!user || !club) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const calendar = await buildPublicFeed(Event.participatingClubFilter(club._id.toString()), `${club.name} Events`);
+    sendCalendar(res, calendar, `club-${club._id}.ics`);
+
+  } catch (error) {
+    console.error('Club feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build calendar feed'
+    });
+  }
+};
+
+// @desc    Calendar feed of a district's public events
+// @route   GET /api/calendar/:token/districts/:districtId.ics
+// @access  Public (feed token)
+exports.getDistrictFeed = async (req, res) => {
+  try {
+    const [user, district] = await Promise.all([
+      findUserByCalendarToken(req.params.token),
+      mongoose.Types.ObjectId.isValid(req.params.districtId)
+        ? District.findById(req.params.districtId).select('name')
+        : null
+    ]);
+
+    if (!user || !district) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const calendar = await buildPublicFeed({ district: district._id.toString() }, `${district.name} Events`);
+    sendCalendar(res, calendar, `district-${district._id}.ics`);
+
+  } catch (error) {
+    console.error('District feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build calendar feed'
+    });
+  }
+};
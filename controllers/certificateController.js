@@ -0,0 +1,57 @@
+// controllers/certificateController.js
+const EventRegistration = require('../models/EventRegistration');
+
+// @desc    Verify a participation certificate
+// @route   GET /api/certificates/verify/:certificateId
+// @access  Public
+exports.verifyCertificate = async (req, res) => {
+  try {
+    const certificateId = req.params.certificateId.trim().toUpperCase();
+
+    const registration = await EventRegistration.findOne({
+      certificateId,
+      certificateIssued: true
+    })
+      .populate('user', 'fullName leoId')
+      .populate('event', 'title organization club date location city certificates');
+
+    if (!registration || !registration.event) {
+      return res.status(404).json({
+        success: false,
+        valid: false,
+        message: 'Certificate not found'
+      });
+    }
+
+    const { event } = registration;
+    const record = event.certificates.find(certificate => certificate.certificateId === certificateId);
+
+    res.status(200).json({
+      success: true,
+      valid: true,
+      certificate: {
+        certificateId,
+        recipient: {
+          fullName: registration.user ? registration.user.fullName : null,
+          leoId: registration.user ? registration.user.leoId : null
+        },
+        event: {
+          title: event.title,
+          organization: event.organization,
+          date: event.date,
+          location: event.location,
+          city: event.city
+        },
+        issuedAt: record ? record.issuedAt : registration.updatedAt,
+        certificateUrl: registration.certificateUrl
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify certificate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify certificate'
+    });
+  }
+};
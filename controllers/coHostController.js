@@ -0,0 +1,284 @@
+// controllers/coHostController.js
+const mongoose = require('mongoose');
+const Club = require('../models/Club');
+const Event = require('../models/Event');
+const { notifyUser, notifyUsers, notifyClubMembers } = require('../utils/notificationUtils');
+
+const OFFICER_POSITIONS = ['president', 'secretary', 'treasurer'];
+
+const getOfficerIds = (club) => {
+  return OFFICER_POSITIONS
+    .map(position => club[position] && club[position].userId)
+    .filter(Boolean);
+};
+
+// @desc    Get pending co-host invitations for clubs I am an officer of
+// @route   GET /api/events/co-host-invitations
+// @access  Private (Club officers)
+exports.getCoHostInvitations = async (req, res) => {
+  try {
+    const clubs = await Club.find({
+      $or: OFFICER_POSITIONS.map(position => ({ [`${position}.userId`]: req.user._id }))
+    }).select('_id name');
+
+    if (clubs.length === 0) {
+      return res.status(200).json({
+        success: true,
+        count: 0,
+        invitations: []
+      });
+    }
+
+    const clubIds = clubs.map(club => club._id.toString());
+
+    const events = await Event.find({
+      coHosts: { $elemMatch: { club: { $in: clubIds }, status: 'invited' } },
+      status: { $nin: ['cancelled', 'completed'] }
+    })
+      .select('title date time location club organization organizer coHosts')
+      .populate('organizer', 'fullName displayName profilePhoto')
+      .sort({ date: 1 });
+
+    const invitations = events.flatMap(event => event.coHosts
+      .filter(coHost => coHost.status === 'invited' && clubIds.includes(coHost.club))
+      .map(coHost => ({
+        event: {
+          _id: event._id,
+          title: event.title,
+          date: event.date,
+          time: event.time,
+          location: event.location,
+          organization: event.organization,
+          organizer: event.organizer
+        },
+        club: { _id: coHost.club, name: coHost.clubName },
+        invitedAt: coHost.invitedAt
+      })));
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      invitations
+    });
+
+  } catch (error) {
+    console.error('Get co-host invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch co-host invitations'
+    });
+  }
+};
+
+// @desc    Invite a club to co-host the event
+// @route   POST /api/events/:id/co-hosts
+// @access  Private (Organizer/Webmaster)
+exports.inviteCoHost = async (req, res) => {
+  try {
+    const event = req.event;
+    const { clubId } = req.body;
+
+    if (['cancelled', 'completed'].includes(event.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Co-hosts cannot be added to a ${event.status} event`
+      });
+    }
+
+    const club = mongoose.Types.ObjectId.isValid(clubId)
+      ? await Club.findOne({ _id: clubId, isActive: true })
+      : null;
+
+    if (!club) {
+      return res.status(404).json({
+        success: false,
+        message: 'Club not found'
+      });
+    }
+
+    if (club._id.toString() === event.club) {
+      return res.status(400).json({
+        success: false,
+        message: 'The host club cannot be a co-host'
+      });
+    }
+
+    const existing = event.coHosts.find(coHost => coHost.club === club._id.toString());
+
+    if (existing && existing.status !== 'declined') {
+      return res.status(400).json({
+        success: false,
+        message: existing.status === 'accepted'
+          ? `${club.name} is already a co-host`
+          : `${club.name} has already been invited`
+      });
+    }
+
+    // A club that declined can be invited again
+    if (existing) {
+      existing.set({
+        status: 'invited',
+        invitedBy: req.user._id,
+        invitedAt: new Date(),
+        respondedBy: undefined,
+        respondedAt: undefined
+      });
+    } else {
+      event.coHosts.push({
+        club: club._id.toString(),
+        clubName: club.name,
+        district: club.district ? club.district.toString() : undefined,
+        invitedBy: req.user._id
+      });
+    }
+
+    await event.save();
+
+    const hostClub = mongoose.Types.ObjectId.isValid(event.club)
+      ? await Club.findById(event.club).select('name')
+      : null;
+
+    notifyUsers(getOfficerIds(club), 'cohost_invitation', {
+      eventTitle: event.title,
+      eventId: event._id.toString(),
+      clubName: club.name,
+      hostClubName: hostClub ? hostClub.name : event.organization
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${club.name} invited to co-host`,
+      coHosts: event.coHosts
+    });
+
+  } catch (error) {
+    console.error('Invite co-host error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to invite co-host'
+    });
+  }
+};
+
+// @desc    Accept or decline a co-host invitation for my club
+// @route   POST /api/events/:id/co-hosts/:clubId/respond
+// @access  Private (Officers of the invited club)
+exports.respondToCoHostInvitation = async (req, res) => {
+  try {
+    const { clubId } = req.params;
+    const { accept: acceptInput } = req.body || {};
+    const accept = acceptInput === true || acceptInput === 'true';
+
+    const [event, club] = await Promise.all([
+      mongoose.Types.ObjectId.isValid(req.params.id) ? Event.findById(req.params.id) : null,
+      mongoose.Types.ObjectId.isValid(clubId) ? Club.findById(clubId) : null
+    ]);
+
+    if (!event || !club) {
+      return res.status(404).json({
+        success: false,
+        message: event ? 'Club not found' : 'Event not found'
+      });
+    }
+
+    if (!club.isOfficer(req.user.id) && req.user.role !== 'webmaster') {
+      return res.status(403).json({
+        success: false,
+        message: `Only officers of ${club.name} can respond to this invitation`
+      });
+    }
+
+    // Respond atomically so two officers answering at once cannot both win
+    const updated = await Event.findOneAndUpdate(
+      {
+        _id: event._id,
+        status: { $nin: ['cancelled', 'completed'] },
+        coHosts: { $elemMatch: { club: club._id.toString(), status: 'invited' } }
+      },
+      {
+        $set: {
+          'coHosts.$.status': accept ? 'accepted' : 'declined',
+          'coHosts.$.respondedBy': req.user._id,
+          'coHosts.$.respondedAt': new Date(),
+          updatedAt: new Date()
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no open invitation for this club'
+      });
+    }
+
+    notifyUser(updated.organizer, 'general', {
+      title: accept ? 'Co-host Accepted' : 'Co-host Declined',
+      body: `${club.name} ${accept ? 'accepted' : 'declined'} your invitation to co-host ${updated.title}`,
+      screen: 'EventDetail',
+      eventId: updated._id.toString()
+    });
+
+    if (accept) {
+      notifyClubMembers(club._id.toString(), 'new_event', {
+        eventTitle: updated.title,
+        eventId: updated._id.toString()
+      }, req.user._id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: accept ? `${club.name} is now co-hosting this event` : 'Invitation declined',
+      coHosts: updated.coHosts
+    });
+
+  } catch (error) {
+    console.error('Respond to co-host invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to respond to invitation'
+    });
+  }
+};
+
+// @desc    Remove a co-host club or withdraw its invitation
+// @route   DELETE /api/events/:id/co-hosts/:clubId
+// @access  Private (Organizer/Webmaster)
+exports.removeCoHost = async (req, res) => {
+  try {
+    const event = req.event;
+    const coHost = event.coHosts.find(item => item.club === req.params.clubId);
+
+    if (!coHost) {
+      return res.status(404).json({
+        success: false,
+        message: 'Club is not a co-host of this event'
+      });
+    }
+
+    // Credit already given for a finished event stays with the club
+    if (coHost.status === 'accepted' && event.attendanceFinalizedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Co-hosts cannot be removed after attendance has been finalized'
+      });
+    }
+
+    event.coHosts.pull(coHost);
+    await event.save();
+
+    res.status(200).json({
+      success: true,
+      message: `${coHost.clubName || 'Club'} removed from co-hosts`,
+      coHosts: event.coHosts
+    });
+
+  } catch (error) {
+    console.error('Remove co-host error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove co-host'
+    });
+  }
+};
@@ -0,0 +1,833 @@
+// controllers/electionController.js
+const mongoose = require('mongoose');
+const Election = require('../models/Election');
+const ElectionBallot = require('../models/ElectionBallot');
+const Club = require('../models/Club');
+const District = require('../models/District');
+const User = require('../models/User');
+const { notifyUser, notifyUsers, notifyClubMembers } = require('../utils/notificationUtils');
+const { getVoterHash } = require('../utils/pollUtils');
+const {
+  ELECTION_METHODS,
+  MAX_STATEMENT_LENGTH,
+  normalizePositions,
+  validateElectionTimeline,
+  canManageElection,
+  getVoterEligibility,
+  normalizeBallot,
+  recordElectionTally,
+  installElectionResults
+} = require('../utils/electionUtils');
+
+const TIMELINE_FIELDS = ['nominationStart', 'nominationEnd', 'votingStart', 'votingEnd', 'termStart', 'termEnd'];
+
+const findElection = (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return Election.findById(id);
+};
+
+const refId = (value) => value && (value._id || value);
+
+const electionNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Election not found'
+});
+
+const getStatement = (statement) => {
+  if (statement === undefined || statement === null) return { statement: undefined };
+  if (typeof statement !== 'string') return { error: 'Statement must be text' };
+  if (statement.trim().length > MAX_STATEMENT_LENGTH) {
+    return { error: `Statement cannot be more than ${MAX_STATEMENT_LENGTH} characters` };
+  }
+  return { statement: statement.trim() };
+};
+
+// @desc    Get elections
+// @route   GET /api/elections
+// @access  Private
+exports.getElections = async (req, res) => {
+  try {
+    const { club, district, status, page = 1, limit = 10 } = req.query;
+
+    const filter = {};
+
+    if (club) {
+      filter.scope = 'club';
+      filter.club = club;
+    } else if (district) {
+      filter.scope = 'district';
+      filter.district = district;
+    } else {
+      // Default to the elections the member can take part in
+      const scopes = [];
+      if (req.user.club) scopes.push({ scope: 'club', club: req.user.club });
+      if (req.user.district) scopes.push({ scope: 'district', district: req.user.district });
+      filter.$or = scopes.length > 0 ? scopes : [{ _id: null }];
+    }
+
+    if (status) filter.status = status;
+
+    const [elections, total] = await Promise.all([
+      Election.find(filter)
+        .select('-candidates -results')
+        .populate('club', 'name code')
+        .populate('district', 'name code')
+        .sort({ votingEnd: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Election.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: elections.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      elections: elections.map(election => ({
+        ...election.toObject(),
+        phase: election.getPhase()
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get elections error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch elections'
+    });
+  }
+};
+
+// @desc    Get single election with candidates (and results once available)
+// @route   GET /api/elections/:id
+// @access  Private
+exports.getElection = async (req, res) => {
+  try {
+    const election = await findElection(req.params.id);
+
+    if (!election) return electionNotFound(res);
+
+    await election.populate([
+      { path: 'club', select: 'name code' },
+      { path: 'district', select: 'name code' },
+      { path: 'candidates.user', select: 'fullName displayName profilePhoto leoId' },
+      { path: 'results.elected', select: 'fullName displayName profilePhoto' }
+    ]);
+
+    const scopeRef = { scope: election.scope, club: refId(election.club), district: refId(election.district) };
+    const [canManage, hasVoted] = await Promise.all([
+      canManageElection(req.user, scopeRef),
+      ElectionBallot.exists({ election: election._id, voterHash: getVoterHash(election._id, req.user._id) })
+    ]);
+
+    const data = election.toObject();
+    data.phase = election.getPhase();
+    data.hasVoted = !!hasVoted;
+    data.canManage = canManage;
+    data.eligibility = getVoterEligibility(req.user, scopeRef);
+
+    // Counts are public once certified; before that only managers and super admins see them
+    const resultsVisible = ['certified', 'installed'].includes(election.status) ||
+      (election.status === 'tallied' && (canManage || req.user.role === 'super_admin'));
+    if (!resultsVisible) delete data.results;
+
+    // Nominations not yet accepted are only shown to managers and the nominee
+    if (!canManage) {
+      data.candidates = data.candidates.filter(candidate =>
+        candidate.status === 'accepted' ||
+        (candidate.user && candidate.user._id.toString() === req.user.id)
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      election: data
+    });
+
+  } catch (error) {
+    console.error('Get election error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch election'
+    });
+  }
+};
+
+// @desc    Create election
+// @route   POST /api/elections
+// @access  Private (Club/District officers, Webmaster, Super Admin)
+exports.createElection = async (req, res) => {
+  try {
+    const { title, description, scope = 'club', method = 'irv' } = req.body;
+
+    if (!title || !title.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Title is required'
+      });
+    }
+
+    if (!['club', 'district'].includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scope must be club or district'
+      });
+    }
+
+    if (!ELECTION_METHODS.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: `Method must be one of: ${ELECTION_METHODS.join(', ')}`
+      });
+    }
+
+    let clubId;
+    let districtId;
+
+    if (scope === 'club') {
+      const club = await Club.findById(req.body.club || req.user.club).select('district isActive');
+
+      if (!club || !club.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Club not found'
+        });
+      }
+
+      clubId = club._id;
+      districtId = club.district;
+    } else {
+      const district = await District.findById(req.body.district || req.user.district).select('isActive');
+
+      if (!district || !district.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'District not found'
+        });
+      }
+
+      districtId = district._id;
+    }
+
+    if (!(await canManageElection(req.user, { scope, club: clubId, district: districtId }))) {
+      return res.status(403).json({
+        success: false,
+        message: `Only officers of the ${scope} can run its elections`
+      });
+    }
+
+    const { positions, error } = normalizePositions(req.body.positions, scope, method);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const timeline = validateElectionTimeline(req.body);
+
+    if (!timeline.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid election timeline',
+        errors: timeline.errors
+      });
+    }
+
+    const election = await Election.create({
+      title: title.trim(),
+      description,
+      scope,
+      club: clubId,
+      district: districtId,
+      method,
+      positions,
+      ...timeline.dates,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Election created successfully',
+      election
+    });
+
+  } catch (error) {
+    console.error('Create election error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create election'
+    });
+  }
+};
+
+// @desc    Update election details and timeline before voting opens
+// @route   PUT /api/elections/:id
+// @access  Private (Club/District officers, Webmaster, Super Admin)
+exports.updateElection = async (req, res) => {
+  try {
+    const election = await findElection(req.params.id);
+
+    if (!election) return electionNotFound(res);
+
+    if (!(await canManageElection(req.user, election))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage this election'
+      });
+    }
+
+    const phase = election.getPhase();
+
+    if (!['upcoming', 'nominations', 'pre_voting'].includes(phase)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Elections cannot be changed once voting has opened'
+      });
+    }
+
+    const { title, description, method, positions } = req.body;
+
+    // Positions decide who can be nominated, so they are fixed once nominations open
+    if ((method !== undefined || positions !== undefined) && phase !== 'upcoming') {
+      return res.status(400).json({
+        success: false,
+        message: 'Positions and method cannot be changed once nominations have opened'
+      });
+    }
+
+    if (method !== undefined && !ELECTION_METHODS.includes(method)) {
+      return res.status(400).json({
+        success: false,
+        message: `Method must be one of: ${ELECTION_METHODS.join(', ')}`
+      });
+    }
+
+    if (method !== undefined || positions !== undefined) {
+      const normalized = normalizePositions(
+        positions !== undefined ? positions : election.positions.map(position => position.toObject()),
+        election.scope,
+        method || election.method
+      );
+
+      if (normalized.error) {
+        return res.status(400).json({
+          success: false,
+          message: normalized.error
+        });
+      }
+
+      election.positions = normalized.positions;
+      if (method) election.method = method;
+    }
+
+    if (TIMELINE_FIELDS.some(field => req.body[field] !== undefined)) {
+      const current = {};
+      TIMELINE_FIELDS.forEach(field => {
+        current[field] = req.body[field] !== undefined ? req.body[field] : election[field];
+      });
+
+      const timeline = validateElectionTimeline(current);
+
+      if (!timeline.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid election timeline',
+          errors: timeline.errors
+        });
+      }
+
+      election.set(timeline.dates);
+      if (!timeline.dates.termEnd) election.termEnd = undefined;
+    }
+
+    if (title !== undefined) {
+      if (!String(title).trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Title is required'
+        });
+      }
+      election.title = String(title).trim();
+    }
+
+    if (description !== undefined) election.description = description;
+
+    await election.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Election updated successfully',
+      election
+    });
+
+  } catch (error) {
+    console.error('Update election error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update election'
+    });
+  }
+};
+
+// @desc    Cancel election
+// @route   POST /api/elections/:id/cancel
+// @access  Private (Club/District officers, Webmaster, Super Admin; counted elections Super Admin only)
+exports.cancelElection = async (req, res) => {
+  try {
+    const election = await findElection(req.params.id);
+
+    if (!election) return electionNotFound(res);
+
+    const isSuperAdmin = req.user.role === 'super_admin';
+
+    if (!isSuperAdmin && !(await canManageElection(req.user, election))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage this election'
+      });
+    }
+
+    const { reason: rawReason } = req.body || {};
+    const reason = typeof rawReason === 'string' ? rawReason.trim() : '';
+
+    // Managers (possibly candidates) can read the count once tallied, so only a super admin may stop it then
+    if (election.status === 'tallied') {
+      if (!isSuperAdmin) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only a super admin can cancel an election that has been counted'
+        });
+      }
+
+      if (!reason) {
+        return res.status(400).json({
+          success: false,
+          message: 'A reason is required to cancel an election that has been counted'
+        });
+      }
+    }
+
+    const cancellable = isSuperAdmin && reason ? ['open', 'tallied'] : ['open'];
+
+    const cancelled = await Election.findOneAndUpdate(
+      { _id: election._id, status: { $in: cancellable } },
+      {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancelledBy: req.user._id,
+        cancellationReason: reason || undefined
+      },
+      { new: true }
+    );
+
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only elections still open (or counted, by a super admin) can be cancelled'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Election cancelled',
+      election: cancelled
+    });
+
+  } catch (error) {
+    console.error('Cancel election error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel election'
+    });
+  }
+};
+
+// @desc    Nominate a member (or yourself) for a position
+// @route   POST /api/elections/:id/candidates
+// @access  Private (Members)
+exports.nominateCandidate = async (req, res) => {
+  try {
+    const { position, userId } = req.body;
+    const election = await findElection(req.params.id);
+
+    if (!election) return electionNotFound(res);
+
+    if (election.getPhase() !== 'nominations') {
+      return res.status(400).json({
+        success: false,
+        message: 'Nominations are not open'
+      });
+    }
+
+    const electionPosition = election.positions.find(item => item.key === position);
+
+    if (!electionPosition) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid position'
+      });
+    }
+
+    const nominatorEligibility = getVoterEligibility(req.user, election);
+
+    if (!nominatorEligibility.eligible && !(await canManageElection(req.user, election))) {
+      return res.status(403).json({
+        success: false,
+        message: nominatorEligibility.reason
+      });
+    }
+
+    const isSelf = !userId || userId.toString() === req.user.id;
+    const nominee = isSelf
+      ? req.user
+      : (mongoose.Types.ObjectId.isValid(userId) ? await User.findById(userId).select('fullName club district isActive membership') : null);
+
+    if (!nominee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    const nomineeEligibility = getVoterEligibility(nominee, election);
+
+    if (!nomineeEligibility.eligible) {
+      return res.status(400).json({
+        success: false,
+        message: isSelf ? nomineeEligibility.reason : `${nominee.fullName} is not an active member of this ${election.scope}`
+      });
+    }
+
+    const { statement, error } = getStatement(isSelf ? req.body.statement : undefined);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // A member stands for one position per election; nominating yourself counts as accepting
+    const updated = await Election.findOneAndUpdate(
+      {
+        _id: election._id,
+        status: 'open',
+        candidates: { $not: { $elemMatch: { user: nominee._id, status: { $ne: 'withdrawn' } } } }
+      },
+      {
+        $push: {
+          candidates: {
+            user: nominee._id,
+            position: electionPosition.key,
+            statement,
+            nominatedBy: req.user._id,
+            status: isSelf ? 'accepted' : 'nominated',
+            respondedAt: isSelf ? new Date() : undefined
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: `${isSelf ? 'You are' : `${nominee.fullName} is`} already nominated in this election`
+      });
+    }
+
+    if (!isSelf) {
+      notifyUser(nominee._id, 'election_nomination', {
+        nominatorName: req.user.fullName,
+        positionTitle: electionPosition.title,
+        electionTitle: election.title,
+        electionId: election._id.toString()
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: isSelf ? 'You are now a candidate' : 'Nomination sent for acceptance',
+      candidate: updated.candidates[updated.candidates.length - 1]
+    });
+
+  } catch (error) {
+    console.error('Nominate candidate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to nominate candidate'
+    });
+  }
+};
+
+// @desc    Accept a nomination, update the statement or withdraw
+// @route   PUT /api/elections/:id/candidates/:candidateId
+// @access  Private (Candidate; managers may withdraw a candidate)
+exports.updateCandidacy = async (req, res) => {
+  try {
+    const { status } = req.body;
+    const election = await findElection(req.params.id);
+
+    if (!election) return electionNotFound(res);
+
+    const candidate = election.candidates.id(req.params.candidateId);
+
+    if (!candidate || candidate.status === 'withdrawn') {
+      return res.status(404).json({
+        success: false,
+        message: 'Candidate not found'
+      });
+    }
+
+    const isCandidate = candidate.user.toString() === req.user.id;
+    const canManage = !isCandidate && await canManageElection(req.user, election);
+
+    if (!isCandidate && !(canManage && status === 'withdrawn' && req.body.statement === undefined)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the candidate can change this candidacy'
+      });
+    }
+
+    // The ballot is fixed once voting opens
+    if (!['nominations', 'pre_voting'].includes(election.getPhase())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Candidacies cannot be changed once voting has opened'
+      });
+    }
+
+    if (status !== undefined && !['accepted', 'withdrawn'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be accepted or withdrawn'
+      });
+    }
+
+    const { statement, error } = getStatement(req.body.statement);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const updates = {};
+    if (statement !== undefined) updates['candidates.$.statement'] = statement;
+    if (status && status !== candidate.status) {
+      updates['candidates.$.status'] = status;
+      updates['candidates.$.respondedAt'] = new Date();
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update'
+      });
+    }
+
+    const updated = await Election.findOneAndUpdate(
+      {
+        _id: election._id,
+        status: 'open',
+        votingStart: { $gt: new Date() },
+        candidates: { $elemMatch: { _id: candidate._id, status: { $ne: 'withdrawn' } } }
+      },
+      { $set: updates },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Candidacy changed in the meantime, please try again'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: status === 'withdrawn' ? 'Candidacy withdrawn' : 'Candidacy updated',
+      candidate: updated.candidates.id(candidate._id)
+    });
+
+  } catch (error) {
+    console.error('Update candidacy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update candidacy'
+    });
+  }
+};
+
+// @desc    Cast a ranked ballot
+// @route   POST /api/elections/:id/ballot
+// @access  Private (Members)
+exports.castBallot = async (req, res) => {
+  try {
+    const election = await findElection(req.params.id);
+
+    if (!election) return electionNotFound(res);
+
+    if (election.getPhase() !== 'voting') {
+      return res.status(400).json({
+        success: false,
+        message: 'Voting is not open'
+      });
+    }
+
+    const eligibility = getVoterEligibility(req.user, election);
+
+    if (!eligibility.eligible) {
+      return res.status(403).json({
+        success: false,
+        message: eligibility.reason
+      });
+    }
+
+    const { rankings, error } = normalizeBallot(election, req.body.rankings);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    try {
+      await ElectionBallot.create({
+        election: election._id,
+        voterHash: getVoterHash(election._id, req.user._id),
+        rankings
+      });
+    } catch (createError) {
+      if (createError.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'You have already voted in this election'
+        });
+      }
+      throw createError;
+    }
+
+    await Election.updateOne({ _id: election._id }, { $inc: { ballotCount: 1 } });
+
+    res.status(201).json({
+      success: true,
+      message: 'Your ballot has been cast'
+    });
+
+  } catch (error) {
+    console.error('Cast ballot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cast ballot'
+    });
+  }
+};
+
+// @desc    Count the ballots of a closed election (recount until certified)
+// @route   POST /api/elections/:id/tally
+// @access  Private (Club/District officers, Webmaster, Super Admin)
+exports.tallyElectionResults = async (req, res) => {
+  try {
+    const election = await findElection(req.params.id);
+
+    if (!election) return electionNotFound(res);
+
+    if (!(await canManageElection(req.user, election))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage this election'
+      });
+    }
+
+    if (!['closed', 'tallied'].includes(election.getPhase())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ballots can only be counted after voting closes and before certification'
+      });
+    }
+
+    const tallied = await recordElectionTally(election);
+
+    if (!tallied) {
+      return res.status(409).json({
+        success: false,
+        message: 'Election changed in the meantime, please try again'
+      });
+    }
+
+    await tallied.populate('results.elected', 'fullName displayName profilePhoto');
+
+    res.status(200).json({
+      success: true,
+      message: 'Ballots counted',
+      ballotCount: tallied.ballotCount,
+      results: tallied.results
+    });
+
+  } catch (error) {
+    console.error('Tally election error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to count ballots'
+    });
+  }
+};
+
+// @desc    Certify election results
+// @route   POST /api/elections/:id/certify
+// @access  Private (Super Admin)
+exports.certifyElection = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return electionNotFound(res);
+
+    const certified = await Election.findOneAndUpdate(
+      { _id: req.params.id, status: 'tallied' },
+      { status: 'certified', certifiedAt: new Date(), certifiedBy: req.user._id },
+      { new: true }
+    );
+
+    if (!certified) {
+      const exists = await Election.exists({ _id: req.params.id });
+      return exists
+        ? res.status(400).json({ success: false, message: 'Only counted, uncertified elections can be certified' })
+        : electionNotFound(res);
+    }
+
+    // Terms that have already started take effect straight away; the rest wait for the worker
+    const installed = certified.termStart <= new Date()
+      ? await installElectionResults(certified)
+      : false;
+
+    const notification = {
+      electionTitle: certified.title,
+      electionId: certified._id.toString()
+    };
+
+    if (certified.scope === 'club') {
+      notifyClubMembers(certified.club, 'election_results', notification);
+    } else {
+      User.find({ district: certified.district, isActive: true }).distinct('_id')
+        .then(members => notifyUsers(members, 'election_results', notification))
+        .catch(error => console.error('Election results notification error:', error));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: installed ? 'Results certified and officers installed' : 'Results certified',
+      election: installed ? await Election.findById(certified._id) : certified
+    });
+
+  } catch (error) {
+    console.error('Certify election error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to certify election'
+    });
+  }
+};
@@ -1,6 +1,329 @@
 // controllers/eventController.js
+const mongoose = require('mongoose');
 const Event = require('../models/Event');
 const EventRegistration = require('../models/EventRegistration');
+const EventSeries = require('../models/EventSeries');
+const ScheduledNotification = require('../models/ScheduledNotification');
+const VolunteerShift = require('../models/VolunteerShift');
+const ShiftSignup = require('../models/ShiftSignup');
+const EventPhoto = require('../models/EventPhoto');
+const { deleteFromCloudinary } = require('../config/cloudinary');
+const {
+  notifyClubMembers,
+  notifyUsers,
+  createNotification,
+  scheduleNotification
+} = require('../utils/notificationUtils');
+const {
+  getEventStartDate,
+  getSriLankaDay,
+  combineDateAndTime,
+  deriveEventStatus,
+  SRI_LANKA_OFFSET
+} = require('../utils/eventUtils');
+const { normalizeRecurrenceRule, generateOccurrenceDates } = require('../utils/recurrenceUtils');
+const { buildCalendar, sendCalendar } = require('../utils/icalUtils');
+const { EARTH_RADIUS_KM, parseNearQuery, parseBoundingBox } = require('../utils/geoUtils');
+const {
+  buildCheckInQr,
+  verifyCheckInToken,
+  getCheckInWindow,
+  markAttendance
+} = require('../utils/attendanceUtils');
+const {
+  generateCertificateId,
+  findEventClub,
+  createCertificateFile
+} = require('../utils/certificateUtils');
+const {
+  joinWaitlist,
+  compactWaitlist,
+  releaseSeat,
+  fillFromWaitlist
+} = require('../utils/waitlistUtils');
+const { refundRegistrationPayment, getPaymentDeadline } = require('../utils/paymentUtils');
+const { summarizeEventFeedback } = require('../utils/feedbackUtils');
+const {
+  normalizeRegistrationForm,
+  validateRegistrationAnswers,
+  getLimitedSelections,
+  describeSelection,
+  buildAnswersCsv
+} = require('../utils/registrationFormUtils');
+const {
+  EXPORT_FORMATS,
+  parseExportColumns,
+  buildExportRows,
+  buildExportCsv,
+  buildExportXlsx
+} = require('../utils/registrationExportUtils');
+const { recordAudit } = require('../utils/auditUtils');
+const AuditLog = require('../models/AuditLog');
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const REMINDER_LEAD_HOURS = parseInt(process.env.EVENT_REMINDER_HOURS, 10) || 24;
+const FORM_UPDATE_ATTEMPTS = 3;
+
+// Queue a reminder before the event starts (falls back to one hour before)
+const scheduleEventReminder = async (event, registration) => {
+  const start = getEventStartDate(event);
+  if (!start) return null;
+
+  const now = Date.now();
+  const deliverAt = [REMINDER_LEAD_HOURS, 1]
+    .map(hours => new Date(start.getTime() - hours * 60 * 60 * 1000))
+    .find(date => date.getTime() > now);
+
+  if (!deliverAt) return null;
+
+  return scheduleNotification(
+    registration.user,
+    createNotification('event_reminder', {
+      eventTitle: event.title,
+      eventId: event._id.toString()
+    }),
+    deliverAt,
+    { reference: { kind: 'EventRegistration', id: registration._id } }
+  );
+};
+
+// Reschedule reminders and tell registrants when the time or venue of an event changes
+const handleEventChanges = async (event, { scheduleChanged, venueChanged }) => {
+  if (!scheduleChanged && !venueChanged) return;
+
+  const registrations = await EventRegistration.find({
+    event: event._id,
+    status: 'registered'
+  });
+
+  // Reminders follow the new start time
+  if (scheduleChanged) {
+    for (const registration of registrations) {
+      await ScheduledNotification.cancelByReference('EventRegistration', registration._id);
+      registration.reminderSent = false;
+      registration.reminderTime = undefined;
+      await registration.save();
+      await scheduleEventReminder(event, registration);
+    }
+  }
+
+  notifyUsers(registrations.map(registration => registration.user), 'event_updated', {
+    eventTitle: event.title,
+    eventId: event._id.toString()
+  });
+};
+
+// Cancel an event (or series occurrence) while keeping its record and registrations
+const markEventCancelled = async (event, reason) => {
+  event.status = 'cancelled';
+  event.registrationOpen = false;
+  event.cancelledAt = new Date();
+  event.cancellationReason = reason;
+  if (event.series) event.isException = true;
+  await event.save();
+
+  const registrations = await EventRegistration.find({
+    event: event._id,
+    status: { $in: ['registered', 'waitlisted', 'offered'] }
+  });
+
+  await ScheduledNotification.updateMany(
+    {
+      'reference.kind': 'EventRegistration',
+      'reference.id': { $in: registrations.map(registration => registration._id) },
+      status: 'scheduled'
+    },
+    { status: 'cancelled', cancelledAt: new Date() }
+  );
+
+  // Volunteer sign-ups end with the event
+  const volunteers = await ShiftSignup.find({ event: event._id, status: 'signed_up' }).distinct('user');
+  await ShiftSignup.updateMany(
+    { event: event._id, status: 'signed_up' },
+    { status: 'cancelled', cancelledAt: new Date() }
+  );
+  await VolunteerShift.updateMany({ event: event._id }, { signedUp: 0 });
+
+  const notifyUserIds = [...new Set([
+    ...registrations.map(registration => registration.user.toString()),
+    ...volunteers.map(userId => userId.toString())
+  ])];
+
+  notifyUsers(notifyUserIds, 'event_cancelled', {
+    eventTitle: event.title,
+    eventId: event._id.toString(),
+    reason
+  });
+
+  // Refund everyone who already paid
+  for (const registration of registrations.filter(item => item.paymentStatus === 'paid')) {
+    await refundRegistrationPayment(registration, 'Event cancelled');
+  }
+
+  return registrations.length;
+};
+
+// Register a user for one event, joining the waitlist when it is full
+const registerUserForEvent = async (event, userId, options = {}) => {
+  if (event.status === 'cancelled') {
+    return { status: 'unavailable', message: 'This event has been cancelled' };
+  }
+
+  // Check if registration is open
+  if (!event.registrationOpen) {
+    return { status: 'unavailable', message: 'Registration is closed for this event' };
+  }
+
+  // Check if registration deadline has passed
+  if (event.registrationDeadline && new Date() > event.registrationDeadline) {
+    return { status: 'unavailable', message: 'Registration deadline has passed' };
+  }
+
+  // Check if already registered (a cancelled registration can be reused)
+  let registration = await EventRegistration.findOne({
+    event: event._id,
+    user: userId
+  });
+
+  if (registration && registration.status !== 'cancelled') {
+    return {
+      status: 'already',
+      registration,
+      message: ['waitlisted', 'offered'].includes(registration.status)
+        ? 'Already on the waitlist for this event'
+        : 'Already registered for this event'
+    };
+  }
+
+  const form = event.registrationForm || [];
+  const validation = validateRegistrationAnswers(form, options.answers);
+
+  if (!validation.isValid) {
+    return { status: 'invalid', message: 'Please complete the registration form', errors: validation.errors };
+  }
+
+  if (registration) {
+    registration.set({
+      registrationDate: new Date(),
+      cancelledAt: undefined,
+      offeredAt: undefined,
+      offerExpiresAt: undefined,
+      reminderSent: false,
+      reminderTime: undefined
+    });
+  } else {
+    registration = new EventRegistration({
+      event: event._id,
+      user: userId
+    });
+  }
+  registration.paymentStatus = event.fee.amount > 0 ? 'pending' : 'free';
+  registration.series = options.series;
+  registration.formAnswers = validation.answers;
+
+  // Places on limited options (e.g. workshop seats) are held by waitlisted users too
+  const selections = getLimitedSelections(form, validation.answers);
+  const fullSelection = await Event.reserveChoices(event._id, selections);
+
+  if (fullSelection) {
+    return { status: 'unavailable', message: `${describeSelection(form, fullSelection)} is full` };
+  }
+
+  // Take a seat atomically so simultaneous registrations cannot overbook
+  const reserved = await Event.reserveSeat(event._id, userId);
+
+  try {
+    if (!reserved) {
+      // Join the waitlist once the event is full
+      if (!event.waitlistEnabled) {
+        await Event.releaseChoices(event._id, selections);
+        return { status: 'full', message: 'Event is full' };
+      }
+
+      await joinWaitlist(event, registration);
+
+      return {
+        status: 'waitlisted',
+        registration,
+        message: `Event is full. You are number ${registration.waitlistPosition} on the waitlist`
+      };
+    }
+
+    registration.status = 'registered';
+    registration.paymentExpiresAt = registration.paymentStatus === 'pending' ? getPaymentDeadline(event) : undefined;
+    registration.updatedAt = new Date();
+    await registration.save();
+  } catch (error) {
+    const duplicate = error.code === 11000 || error.name === 'VersionError';
+
+    // Give the seat back; a concurrent duplicate request keeps the user listed
+    if (reserved) {
+      await Event.releaseSeat(event._id, duplicate ? null : userId);
+    }
+    await Event.releaseChoices(event._id, selections);
+
+    if (duplicate) {
+      return { status: 'already', message: 'Already registered for this event' };
+    }
+    throw error;
+  }
+
+  await scheduleEventReminder(event, registration);
+
+  return { status: 'registered', registration, message: 'Registered for event successfully' };
+};
+
+// Cancel an active registration and pass its seat on; returns null on a concurrent change
+const cancelUserRegistration = async (event, registration) => {
+  const previousStatus = registration.status;
+  const previousPosition = registration.waitlistPosition;
+
+  // Guard against a concurrent check-in, confirmation or offer expiry
+  const cancelled = await EventRegistration.findOneAndUpdate(
+    { _id: registration._id, status: previousStatus },
+    {
+      $set: { status: 'cancelled', cancelledAt: new Date(), updatedAt: new Date() },
+      $unset: { waitlistPosition: 1, offeredAt: 1, offerExpiresAt: 1 }
+    },
+    { new: true }
+  );
+
+  if (!cancelled) return null;
+
+  await Event.releaseChoices(event._id, getLimitedSelections(event.registrationForm, cancelled.formAnswers));
+
+  if (previousStatus === 'waitlisted') {
+    await compactWaitlist(event._id, previousPosition);
+  } else {
+    if (previousStatus === 'registered') {
+      await ScheduledNotification.cancelByReference('EventRegistration', registration._id);
+    }
+
+    // Registered and offered users both hold a seat
+    await releaseSeat(event, previousStatus === 'registered' ? registration.user : null);
+  }
+
+  if (cancelled.paymentStatus === 'paid') {
+    await refundRegistrationPayment(cancelled, 'Registration cancelled');
+  }
+
+  return cancelled;
+};
+
+// Set the places left on limited options from how many active registrations picked them
+const withChoiceLimits = (fields, takenCounts) => {
+  return fields.map(field => {
+    if (field.type !== 'choice') return field;
+
+    return {
+      ...field,
+      options: field.options.map(option => option.limit
+        ? { ...option, remaining: Math.max(0, option.limit - (takenCounts.get(`${field.key}:${option.value}`) || 0)) }
+        : option)
+    };
+  });
+};
 
 // @desc    Get all events
 // @route   GET /api/events
@@ -13,6 +336,15 @@ exports.getEvents = async (req, res) => {
       club, 
       district, 
       eventType,
+      series,
+      city,
+      from,
+      to,
+      q,
+      lat,
+      lng,
+      radius,
+      bbox,
       page = 1,
       limit = 10
     } = req.query;
@@ -21,13 +353,122 @@ exports.getEvents = async (req, res) => {
     
     if (status) filter.status = status;
     if (category) filter.category = category;
-    if (club) filter.club = club;
+    // Co-hosted events show up for every participating club
+    if (club) filter.$and = [Event.participatingClubFilter(club)];
     if (district) filter.district = district;
     if (eventType) filter.eventType = eventType;
+    if (series) {
+      if (!mongoose.Types.ObjectId.isValid(series)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid series ID'
+        });
+      }
+      // Cast explicitly, aggregation pipelines are not cast by Mongoose
+      filter.series = new mongoose.Types.ObjectId(series);
+    }
+    if (city) filter.city = { $regex: `^${escapeRegex(city)}$`, $options: 'i' };
+
+    // Recurring series are stored as one event per occurrence, so a date range expands them
+    if (from || to) {
+      const fromDate = from ? combineDateAndTime(new Date(from), '00:00') : null;
+      const toDate = to ? combineDateAndTime(new Date(to), '23:59') : null;
+
+      if ((from && !fromDate) || (to && !toDate)) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be valid dates'
+        });
+      }
+
+      filter.date = {};
+      if (fromDate) filter.date.$gte = fromDate;
+      if (toDate) filter.date.$lte = toDate;
+    }
+
+    // Map view: events inside the visible area
+    if (bbox) {
+      const { polygon, error } = parseBoundingBox(bbox);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+      filter.geo = { $geoWithin: { $geometry: polygon } };
+    }
+
+    // Nearby: events within radius km of a point, closest first
+    if (lat !== undefined || lng !== undefined) {
+      const { point, radiusKm, error } = parseNearQuery({ lat, lng, radius });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      if (bbox) {
+        return res.status(400).json({
+          success: false,
+          message: 'Use either lat/lng or bbox, not both'
+        });
+      }
+
+      // $geoNear must be the first stage, so text search falls back to a pattern match here
+      if (q) {
+        const pattern = { $regex: escapeRegex(q), $options: 'i' };
+        filter.$or = [{ title: pattern }, { description: pattern }, { tags: pattern }];
+      }
+
+      const [results, total] = await Promise.all([
+        Event.aggregate([
+          {
+            $geoNear: {
+              near: { type: 'Point', coordinates: point },
+              distanceField: 'distance',
+              maxDistance: radiusKm * 1000,
+              query: filter,
+              spherical: true
+            }
+          },
+          { $skip: (page - 1) * limit },
+          { $limit: limit * 1 }
+        ]),
+        Event.countDocuments({
+          ...filter,
+          geo: { $geoWithin: { $centerSphere: [point, radiusKm / EARTH_RADIUS_KM] } }
+        })
+      ]);
+
+      const events = await Event.populate(results, { path: 'organizer', select: 'fullName displayName profilePhoto' });
+      events.forEach(event => {
+        event.distanceKm = Math.round(event.distance / 10) / 100;
+        delete event.distance;
+      });
+
+      return res.status(200).json({
+        success: true,
+        count: events.length,
+        total,
+        page: parseInt(page),
+        pages: Math.ceil(total / limit),
+        events
+      });
+    }
+
+    let sort = { date: 1 };
+    let projection = null;
+
+    if (q) {
+      filter.$text = { $search: q };
+      projection = { score: { $meta: 'textScore' } };
+      sort = { score: { $meta: 'textScore' }, date: 1 };
+    }
 
-    const events = await Event.find(filter)
+    const events = await Event.find(filter, projection)
       .populate('organizer', 'fullName displayName profilePhoto')
-      .sort({ date: 1 })
+      .sort(sort)
       .limit(limit * 1)
       .skip((page - 1) * limit);
 
@@ -92,6 +533,22 @@ exports.getEvent = async (req, res) => {
 // @access  Private
 exports.createEvent = async (req, res) => {
   try {
+    if (req.body.registrationForm !== undefined) {
+      const { fields, error } = normalizeRegistrationForm(req.body.registrationForm);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      req.body.registrationForm = withChoiceLimits(fields, new Map());
+    }
+
+    // Co-hosts are invited separately once the event exists
+    delete req.body.coHosts;
+
     const event = await Event.create({
       ...req.body,
       organizer: req.user.id,
@@ -101,6 +558,13 @@ exports.createEvent = async (req, res) => {
 
     await event.populate('organizer', 'fullName displayName profilePhoto club district role');
 
+    if (req.user.club) {
+      notifyClubMembers(req.user.club, 'new_event', {
+        eventTitle: event.title,
+        eventId: event._id.toString()
+      }, req.user._id);
+    }
+
     res.status(201).json({
       success: true,
       message: 'Event created successfully',
@@ -116,74 +580,248 @@ exports.createEvent = async (req, res) => {
   }
 };
 
-// @desc    Register for event
-// @route   POST /api/events/:id/register
-// @access  Private
-exports.registerForEvent = async (req, res) => {
+// @desc    Update event
+// @route   PUT /api/events/:id
+// @access  Private (Organizer/Webmaster)
+exports.updateEvent = async (req, res) => {
   try {
-    const event = await Event.findById(req.params.id);
+    const event = req.event;
+    const updates = { ...req.body };
 
-    if (!event) {
-      return res.status(404).json({
+    // Fields managed by the system, not by the edit form
+    [
+      '_id', 'organizer', 'club', 'district', 'currentAttendees', 'registeredUsers',
+      'attendees', 'certificates', 'gallery', 'viewCount', 'shareCount', 'createdAt', 'updatedAt',
+      'series', 'occurrenceIndex', 'originalDate', 'isException', 'status', 'completedAt',
+      'attendanceFinalizedAt', 'feedbackRequestedAt', 'cancelledAt', 'cancellationReason', 'geo',
+      'registrationForm', 'registrationFormVersion', 'coHosts', 'coverPhoto', 'imageUrlBeforeCover'
+    ].forEach(field => delete updates[field]);
+
+    if (updates.maxAttendees !== undefined) {
+      const maxAttendees = Number(updates.maxAttendees);
+
+      if (isNaN(maxAttendees) || maxAttendees < 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Maximum attendees must be 0 (unlimited) or a positive number'
+        });
+      }
+
+      if (maxAttendees > 0 && maxAttendees < event.currentAttendees) {
+        return res.status(400).json({
+          success: false,
+          message: `Capacity cannot be lower than the ${event.currentAttendees} people already registered`
+        });
+      }
+
+      updates.maxAttendees = maxAttendees;
+    }
+
+    event.set(updates);
+
+    const scheduleChanged = ['date', 'time', 'endDate', 'endTime'].some(field => event.isModified(field));
+    const venueChanged = ['location', 'address', 'city'].some(field => event.isModified(field));
+    const capacityChanged = event.isModified('maxAttendees');
+
+    // Status follows the schedule (cancellation has its own endpoint)
+    if (scheduleChanged && event.status !== 'cancelled') {
+      event.status = deriveEventStatus(event) || event.status;
+    }
+
+    // An edited occurrence no longer follows series-wide changes
+    if (event.series && event.isModified()) {
+      event.isException = true;
+    }
+
+    await event.save();
+
+    if (capacityChanged) {
+      await fillFromWaitlist(event);
+    }
+
+    await handleEventChanges(event, { scheduleChanged, venueChanged });
+
+    await event.populate('organizer', 'fullName displayName profilePhoto club district role');
+
+    res.status(200).json({
+      success: true,
+      message: 'Event updated successfully',
+      event
+    });
+
+  } catch (error) {
+    console.error('Update event error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
         success: false,
-        message: 'Event not found'
+        message: 'Validation Error',
+        errors: Object.values(error.errors).map(val => val.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update event'
+    });
+  }
+};
+
+// @desc    Delete event
+// @route   DELETE /api/events/:id
+// @access  Private (Organizer/Webmaster)
+exports.deleteEvent = async (req, res) => {
+  try {
+    const event = req.event;
+    const { reason } = req.body || {};
+
+    // Occurrences stay in their series as cancelled exceptions
+    if (event.series) {
+      const registrationsNotified = await markEventCancelled(event, reason);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Occurrence cancelled successfully',
+        registrationsNotified
+      });
+    }
+
+    const registrations = await EventRegistration.find({ event: event._id });
+
+    // Deleting would drop paid registrations without a refund; cancelling refunds them and keeps the records
+    if (registrations.some(registration => registration.paymentStatus === 'paid')) {
+      return res.status(409).json({
+        success: false,
+        message: 'This event has paid registrations. Cancel it instead (POST /api/events/:id/cancel) so attendees are refunded'
       });
     }
 
-    // Check if registration is open
-    if (!event.registrationOpen) {
+    const registrationIds = registrations.map(registration => registration._id);
+    const volunteers = await ShiftSignup.find({ event: event._id, status: 'signed_up' }).distinct('user');
+    const notifyUserIds = [...new Set([
+      ...registrations
+        .filter(registration => ['registered', 'waitlisted', 'offered'].includes(registration.status))
+        .map(registration => registration.user.toString()),
+      ...volunteers.map(userId => userId.toString())
+    ])];
+
+    await ScheduledNotification.updateMany(
+      {
+        'reference.kind': 'EventRegistration',
+        'reference.id': { $in: registrationIds },
+        status: 'scheduled'
+      },
+      { status: 'cancelled', cancelledAt: new Date() }
+    );
+
+    await EventRegistration.deleteMany({ event: event._id });
+    await ShiftSignup.deleteMany({ event: event._id });
+    await VolunteerShift.deleteMany({ event: event._id });
+
+    // Gallery files are removed best-effort; a Cloudinary hiccup should not block the delete
+    const photos = await EventPhoto.find({ event: event._id }).select('publicId');
+    await Promise.allSettled(photos.map(photo => deleteFromCloudinary(photo.publicId)));
+    await EventPhoto.deleteMany({ event: event._id });
+
+    await event.deleteOne();
+
+    notifyUsers(notifyUserIds, 'event_cancelled', {
+      eventTitle: event.title,
+      eventId: event._id.toString(),
+      reason
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Event deleted successfully',
+      registrationsRemoved: registrationIds.length
+    });
+
+  } catch (error) {
+    console.error('Delete event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete event'
+    });
+  }
+};
+
+// @desc    Cancel event and notify everyone registered
+// @route   POST /api/events/:id/cancel
+// @access  Private (Organizer/Webmaster)
+exports.cancelEvent = async (req, res) => {
+  try {
+    const event = req.event;
+    const { reason } = req.body || {};
+
+    if (event.status === 'cancelled') {
       return res.status(400).json({
         success: false,
-        message: 'Registration is closed for this event'
+        message: 'This event has already been cancelled'
       });
     }
 
-    // Check if registration deadline has passed
-    if (event.registrationDeadline && new Date() > event.registrationDeadline) {
+    if (event.status === 'completed') {
       return res.status(400).json({
         success: false,
-        message: 'Registration deadline has passed'
+        message: 'A completed event cannot be cancelled'
       });
     }
 
-    // Check if event is full
-    if (event.maxAttendees > 0 && event.currentAttendees >= event.maxAttendees) {
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
       return res.status(400).json({
         success: false,
-        message: 'Event is full'
+        message: 'Reason must be text of at most 500 characters'
       });
     }
 
-    // Check if already registered
-    const existingRegistration = await EventRegistration.findOne({
-      event: event._id,
-      user: req.user.id
+    const registrationsNotified = await markEventCancelled(event, reason);
+
+    res.status(200).json({
+      success: true,
+      message: 'Event cancelled successfully',
+      registrationsNotified,
+      event
     });
 
-    if (existingRegistration) {
-      return res.status(400).json({
+  } catch (error) {
+    console.error('Cancel event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel event'
+    });
+  }
+};
+
+// @desc    Register for event
+// @route   POST /api/events/:id/register
+// @access  Private
+exports.registerForEvent = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
         success: false,
-        message: 'Already registered for this event'
+        message: 'Event not found'
       });
     }
 
-    // Create registration
-    const registration = await EventRegistration.create({
-      event: event._id,
-      user: req.user.id,
-      status: 'registered',
-      paymentStatus: event.fee.amount > 0 ? 'pending' : 'free'
-    });
+    const result = await registerUserForEvent(event, req.user.id, { answers: (req.body || {}).answers });
 
-    // Update event attendee count
-    event.currentAttendees += 1;
-    event.registeredUsers.push(req.user.id);
-    await event.save();
+    if (!['registered', 'waitlisted'].includes(result.status)) {
+      return res.status(400).json({
+        success: false,
+        message: result.message,
+        errors: result.errors
+      });
+    }
 
     res.status(201).json({
       success: true,
-      message: 'Registered for event successfully',
-      registration
+      message: result.message,
+      waitlisted: result.status === 'waitlisted',
+      registration: result.registration
     });
 
   } catch (error) {
@@ -195,10 +833,10 @@ exports.registerForEvent = async (req, res) => {
   }
 };
 
-// @desc    Share event
-// @route   POST /api/events/:id/share
+// @desc    Cancel my registration or leave the waitlist
+// @route   DELETE /api/events/:id/register
 // @access  Private
-exports.shareEvent = async (req, res) => {
+exports.cancelRegistration = async (req, res) => {
   try {
     const event = await Event.findById(req.params.id);
 
@@ -209,41 +847,264 @@ exports.shareEvent = async (req, res) => {
       });
     }
 
-    // Increment share count
-    event.shareCount += 1;
-    await event.save();
+    const registration = await EventRegistration.findOne({
+      event: event._id,
+      user: req.user.id,
+      status: { $in: ['registered', 'waitlisted', 'offered'] }
+    });
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active registration found for this event'
+      });
+    }
+
+    const start = getEventStartDate(event);
+    if (registration.status === 'registered' && start && new Date() >= start) {
+      return res.status(400).json({
+        success: false,
+        message: 'Registrations cannot be cancelled after the event has started'
+      });
+    }
+
+    const previousStatus = registration.status;
+    const cancelled = await cancelUserRegistration(event, registration);
+
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Registration changed while cancelling, please try again'
+      });
+    }
 
     res.status(200).json({
       success: true,
-      message: 'Event shared successfully',
-      shareCount: event.shareCount
+      message: previousStatus === 'waitlisted'
+        ? 'You have left the waitlist'
+        : 'Registration cancelled successfully',
+      registration: cancelled
     });
 
   } catch (error) {
-    console.error('Share event error:', error);
+    console.error('Cancel registration error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to share event'
+      message: 'Failed to cancel registration'
     });
   }
 };
 
-// @desc    Get user's registered events
-// @route   GET /api/events/user/registered
+// @desc    Confirm a spot offered from the waitlist
+// @route   POST /api/events/:id/waitlist/confirm
 // @access  Private
-exports.getUserRegisteredEvents = async (req, res) => {
+exports.confirmWaitlistOffer = async (req, res) => {
   try {
-    const registrations = await EventRegistration.find({ 
-      user: req.user.id 
-    })
-    .populate({
-      path: 'event',
-      populate: {
-        path: 'organizer',
-        select: 'fullName displayName profilePhoto'
-      }
-    })
-    .sort({ registrationDate: -1 });
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Paid events give the confirmed user the usual time to pay before the seat is passed on
+    const confirmed = { status: 'registered', updatedAt: new Date() };
+    if (event.fee && event.fee.amount > 0) confirmed.paymentExpiresAt = getPaymentDeadline(event);
+
+    const registration = await EventRegistration.findOneAndUpdate(
+      {
+        event: event._id,
+        user: req.user.id,
+        status: 'offered',
+        offerExpiresAt: { $gt: new Date() }
+      },
+      {
+        $set: confirmed,
+        $unset: { offeredAt: 1, offerExpiresAt: 1 }
+      },
+      { new: true }
+    );
+
+    if (!registration) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have no open offer for this event, or it has expired'
+      });
+    }
+
+    // The seat was already counted when the offer was made
+    await Event.updateOne({ _id: event._id }, { $addToSet: { registeredUsers: registration.user } });
+
+    await scheduleEventReminder(event, registration);
+
+    res.status(200).json({
+      success: true,
+      message: 'Your spot is confirmed',
+      registration
+    });
+
+  } catch (error) {
+    console.error('Confirm waitlist offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm waitlist offer'
+    });
+  }
+};
+
+// @desc    Get event waitlist and open offers
+// @route   GET /api/events/:id/waitlist
+// @access  Private (Organizer/Webmaster)
+exports.getWaitlist = async (req, res) => {
+  try {
+    const [waitlist, offers] = await Promise.all([
+      EventRegistration.find({ event: req.event._id, status: 'waitlisted' })
+        .populate('user', 'fullName displayName email profilePhoto club leoId')
+        .sort({ waitlistPosition: 1 }),
+      EventRegistration.find({ event: req.event._id, status: 'offered' })
+        .populate('user', 'fullName displayName email profilePhoto club leoId')
+        .sort({ offerExpiresAt: 1 })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: waitlist.length,
+      waitlist,
+      offers
+    });
+
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch waitlist'
+    });
+  }
+};
+
+// @desc    Reorder the event waitlist
+// @route   PUT /api/events/:id/waitlist/reorder
+// @access  Private (Organizer/Webmaster)
+exports.reorderWaitlist = async (req, res) => {
+  try {
+    const { registrationIds } = req.body;
+
+    if (!Array.isArray(registrationIds) || registrationIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'registrationIds array is required'
+      });
+    }
+
+    const waitlist = await EventRegistration.find({ event: req.event._id, status: 'waitlisted' })
+      .select('_id');
+    const currentIds = waitlist.map(registration => registration._id.toString());
+    const requestedIds = registrationIds.map(id => id.toString());
+
+    // The new order must contain every waitlisted registration exactly once
+    if (
+      requestedIds.length !== currentIds.length ||
+      new Set(requestedIds).size !== requestedIds.length ||
+      !requestedIds.every(id => currentIds.includes(id))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'registrationIds must list every waitlisted registration exactly once'
+      });
+    }
+
+    await EventRegistration.bulkWrite(requestedIds.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id, event: req.event._id, status: 'waitlisted' },
+        update: { waitlistPosition: index + 1, updatedAt: new Date() }
+      }
+    })));
+
+    const reordered = await EventRegistration.find({ event: req.event._id, status: 'waitlisted' })
+      .populate('user', 'fullName displayName email profilePhoto club leoId')
+      .sort({ waitlistPosition: 1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Waitlist reordered successfully',
+      count: reordered.length,
+      waitlist: reordered
+    });
+
+  } catch (error) {
+    console.error('Reorder waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reorder waitlist'
+    });
+  }
+};
+
+// @desc    Share event
+// @route   POST /api/events/:id/share
+// @access  Private
+exports.shareEvent = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Increment share count
+    event.shareCount += 1;
+    await event.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Event shared successfully',
+      shareCount: event.shareCount
+    });
+
+  } catch (error) {
+    console.error('Share event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to share event'
+    });
+  }
+};
+
+// @desc    Get user's registered events
+// @route   GET /api/events/my/registered
+// @access  Private
+exports.getUserRegisteredEvents = async (req, res) => {
+  try {
+    const registrations = await EventRegistration.find({ 
+      user: req.user.id 
+    })
+    .populate({
+      path: 'event',
+      populate: {
+        path: 'organizer',
+        select: 'fullName displayName profilePhoto'
+      }
+    })
+    .sort({ registrationDate: -1 });
+
+    // ?format=ics downloads the same list for import into a calendar app
+    if (req.query.format === 'ics') {
+      const active = registrations.filter(registration => registration.event && registration.status !== 'cancelled');
+      const statusByEvent = new Map(active.map(registration => [registration.event._id.toString(), registration.status]));
+
+      return sendCalendar(res, buildCalendar({
+        name: 'My LeoConnect Events',
+        events: active.map(registration => registration.event),
+        statusFor: (event) => ['waitlisted', 'offered'].includes(statusByEvent.get(event._id.toString()))
+          ? 'TENTATIVE'
+          : 'CONFIRMED'
+      }), 'my-events.ics');
+    }
 
     res.status(200).json({
       success: true,
@@ -258,4 +1119,1321 @@ exports.getUserRegisteredEvents = async (req, res) => {
       message: 'Failed to fetch user events'
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Download an event as an iCalendar (.ics) file
+// @route   GET /api/events/:id/ics
+// @access  Private
+exports.exportEventCalendar = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    sendCalendar(res, buildCalendar({ name: event.title, events: [event] }), `event-${event._id}.ics`);
+
+  } catch (error) {
+    console.error('Export event calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export event'
+    });
+  }
+};
+
+// @desc    Get event registrations
+// @route   GET /api/events/:id/registrations
+// @access  Private (Organizer/Webmaster)
+exports.getEventRegistrations = async (req, res) => {
+  try {
+    const {
+      status,
+      paymentStatus,
+      page = 1,
+      limit = 50
+    } = req.query;
+
+    const filter = { event: req.event._id };
+    if (status) filter.status = status;
+    if (paymentStatus) filter.paymentStatus = paymentStatus;
+
+    const [registrations, total, byStatus, byPaymentStatus] = await Promise.all([
+      EventRegistration.find(filter)
+        .populate('user', 'fullName displayName email contactNumber profilePhoto club district leoId')
+        .sort({ registrationDate: 1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      EventRegistration.countDocuments(filter),
+      EventRegistration.aggregate([
+        { $match: { event: req.event._id } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      EventRegistration.aggregate([
+        { $match: { event: req.event._id } },
+        { $group: { _id: '$paymentStatus', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: registrations.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      summary: {
+        byStatus,
+        byPaymentStatus
+      },
+      registrations
+    });
+
+  } catch (error) {
+    console.error('Get event registrations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch event registrations'
+    });
+  }
+};
+
+// @desc    Set the event's registration form
+// @route   PUT /api/events/:id/registration-form
+// @access  Private (Organizer/Webmaster)
+exports.updateRegistrationForm = async (req, res) => {
+  try {
+    const event = req.event;
+    const { fields, error } = normalizeRegistrationForm((req.body || {}).fields);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    let updated = null;
+
+    // Places taken or given back bump the version, so the replace is retried on a fresh snapshot
+    for (let attempt = 0; attempt < FORM_UPDATE_ATTEMPTS && !updated; attempt++) {
+      const current = attempt === 0
+        ? event
+        : await Event.findById(event._id).select('registrationForm registrationFormVersion');
+      if (!current) break;
+
+      const version = current.registrationFormVersion || 0;
+      const takenCounts = new Map();
+
+      for (const field of fields.filter(item => item.type === 'choice')) {
+        const currentField = (current.registrationForm || []).find(item => item.key === field.key);
+
+        for (const option of field.options.filter(item => item.limit)) {
+          const currentOption = currentField && currentField.type === 'choice' &&
+            currentField.options.find(item => item.value === option.value);
+
+          // Options that already had a limit keep their counter (limit - remaining), which
+          // includes places reserved by registrations that are not saved yet
+          if (currentOption && currentOption.limit && typeof currentOption.remaining === 'number') {
+            takenCounts.set(`${field.key}:${option.value}`, Math.max(0, currentOption.limit - currentOption.remaining));
+            continue;
+          }
+
+          // Newly limited options start from the registrations already holding them
+          const taken = await EventRegistration.countDocuments({
+            event: event._id,
+            status: { $ne: 'cancelled' },
+            [`formAnswers.${field.key}`]: option.value
+          });
+          takenCounts.set(`${field.key}:${option.value}`, taken);
+        }
+      }
+
+      const update = { registrationForm: withChoiceLimits(fields, takenCounts), updatedAt: new Date() };
+      if (event.series) update.isException = true;
+
+      updated = await Event.findOneAndUpdate(
+        { _id: event._id, registrationFormVersion: version || { $in: [null, 0] } },
+        { $set: update, $inc: { registrationFormVersion: 1 } },
+        { new: true, runValidators: true }
+      ).select('registrationForm');
+    }
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Registrations are coming in for this event, please try again'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Registration form updated',
+      registrationForm: updated.registrationForm
+    });
+
+  } catch (error) {
+    console.error('Update registration form error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update registration form'
+    });
+  }
+};
+
+// @desc    Get registration form answers (?format=csv to download)
+// @route   GET /api/events/:id/registrations/answers
+// @access  Private (Organizer/Webmaster)
+exports.getRegistrationAnswers = async (req, res) => {
+  try {
+    const event = req.event;
+    const { status, format, page = 1, limit = 50 } = req.query;
+    const fields = event.registrationForm || [];
+
+    const filter = { event: event._id };
+    filter.status = status || { $ne: 'cancelled' };
+
+    if (format === 'csv') {
+      const registrations = await EventRegistration.find(filter)
+        .populate('user', 'fullName email leoId')
+        .sort({ registrationDate: 1 });
+
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="event-${event._id}-answers.csv"`
+      });
+      return res.status(200).send(buildAnswersCsv(fields, registrations));
+    }
+
+    const [registrations, total, selections] = await Promise.all([
+      EventRegistration.find(filter)
+        .select('user status registrationDate formAnswers')
+        .populate('user', 'fullName email leoId club')
+        .sort({ registrationDate: 1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      EventRegistration.countDocuments(filter),
+      EventRegistration.find(filter).select('formAnswers')
+    ]);
+
+    // Totals per option of every choice field
+    const summary = fields
+      .filter(field => field.type === 'choice')
+      .map(field => ({
+        key: field.key,
+        label: field.label,
+        options: field.options.map(option => ({
+          value: option.value,
+          label: option.label,
+          limit: option.limit,
+          remaining: option.remaining,
+          count: selections.filter(registration => {
+            const answer = registration.formAnswers && registration.formAnswers.get(field.key);
+            return Array.isArray(answer) ? answer.includes(option.value) : answer === option.value;
+          }).length
+        }))
+      }));
+
+    res.status(200).json({
+      success: true,
+      count: registrations.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      fields,
+      summary,
+      registrations
+    });
+
+  } catch (error) {
+    console.error('Get registration answers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch registration answers'
+    });
+  }
+};
+
+// @desc    Export attendee list (?format=csv|xlsx, ?columns=name,email,...)
+// @route   GET /api/events/:id/registrations/export
+// @access  Private (Organizer/Webmaster)
+exports.exportEventRegistrations = async (req, res) => {
+  try {
+    const event = req.event;
+    const { status, paymentStatus, format = 'csv' } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const { columns, error } = parseExportColumns(req.query.columns);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const filter = { event: event._id };
+    if (status) filter.status = status;
+    if (paymentStatus) filter.paymentStatus = paymentStatus;
+
+    const registrations = await EventRegistration.find(filter)
+      .populate({
+        path: 'user',
+        select: 'fullName email contactNumber leoId club district',
+        populate: [
+          { path: 'club', select: 'name' },
+          { path: 'district', select: 'name' }
+        ]
+      })
+      .sort({ registrationDate: 1 });
+
+    const exportData = buildExportRows(event.registrationForm || [], registrations, columns);
+
+    // The file holds personal data, so it is only sent once the export is on record
+    await recordAudit(req, 'registrations_export', {
+      event: event._id,
+      details: {
+        format,
+        columns,
+        filters: { status, paymentStatus },
+        rowCount: registrations.length
+      }
+    });
+
+    const filename = `event-${event._id}-registrations.${format}`;
+
+    if (format === 'xlsx') {
+      const workbook = await buildExportXlsx(exportData, event.title);
+
+      res.set({
+        'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'Content-Disposition': `attachment; filename="${filename}"`
+      });
+      return res.status(200).send(Buffer.from(workbook));
+    }
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.status(200).send(buildExportCsv(exportData));
+
+  } catch (error) {
+    console.error('Export event registrations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export registrations'
+    });
+  }
+};
+
+// @desc    Get the export history of an event's attendee list
+// @route   GET /api/events/:id/registrations/exports
+// @access  Private (Organizer/Webmaster)
+exports.getRegistrationExports = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const filter = { event: req.event._id, action: 'registrations_export' };
+
+    const [exportsLog, total] = await Promise.all([
+      AuditLog.find(filter)
+        .select('-userAgent')
+        .populate('actor', 'fullName displayName email')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: exportsLog.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      exports: exportsLog
+    });
+
+  } catch (error) {
+    console.error('Get registration exports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch export history'
+    });
+  }
+};
+
+// @desc    Get event statistics
+// @route   GET /api/events/:id/stats
+// @access  Private (Organizer/Webmaster)
+exports.getEventStats = async (req, res) => {
+  try {
+    const event = req.event;
+
+    const [stats] = await EventRegistration.aggregate([
+      { $match: { event: event._id } },
+      {
+        $facet: {
+          byStatus: [
+            { $group: { _id: '$status', count: { $sum: 1 } } }
+          ],
+          payments: [
+            {
+              $group: {
+                _id: '$paymentStatus',
+                count: { $sum: 1 },
+                amount: { $sum: { $ifNull: ['$amountPaid', 0] } }
+              }
+            }
+          ],
+          registrationsOverTime: [
+            {
+              $group: {
+                _id: {
+                  $dateToString: { format: '%Y-%m-%d', date: '$registrationDate', timezone: SRI_LANKA_OFFSET }
+                },
+                count: { $sum: 1 }
+              }
+            },
+            { $sort: { _id: 1 } },
+            { $project: { _id: 0, date: '$_id', count: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const statusCounts = stats.byStatus.reduce((counts, item) => {
+      counts[item._id] = item.count;
+      return counts;
+    }, { registered: 0, attended: 0, cancelled: 0, 'no-show': 0 });
+
+    const totalRegistrations = Object.values(statusCounts).reduce((sum, count) => sum + count, 0);
+    const activeRegistrations = totalRegistrations - statusCounts.cancelled;
+    const checkedOut = statusCounts.attended + statusCounts['no-show'];
+
+    // Cumulative count per day for charting
+    let runningTotal = 0;
+    const registrationsOverTime = stats.registrationsOverTime.map(item => {
+      runningTotal += item.count;
+      return { ...item, cumulative: runningTotal };
+    });
+
+    const percentage = (part, whole) => whole > 0 ? parseFloat(((part / whole) * 100).toFixed(2)) : 0;
+
+    const feedback = await summarizeEventFeedback(event, statusCounts.attended);
+
+    res.status(200).json({
+      success: true,
+      stats: {
+        eventId: event._id,
+        title: event.title,
+        status: event.status,
+        capacity: {
+          maxAttendees: event.maxAttendees,
+          currentAttendees: event.currentAttendees,
+          fillRate: event.maxAttendees > 0 ? percentage(event.currentAttendees, event.maxAttendees) : null
+        },
+        registrations: {
+          total: totalRegistrations,
+          active: activeRegistrations,
+          byStatus: statusCounts
+        },
+        attendance: {
+          attended: statusCounts.attended,
+          noShows: statusCounts['no-show'],
+          attendanceRate: percentage(statusCounts.attended, activeRegistrations),
+          noShowRate: percentage(statusCounts['no-show'], checkedOut)
+        },
+        payments: stats.payments.map(item => ({
+          status: item._id,
+          count: item.count,
+          amount: item.amount
+        })),
+        engagement: {
+          viewCount: event.viewCount,
+          shareCount: event.shareCount,
+          registrationConversion: percentage(totalRegistrations, event.viewCount)
+        },
+        feedback,
+        registrationsOverTime
+      }
+    });
+
+  } catch (error) {
+    console.error('Get event stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch event statistics'
+    });
+  }
+};
+
+// @desc    Get check-in QR code for current user's registration
+// @route   GET /api/events/:id/check-in-token
+// @access  Private
+exports.getCheckInToken = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).select('title date time endDate endTime status');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (event.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'This event has been cancelled'
+      });
+    }
+
+    const registration = await EventRegistration.findOne({
+      event: event._id,
+      user: req.user._id,
+      status: { $in: ['registered', 'attended'] }
+    });
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not registered for this event'
+      });
+    }
+
+    const { token, qrPayload, qrCode } = await buildCheckInQr(registration, event);
+
+    res.status(200).json({
+      success: true,
+      registrationId: registration._id,
+      status: registration.status,
+      checkInTime: registration.checkInTime,
+      checkInWindow: getCheckInWindow(event),
+      token,
+      qrPayload,
+      qrCode
+    });
+
+  } catch (error) {
+    console.error('Get check-in token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate check-in code'
+    });
+  }
+};
+
+// Resolve a scanned token to a registration of this event
+const resolveScannedRegistration = async (event, scanned, scannedAt) => {
+  const decoded = verifyCheckInToken(scanned, scannedAt);
+  if (!decoded) {
+    return { error: 'Invalid or expired check-in code' };
+  }
+
+  if (decoded.eid !== event._id.toString()) {
+    return { error: 'This check-in code is for a different event' };
+  }
+
+  const registration = await EventRegistration.findById(decoded.rid);
+  if (!registration || registration.user.toString() !== decoded.uid) {
+    return { error: 'Registration not found' };
+  }
+
+  return { registration };
+};
+
+// @desc    Check in an attendee by scanning their QR code (or manually by user ID)
+// @route   POST /api/events/:id/check-in
+// @access  Private (Organizer/Webmaster)
+exports.checkInAttendee = async (req, res) => {
+  try {
+    const event = req.event;
+    const { token, userId } = req.body || {};
+
+    if (event.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'This event has been cancelled'
+      });
+    }
+
+    const { opensAt, closesAt } = getCheckInWindow(event);
+    if (opensAt && new Date() < opensAt) {
+      return res.status(400).json({
+        success: false,
+        message: `Check-in opens at ${opensAt.toISOString()}`
+      });
+    }
+
+    // Same close as the QR codes, which expire when check-in closes
+    if (closesAt && new Date() > closesAt) {
+      return res.status(400).json({
+        success: false,
+        message: `Check-in closed at ${closesAt.toISOString()}`
+      });
+    }
+
+    let registration;
+    let method = 'qr';
+
+    if (token) {
+      const resolved = await resolveScannedRegistration(event, token);
+      if (resolved.error) {
+        return res.status(400).json({
+          success: false,
+          message: resolved.error
+        });
+      }
+      registration = resolved.registration;
+    } else if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid user ID'
+        });
+      }
+
+      registration = await EventRegistration.findOne({ event: event._id, user: userId });
+      method = 'manual';
+      if (!registration) {
+        return res.status(404).json({
+          success: false,
+          message: 'User is not registered for this event'
+        });
+      }
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-in token or user ID is required'
+      });
+    }
+
+    const result = await markAttendance(event, registration, {
+      checkedInBy: req.user._id,
+      method
+    });
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await result.registration.populate('user', 'fullName displayName profilePhoto leoId');
+
+    res.status(200).json({
+      success: true,
+      message: result.alreadyCheckedIn ? 'Attendee was already checked in' : 'Attendee checked in successfully',
+      alreadyCheckedIn: result.alreadyCheckedIn,
+      registration: result.registration
+    });
+
+  } catch (error) {
+    console.error('Event check-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check in attendee'
+    });
+  }
+};
+
+// @desc    Sync check-ins scanned while the organizer's device was offline
+// @route   POST /api/events/:id/check-in/sync
+// @access  Private (Organizer/Webmaster)
+exports.syncCheckIns = async (req, res) => {
+  try {
+    const event = req.event;
+    const { scans } = req.body;
+
+    if (!Array.isArray(scans) || scans.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scans array is required'
+      });
+    }
+
+    if (scans.length > 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'Maximum 500 scans per sync'
+      });
+    }
+
+    const { opensAt } = getCheckInWindow(event);
+    // Allow for small clock differences on the scanning device
+    const latestAllowed = new Date(Date.now() + 5 * 60 * 1000);
+    const results = [];
+
+    for (const [index, scan] of scans.entries()) {
+      const scannedAt = scan.scannedAt ? new Date(scan.scannedAt) : new Date();
+
+      if (isNaN(scannedAt.getTime()) || scannedAt > latestAllowed || (opensAt && scannedAt < opensAt)) {
+        results.push({ index, status: 'invalid', message: 'Scan time is outside the check-in window' });
+        continue;
+      }
+
+      const resolved = await resolveScannedRegistration(event, scan.token, scannedAt);
+      if (resolved.error) {
+        results.push({ index, status: 'invalid', message: resolved.error });
+        continue;
+      }
+
+      const result = await markAttendance(event, resolved.registration, {
+        checkInTime: scannedAt,
+        checkedInBy: req.user._id,
+        method: 'offline_sync'
+      });
+
+      if (!result.success) {
+        results.push({ index, status: 'invalid', message: result.error, registrationId: resolved.registration._id });
+      } else {
+        results.push({
+          index,
+          status: result.alreadyCheckedIn ? 'duplicate' : 'checked_in',
+          registrationId: result.registration._id,
+          user: result.registration.user
+        });
+      }
+    }
+
+    const summary = results.reduce((counts, result) => {
+      counts[result.status] = (counts[result.status] || 0) + 1;
+      return counts;
+    }, { checked_in: 0, duplicate: 0, invalid: 0 });
+
+    res.status(200).json({
+      success: true,
+      message: `${summary.checked_in} check-ins synced`,
+      summary,
+      results
+    });
+
+  } catch (error) {
+    console.error('Sync check-ins error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sync check-ins'
+    });
+  }
+};
+
+// @desc    Issue participation certificates to attendees
+// @route   POST /api/events/:id/certificates
+// @access  Private (Organizer/Webmaster)
+exports.issueCertificates = async (req, res) => {
+  try {
+    const event = req.event;
+    const { userIds } = req.body || {};
+
+    if (event.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Certificates cannot be issued for a cancelled event'
+      });
+    }
+
+    // Unlocked by the lifecycle worker once the event has ended
+    if (event.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Certificates can only be issued once the event is completed'
+      });
+    }
+
+    if (userIds !== undefined && (!Array.isArray(userIds) || userIds.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'userIds must be a non-empty array'
+      });
+    }
+
+    const filter = {
+      event: event._id,
+      status: 'attended',
+      certificateIssued: { $ne: true }
+    };
+    if (userIds) filter.user = { $in: userIds };
+
+    const registrations = await EventRegistration.find(filter)
+      .populate('user', 'fullName displayName');
+
+    if (registrations.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No attendees are waiting for a certificate'
+      });
+    }
+
+    const [club] = await Promise.all([
+      findEventClub(event),
+      event.populate('organizer', 'fullName')
+    ]);
+
+    const issued = [];
+    const failed = [];
+
+    for (const registration of registrations) {
+      const certificateId = generateCertificateId();
+      const issuedAt = new Date();
+
+      try {
+        const file = await createCertificateFile({
+          recipientName: registration.user.fullName,
+          event,
+          club,
+          organizerName: event.organizer && event.organizer.fullName,
+          certificateId,
+          issuedAt
+        });
+
+        // Only the first issuance wins if two organizers issue at the same time
+        const updated = await EventRegistration.findOneAndUpdate(
+          { _id: registration._id, certificateIssued: { $ne: true } },
+          {
+            certificateIssued: true,
+            certificateId,
+            certificateUrl: file.certificateUrl,
+            updatedAt: issuedAt
+          },
+          { new: true }
+        );
+
+        // Lost the race: remove the file nobody will reference
+        if (!updated) {
+          await deleteFromCloudinary(file.publicId).catch(deleteError => {
+            console.error(`Failed to delete unused certificate ${certificateId}:`, deleteError);
+          });
+          continue;
+        }
+
+        await Event.updateOne(
+          { _id: event._id },
+          {
+            $push: {
+              certificates: {
+                userId: registration.user._id,
+                certificateId,
+                certificateUrl: file.certificateUrl,
+                publicId: file.publicId,
+                issuedAt,
+                issuedBy: req.user._id
+              }
+            }
+          }
+        );
+
+        await Event.updateOne(
+          { _id: event._id, 'attendees.user': registration.user._id },
+          { $set: { 'attendees.$.certificateIssued': true, 'attendees.$.certificateId': certificateId } }
+        );
+
+        issued.push({
+          user: registration.user._id,
+          certificateId,
+          certificateUrl: file.certificateUrl
+        });
+      } catch (error) {
+        console.error(`Certificate generation failed for registration ${registration._id}:`, error);
+        failed.push({
+          user: registration.user._id,
+          message: error.message
+        });
+      }
+    }
+
+    if (issued.length > 0) {
+      await notifyUsers(issued.map(certificate => certificate.user), 'certificate_issued', {
+        eventTitle: event.title,
+        eventId: event._id.toString()
+      });
+    }
+
+    res.status(issued.length > 0 ? 201 : 500).json({
+      success: issued.length > 0,
+      message: `${issued.length} certificate(s) issued${failed.length ? `, ${failed.length} failed` : ''}`,
+      count: issued.length,
+      certificates: issued,
+      failed
+    });
+
+  } catch (error) {
+    console.error('Issue certificates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue certificates'
+    });
+  }
+};
+
+// Event fields that are set per occurrence or by the system, never copied from a series template
+const SERIES_EXCLUDED_FIELDS = [
+  '_id', 'organizer', 'club', 'district', 'currentAttendees', 'registeredUsers', 'attendees',
+  'certificates', 'gallery', 'viewCount', 'shareCount', 'createdAt', 'updatedAt', 'status',
+  'series', 'occurrenceIndex', 'originalDate', 'isException', 'date', 'endDate',
+  'attendanceFinalizedAt', 'recurrence', 'startDate', 'geo', 'registrationForm', 'coHosts', 'coverPhoto',
+  'imageUrlBeforeCover', 'registrationFormVersion'
+];
+
+const pickTemplateFields = (body) => {
+  const template = { ...body };
+  SERIES_EXCLUDED_FIELDS.forEach(field => delete template[field]);
+  return template;
+};
+
+// Start of today in Sri Lanka time; occurrences from today on count as upcoming
+const startOfToday = () => combineDateAndTime(new Date(), '00:00');
+
+const buildOccurrence = (series, date, index) => ({
+  ...series.template,
+  title: series.template.title || series.title,
+  organizer: series.organizer,
+  club: series.club,
+  district: series.district,
+  date,
+  originalDate: date,
+  series: series._id,
+  occurrenceIndex: index
+});
+
+// @desc    Create a recurring event series
+// @route   POST /api/events/series
+// @access  Private (Webmaster/Admin only)
+exports.createEventSeries = async (req, res) => {
+  try {
+    const { recurrence, date } = req.body;
+
+    const { rule, error } = normalizeRecurrenceRule(recurrence, date);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const series = new EventSeries({
+      title: req.body.title,
+      organizer: req.user.id,
+      club: req.user.club,
+      district: req.user.district,
+      recurrence: rule,
+      startDate: date,
+      template: pickTemplateFields(req.body)
+    });
+
+    const occurrences = generateOccurrenceDates(rule, date)
+      .map((occurrenceDate, index) => buildOccurrence(series, occurrenceDate, index));
+
+    // Validate the event fields once before writing anything
+    const validationError = new Event(occurrences[0]).validateSync();
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: Object.values(validationError.errors).map(val => val.message)
+      });
+    }
+
+    await series.save();
+    const events = await Event.insertMany(occurrences);
+
+    if (req.user.club) {
+      notifyClubMembers(req.user.club, 'new_event', {
+        eventTitle: series.title,
+        eventId: events[0]._id.toString()
+      }, req.user._id);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Event series created with ${events.length} occurrences`,
+      series,
+      count: events.length,
+      events
+    });
+
+  } catch (error) {
+    console.error('Create event series error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: Object.values(error.errors).map(val => val.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create event series'
+    });
+  }
+};
+
+// @desc    Get an event series with its occurrences
+// @route   GET /api/events/series/:seriesId
+// @access  Private
+exports.getEventSeries = async (req, res) => {
+  try {
+    const series = await EventSeries.findById(req.params.seriesId)
+      .populate('organizer', 'fullName displayName profilePhoto');
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event series not found'
+      });
+    }
+
+    const occurrences = await Event.find({ series: series._id })
+      .select('title date time endTime location status isException occurrenceIndex currentAttendees maxAttendees')
+      .sort({ date: 1 });
+
+    const myRegistrations = await EventRegistration.find({
+      user: req.user.id,
+      event: { $in: occurrences.map(occurrence => occurrence._id) },
+      status: { $ne: 'cancelled' }
+    }).select('event status series waitlistPosition');
+
+    res.status(200).json({
+      success: true,
+      series,
+      count: occurrences.length,
+      occurrences,
+      myRegistrations
+    });
+
+  } catch (error) {
+    console.error('Get event series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch event series'
+    });
+  }
+};
+
+// @desc    Update every upcoming occurrence of a series (and optionally its recurrence)
+// @route   PUT /api/events/series/:seriesId
+// @access  Private (Organizer/Webmaster)
+exports.updateEventSeries = async (req, res) => {
+  try {
+    const series = req.series;
+
+    if (series.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'This series has been cancelled'
+      });
+    }
+
+    const updates = pickTemplateFields(req.body);
+    let rule = null;
+
+    if (req.body.recurrence !== undefined) {
+      const normalized = normalizeRecurrenceRule(req.body.recurrence, series.startDate);
+      if (normalized.error) {
+        return res.status(400).json({
+          success: false,
+          message: normalized.error
+        });
+      }
+      rule = normalized.rule;
+    }
+
+    // Occurrences edited on their own keep their changes
+    const upcoming = await Event.find({
+      series: series._id,
+      date: { $gte: startOfToday() },
+      status: { $ne: 'cancelled' },
+      isException: false
+    }).sort({ date: 1 });
+
+    if (updates.maxAttendees !== undefined) {
+      const maxAttendees = Number(updates.maxAttendees);
+      const mostRegistered = Math.max(0, ...upcoming.map(occurrence => occurrence.currentAttendees));
+
+      if (isNaN(maxAttendees) || maxAttendees < 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Maximum attendees must be 0 (unlimited) or a positive number'
+        });
+      }
+
+      if (maxAttendees > 0 && maxAttendees < mostRegistered) {
+        return res.status(400).json({
+          success: false,
+          message: `Capacity cannot be lower than the ${mostRegistered} people already registered for an occurrence`
+        });
+      }
+
+      updates.maxAttendees = maxAttendees;
+    }
+
+    series.template = { ...series.template, ...updates };
+    series.markModified('template');
+    if (updates.title) series.title = updates.title;
+
+    let updated = 0;
+
+    for (const occurrence of upcoming) {
+      occurrence.set(updates);
+      if (!occurrence.isModified()) continue;
+
+      const scheduleChanged = ['time', 'endTime'].some(field => occurrence.isModified(field));
+      const venueChanged = ['location', 'address', 'city'].some(field => occurrence.isModified(field));
+      const capacityChanged = occurrence.isModified('maxAttendees');
+
+      await occurrence.save();
+      updated++;
+
+      if (capacityChanged) {
+        await fillFromWaitlist(occurrence);
+      }
+
+      await handleEventChanges(occurrence, { scheduleChanged, venueChanged });
+    }
+
+    let added = 0;
+    let removed = 0;
+
+    if (rule) {
+      const today = startOfToday();
+      const dates = generateOccurrenceDates(rule, series.startDate);
+      const existing = await Event.find({ series: series._id });
+      const existingByDay = new Map(existing.map(occurrence => [
+        getSriLankaDay(occurrence.originalDate || occurrence.date),
+        occurrence
+      ]));
+      const newDays = new Set(dates.map(date => getSriLankaDay(date)));
+
+      // Upcoming occurrences that no longer match the rule are cancelled, not deleted
+      for (const [day, occurrence] of existingByDay) {
+        if (newDays.has(day) || occurrence.date < today || occurrence.status === 'cancelled') continue;
+        await markEventCancelled(occurrence, 'The series schedule has changed');
+        removed++;
+      }
+
+      series.recurrence = rule;
+      const toCreate = [];
+
+      for (const [index, date] of dates.entries()) {
+        const occurrence = existingByDay.get(getSriLankaDay(date));
+
+        if (occurrence) {
+          if (occurrence.occurrenceIndex !== index) {
+            await Event.updateOne({ _id: occurrence._id }, { occurrenceIndex: index });
+          }
+        } else if (date >= today) {
+          toCreate.push(buildOccurrence(series, date, index));
+        }
+      }
+
+      if (toCreate.length > 0) {
+        await Event.insertMany(toCreate);
+        added = toCreate.length;
+      }
+    }
+
+    await series.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Event series updated successfully',
+      series,
+      occurrences: { updated, added, removed }
+    });
+
+  } catch (error) {
+    console.error('Update event series error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: Object.values(error.errors).map(val => val.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update event series'
+    });
+  }
+};
+
+// @desc    Cancel every upcoming occurrence of a series
+// @route   DELETE /api/events/series/:seriesId
+// @access  Private (Organizer/Webmaster)
+exports.cancelEventSeries = async (req, res) => {
+  try {
+    const series = req.series;
+    const { reason } = req.body || {};
+
+    if (series.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'This series has already been cancelled'
+      });
+    }
+
+    const upcoming = await Event.find({
+      series: series._id,
+      date: { $gte: startOfToday() },
+      status: { $ne: 'cancelled' }
+    });
+
+    for (const occurrence of upcoming) {
+      await markEventCancelled(occurrence, reason);
+    }
+
+    series.status = 'cancelled';
+    series.cancelledAt = new Date();
+    await series.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Event series cancelled successfully',
+      occurrencesCancelled: upcoming.length
+    });
+
+  } catch (error) {
+    console.error('Cancel event series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel event series'
+    });
+  }
+};
+
+// @desc    Register for every upcoming occurrence of a series
+// @route   POST /api/events/series/:seriesId/register
+// @access  Private
+exports.registerForSeries = async (req, res) => {
+  try {
+    const series = await EventSeries.findById(req.params.seriesId);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event series not found'
+      });
+    }
+
+    if (series.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'This series has been cancelled'
+      });
+    }
+
+    const upcoming = await Event.find({
+      series: series._id,
+      date: { $gte: startOfToday() },
+      status: { $ne: 'cancelled' }
+    }).sort({ date: 1 });
+
+    const results = [];
+
+    for (const occurrence of upcoming) {
+      const result = await registerUserForEvent(occurrence, req.user.id, {
+        series: series._id,
+        answers: (req.body || {}).answers
+      });
+
+      results.push({
+        eventId: occurrence._id,
+        date: occurrence.date,
+        status: result.status,
+        message: result.message
+      });
+    }
+
+    const summary = results.reduce((counts, result) => {
+      counts[result.status] = (counts[result.status] || 0) + 1;
+      return counts;
+    }, { registered: 0, waitlisted: 0 });
+
+    const joined = summary.registered + summary.waitlisted;
+
+    res.status(joined > 0 ? 201 : 400).json({
+      success: joined > 0,
+      message: joined > 0
+        ? `Registered for ${summary.registered} occurrence(s), waitlisted for ${summary.waitlisted}`
+        : 'No upcoming occurrences are open for registration',
+      summary,
+      results
+    });
+
+  } catch (error) {
+    console.error('Series registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register for event series'
+    });
+  }
+};
+
+// @desc    Cancel registrations made for a whole series
+// @route   DELETE /api/events/series/:seriesId/register
+// @access  Private
+exports.unregisterFromSeries = async (req, res) => {
+  try {
+    const upcoming = await Event.find({
+      series: req.params.seriesId,
+      date: { $gte: startOfToday() }
+    });
+
+    const registrations = await EventRegistration.find({
+      user: req.user.id,
+      series: req.params.seriesId,
+      event: { $in: upcoming.map(occurrence => occurrence._id) },
+      status: { $in: ['registered', 'waitlisted', 'offered'] }
+    });
+
+    if (registrations.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active series registrations found'
+      });
+    }
+
+    const eventsById = new Map(upcoming.map(occurrence => [occurrence._id.toString(), occurrence]));
+    const now = new Date();
+    let cancelled = 0;
+
+    for (const registration of registrations) {
+      const occurrence = eventsById.get(registration.event.toString());
+      const start = getEventStartDate(occurrence);
+
+      // Occurrences already under way are left as they are
+      if (registration.status === 'registered' && start && now >= start) continue;
+
+      if (await cancelUserRegistration(occurrence, registration)) {
+        cancelled++;
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Cancelled ${cancelled} series registration(s)`,
+      count: cancelled
+    });
+
+  } catch (error) {
+    console.error('Series unregistration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel series registrations'
+    });
+  }
+};
@@ -0,0 +1,188 @@
+// controllers/feedbackController.js
+const mongoose = require('mongoose');
+const Club = require('../models/Club');
+const Event = require('../models/Event');
+const EventFeedback = require('../models/EventFeedback');
+const EventRegistration = require('../models/EventRegistration');
+const {
+  getRespondentHash,
+  getFeedbackClosesAt,
+  validateFeedback,
+  summarizeEventFeedback,
+  getClubFeedbackTrend
+} = require('../utils/feedbackUtils');
+
+// @desc    Submit feedback for an event I attended
+// @route   POST /api/events/:id/feedback
+// @access  Private (Attendees)
+exports.submitEventFeedback = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (event.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Feedback opens once the event is completed'
+      });
+    }
+
+    const closesAt = getFeedbackClosesAt(event);
+    if (closesAt && new Date() > closesAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Feedback for this event is closed'
+      });
+    }
+
+    const attended = await EventRegistration.exists({
+      event: event._id,
+      user: req.user.id,
+      status: 'attended'
+    });
+
+    if (!attended) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only attendees can give feedback for this event'
+      });
+    }
+
+    const { isValid, errors, feedback } = validateFeedback(event, req.body);
+
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    try {
+      await EventFeedback.create({
+        ...feedback,
+        event: event._id,
+        club: event.club,
+        eventDate: event.date,
+        respondentHash: getRespondentHash(event._id.toString(), req.user.id),
+        user: feedback.anonymous ? undefined : req.user.id
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'You have already given feedback for this event'
+        });
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Thanks for your feedback!'
+    });
+
+  } catch (error) {
+    console.error('Submit event feedback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit feedback'
+    });
+  }
+};
+
+// @desc    Get event feedback summary and comments
+// @route   GET /api/events/:id/feedback
+// @access  Private (Organizer/Webmaster)
+exports.getEventFeedback = async (req, res) => {
+  try {
+    const event = req.event;
+    const { page = 1, limit = 20 } = req.query;
+
+    const commentFilter = { event: event._id, comment: { $exists: true, $ne: '' } };
+
+    const attended = await EventRegistration.countDocuments({ event: event._id, status: 'attended' });
+
+    const [summary, comments, total] = await Promise.all([
+      summarizeEventFeedback(event, attended),
+      EventFeedback.find(commentFilter)
+        .populate('user', 'fullName displayName profilePhoto')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      EventFeedback.countDocuments(commentFilter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: comments.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      summary,
+      // Anonymous responses carry no user
+      comments
+    });
+
+  } catch (error) {
+    console.error('Get event feedback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch event feedback'
+    });
+  }
+};
+
+// @desc    Get a club's event feedback averages over time
+// @route   GET /api/events/feedback/clubs/:clubId
+// @access  Private (Club officers/Webmaster)
+exports.getClubFeedback = async (req, res) => {
+  try {
+    const club = mongoose.Types.ObjectId.isValid(req.params.clubId)
+      ? await Club.findById(req.params.clubId).select('name president secretary treasurer')
+      : null;
+
+    if (!club) {
+      return res.status(404).json({
+        success: false,
+        message: 'Club not found'
+      });
+    }
+
+    if (req.user.role !== 'webmaster' && !club.isOfficer(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Club officer or Webmaster access required'
+      });
+    }
+
+    const months = Math.min(Math.max(parseInt(req.query.months, 10) || 12, 1), 36);
+    const since = new Date();
+    since.setMonth(since.getMonth() - months);
+
+    const trend = await getClubFeedbackTrend(club._id.toString(), since);
+
+    res.status(200).json({
+      success: true,
+      club: {
+        id: club._id,
+        name: club.name
+      },
+      months,
+      feedback: trend
+    });
+
+  } catch (error) {
+    console.error('Get club feedback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch club feedback'
+    });
+  }
+};
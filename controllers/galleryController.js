@@ -0,0 +1,393 @@
+// controllers/galleryController.js
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const EventPhoto = require('../models/EventPhoto');
+const EventRegistration = require('../models/EventRegistration');
+const { uploadToCloudinary, deleteFromCloudinary } = require('../config/cloudinary');
+const { notifyUser } = require('../utils/notificationUtils');
+
+const MODERATION_STATUSES = ['approved', 'hidden'];
+
+const removeLocalFiles = (files = []) => {
+  files.forEach(file => {
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  });
+};
+
+const findEventPhoto = (eventId, photoId) => {
+  if (!mongoose.Types.ObjectId.isValid(photoId)) return null;
+  return EventPhoto.findOne({ _id: photoId, event: eventId });
+};
+
+// Drop a cover that is hidden or deleted, putting back the image the event had before it
+const clearCoverPhoto = async (event, photo) => {
+  const restore = event.imageUrlBeforeCover
+    ? { $set: { imageUrl: event.imageUrlBeforeCover } }
+    : { $unset: { imageUrl: 1 } };
+
+  // Only when the event still shows the photo; an image set by hand since then is kept
+  await Event.updateOne({ _id: event._id, coverPhoto: photo._id, imageUrl: photo.url }, restore);
+  await Event.updateOne({ _id: event._id, coverPhoto: photo._id }, { $unset: { coverPhoto: 1, imageUrlBeforeCover: 1 } });
+};
+
+// Captions can be sent as one value for all photos or one per photo
+const getCaption = (captions, index) => {
+  const caption = Array.isArray(captions) ? captions[index] : captions;
+  return typeof caption === 'string' && caption.trim() ? caption.trim().slice(0, 300) : undefined;
+};
+
+// @desc    Get event gallery
+// @route   GET /api/events/:id/gallery
+// @access  Private
+exports.getGallery = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const { status, sort = 'recent', page = 1, limit = 20 } = req.query;
+    const canModerate = await event.isManagedBy(req.user);
+
+    const filter = { event: event._id };
+
+    if (status && status !== 'approved') {
+      // Organizers review everything; members can follow their own submissions
+      if (status === 'mine') {
+        filter.uploadedBy = req.user._id;
+      } else if (canModerate) {
+        if (status !== 'all') filter.status = status;
+      } else {
+        return res.status(403).json({
+          success: false,
+          message: 'Only event organizers can view unapproved photos'
+        });
+      }
+    } else {
+      filter.status = 'approved';
+    }
+
+    const [photos, total] = await Promise.all([
+      EventPhoto.find(filter)
+        .select('-likes')
+        .populate('uploadedBy', 'fullName displayName profilePhoto')
+        .sort(sort === 'popular' ? { likesCount: -1, createdAt: -1 } : { createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      EventPhoto.countDocuments(filter)
+    ]);
+
+    const liked = new Set((await EventPhoto.find({
+      _id: { $in: photos.map(photo => photo._id) },
+      likes: req.user._id
+    }).distinct('_id')).map(id => id.toString()));
+
+    res.status(200).json({
+      success: true,
+      count: photos.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      coverPhoto: event.coverPhoto,
+      canModerate,
+      photos: photos.map(photo => ({
+        ...photo.toObject(),
+        isLiked: liked.has(photo._id.toString()),
+        isCover: !!event.coverPhoto && event.coverPhoto.toString() === photo._id.toString()
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get gallery error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch gallery'
+    });
+  }
+};
+
+// @desc    Add photos to the event gallery
+// @route   POST /api/events/:id/gallery
+// @access  Private (Attendees/Organizer/Webmaster)
+exports.uploadGalleryPhotos = async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No image files provided'
+      });
+    }
+
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      removeLocalFiles(req.files);
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const canModerate = await event.isManagedBy(req.user);
+
+    if (!canModerate) {
+      const attended = await EventRegistration.exists({
+        event: event._id,
+        user: req.user.id,
+        status: 'attended'
+      });
+
+      if (!attended) {
+        removeLocalFiles(req.files);
+        return res.status(403).json({
+          success: false,
+          message: 'Only attendees can add photos to this event'
+        });
+      }
+    }
+
+    const photos = [];
+
+    for (const [index, file] of req.files.entries()) {
+      try {
+        const result = await uploadToCloudinary(file.path, `leoconnect/events/${event._id}/gallery`);
+        fs.unlinkSync(file.path);
+
+        photos.push({
+          event: event._id,
+          uploadedBy: req.user._id,
+          url: result.secure_url,
+          publicId: result.public_id,
+          caption: getCaption(req.body.captions || req.body.caption, index),
+          status: canModerate ? 'approved' : 'pending',
+          moderatedBy: canModerate ? req.user._id : undefined,
+          moderatedAt: canModerate ? new Date() : undefined
+        });
+
+      } catch (fileError) {
+        console.error(`❌ Failed to upload ${file.originalname}:`, fileError);
+        removeLocalFiles([file]);
+      }
+    }
+
+    if (photos.length === 0) {
+      return res.status(500).json({
+        success: false,
+        message: 'All uploads failed'
+      });
+    }
+
+    const created = await EventPhoto.insertMany(photos);
+
+    res.status(201).json({
+      success: true,
+      message: canModerate
+        ? `${created.length} photo(s) added to the gallery`
+        : `${created.length} photo(s) submitted for approval`,
+      photos: created
+    });
+
+  } catch (error) {
+    console.error('Upload gallery photos error:', error);
+    removeLocalFiles(req.files);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload photos'
+    });
+  }
+};
+
+// @desc    Approve or hide a gallery photo
+// @route   PUT /api/events/:id/gallery/:photoId/moderate
+// @access  Private (Organizer/Webmaster)
+exports.moderatePhoto = async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!MODERATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${MODERATION_STATUSES.join(', ')}`
+      });
+    }
+
+    const photo = await findEventPhoto(req.event._id, req.params.photoId);
+
+    if (!photo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Photo not found'
+      });
+    }
+
+    const wasPending = photo.status === 'pending';
+
+    photo.set({ status, moderatedBy: req.user._id, moderatedAt: new Date() });
+    await photo.save();
+
+    // A hidden photo cannot stay the cover
+    if (status === 'hidden' && req.event.coverPhoto && req.event.coverPhoto.equals(photo._id)) {
+      await clearCoverPhoto(req.event, photo);
+    }
+
+    if (wasPending && status === 'approved' && photo.uploadedBy.toString() !== req.user.id) {
+      notifyUser(photo.uploadedBy, 'general', {
+        title: 'Photo Approved',
+        body: `Your photo is now in the ${req.event.title} gallery`,
+        screen: 'EventGallery',
+        eventId: req.event._id.toString()
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: status === 'approved' ? 'Photo approved' : 'Photo hidden',
+      photo
+    });
+
+  } catch (error) {
+    console.error('Moderate photo error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to moderate photo'
+    });
+  }
+};
+
+// @desc    Set a gallery photo as the event cover
+// @route   PUT /api/events/:id/gallery/:photoId/cover
+// @access  Private (Organizer/Webmaster)
+exports.setCoverPhoto = async (req, res) => {
+  try {
+    const event = req.event;
+    const photo = await findEventPhoto(event._id, req.params.photoId);
+
+    if (!photo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Photo not found'
+      });
+    }
+
+    if (photo.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only approved photos can be the cover'
+      });
+    }
+
+    if (!event.coverPhoto) event.imageUrlBeforeCover = event.imageUrl;
+    event.coverPhoto = photo._id;
+    event.imageUrl = photo.url;
+    await event.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Cover photo updated',
+      coverPhoto: photo._id,
+      imageUrl: event.imageUrl
+    });
+
+  } catch (error) {
+    console.error('Set cover photo error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to set cover photo'
+    });
+  }
+};
+
+// @desc    Delete a gallery photo and its file
+// @route   DELETE /api/events/:id/gallery/:photoId
+// @access  Private (Uploader/Organizer/Webmaster)
+exports.deletePhoto = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+    const photo = event ? await findEventPhoto(event._id, req.params.photoId) : null;
+
+    if (!photo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Photo not found'
+      });
+    }
+
+    const isUploader = photo.uploadedBy.toString() === req.user.id;
+
+    if (!isUploader && !(await event.isManagedBy(req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this photo'
+      });
+    }
+
+    await deleteFromCloudinary(photo.publicId);
+    await photo.deleteOne();
+
+    if (event.coverPhoto && event.coverPhoto.equals(photo._id)) {
+      await clearCoverPhoto(event, photo);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Photo deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete photo error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete photo'
+    });
+  }
+};
+
+// @desc    Like/unlike a gallery photo
+// @route   POST /api/events/:id/gallery/:photoId/like
+// @access  Private
+exports.likePhoto = async (req, res) => {
+  try {
+    const photo = await findEventPhoto(req.params.id, req.params.photoId);
+
+    if (!photo || photo.status !== 'approved') {
+      return res.status(404).json({
+        success: false,
+        message: 'Photo not found'
+      });
+    }
+
+    // Conditional updates keep likesCount in step with likes under concurrent taps
+    const liked = await EventPhoto.findOneAndUpdate(
+      { _id: photo._id, likes: { $ne: req.user._id } },
+      { $push: { likes: req.user._id }, $inc: { likesCount: 1 } },
+      { new: true }
+    );
+
+    const updated = liked || await EventPhoto.findOneAndUpdate(
+      { _id: photo._id, likes: req.user._id },
+      { $pull: { likes: req.user._id }, $inc: { likesCount: -1 } },
+      { new: true }
+    ) || photo;
+
+    res.status(200).json({
+      success: true,
+      message: liked ? 'Photo liked' : 'Photo unliked',
+      likesCount: updated.likesCount,
+      isLiked: !!liked
+    });
+
+  } catch (error) {
+    console.error('Like photo error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to like photo'
+    });
+  }
+};
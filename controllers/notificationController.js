@@ -0,0 +1,487 @@
+// controllers/notificationController.js
+const mongoose = require('mongoose');
+const Expo = require('expo-server-sdk').default;
+const Notification = require('../models/Notification');
+const ScheduledNotification = require('../models/ScheduledNotification');
+const User = require('../models/User');
+const {
+  getUserNotificationPreferences,
+  cancelScheduledNotification,
+  DEFAULT_PREFERENCES
+} = require('../utils/notificationUtils');
+
+const MAX_DEVICES_PER_USER = 10;
+
+// @desc    Get user notifications (unread first)
+// @route   GET /api/notifications
+// @access  Private
+exports.getNotifications = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      type,
+      unreadOnly
+    } = req.query;
+
+    const filter = { user: req.user._id };
+
+    if (type) {
+      const types = type.split(',').map(t => t.trim()).filter(Boolean);
+      filter.type = types.length > 1 ? { $in: types } : types[0];
+    }
+    if (unreadOnly === 'true') filter.isRead = false;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ isRead: 1, createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Notification.countDocuments(filter),
+      Notification.countUnread(req.user._id)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      total,
+      unreadCount,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      notifications
+    });
+
+  } catch (error) {
+    console.error('❌ Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notifications'
+    });
+  }
+};
+
+// @desc    Mark notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+exports.markAsRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { isRead: true, readAt: new Date() },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      notification
+    });
+
+  } catch (error) {
+    console.error('❌ Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notification as read'
+    });
+  }
+};
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+exports.markAllAsRead = async (req, res) => {
+  try {
+    const { type } = req.query;
+
+    const filter = { user: req.user._id, isRead: false };
+    if (type) filter.type = type;
+
+    const result = await Notification.updateMany(filter, {
+      isRead: true,
+      readAt: new Date()
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'All notifications marked as read',
+      updatedCount: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('❌ Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications as read'
+    });
+  }
+};
+
+// @desc    Delete notification
+// @route   DELETE /api/notifications/:id
+// @access  Private
+exports.deleteNotification = async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user._id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Delete notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete notification'
+    });
+  }
+};
+
+// @desc    Get notification stats
+// @route   GET /api/notifications/stats
+// @access  Private
+exports.getNotificationStats = async (req, res) => {
+  try {
+    const [stats] = await Notification.aggregate([
+      { $match: { user: req.user._id } },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                total: { $sum: 1 },
+                unread: { $sum: { $cond: [{ $eq: ['$isRead', false] }, 1, 0] } }
+              }
+            }
+          ],
+          byType: [
+            {
+              $group: {
+                _id: '$type',
+                total: { $sum: 1 },
+                unread: { $sum: { $cond: [{ $eq: ['$isRead', false] }, 1, 0] } }
+              }
+            },
+            { $sort: { total: -1 } }
+          ]
+        }
+      }
+    ]);
+
+    const totals = stats.totals[0] || { total: 0, unread: 0 };
+
+    res.status(200).json({
+      success: true,
+      stats: {
+        total: totals.total,
+        unread: totals.unread,
+        read: totals.total - totals.unread,
+        byType: stats.byType.map(item => ({
+          type: item._id,
+          total: item.total,
+          unread: item.unread
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get notification stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification stats'
+    });
+  }
+};
+
+// @desc    Get registered push devices
+// @route   GET /api/notifications/push-tokens
+// @access  Private
+exports.getPushTokens = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('pushTokens');
+
+    res.status(200).json({
+      success: true,
+      count: user.pushTokens.length,
+      devices: user.pushTokens
+    });
+
+  } catch (error) {
+    console.error('❌ Get push tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch push tokens'
+    });
+  }
+};
+
+// @desc    Register push token for a device
+// @route   POST /api/notifications/push-tokens
+// @access  Private
+exports.registerPushToken = async (req, res) => {
+  try {
+    const { token, platform, deviceId, deviceName } = req.body;
+
+    if (!token || !Expo.isExpoPushToken(token)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid Expo push token is required'
+      });
+    }
+
+    // A device token belongs to whoever signed in on it last
+    await User.updateMany(
+      { _id: { $ne: req.user._id }, 'pushTokens.token': token },
+      { $pull: { pushTokens: { token } } }
+    );
+
+    const user = await User.findById(req.user._id).select('pushTokens');
+
+    // Replace the previous token of the same device, or refresh an existing entry
+    user.pushTokens = user.pushTokens.filter(device =>
+      device.token !== token && !(deviceId && device.deviceId === deviceId)
+    );
+    user.pushTokens.push({
+      token,
+      platform,
+      deviceId,
+      deviceName,
+      lastUsedAt: new Date()
+    });
+
+    // Keep only the most recently used devices
+    if (user.pushTokens.length > MAX_DEVICES_PER_USER) {
+      user.pushTokens.sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt));
+      user.pushTokens = user.pushTokens.slice(0, MAX_DEVICES_PER_USER);
+    }
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Push token registered successfully',
+      devices: user.pushTokens
+    });
+
+  } catch (error) {
+    console.error('❌ Register push token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register push token'
+    });
+  }
+};
+
+// @desc    Unregister push token (e.g. on logout)
+// @route   DELETE /api/notifications/push-tokens
+// @access  Private
+exports.unregisterPushToken = async (req, res) => {
+  try {
+    const { token, deviceId } = req.body;
+
+    if (!token && !deviceId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token or device ID is required'
+      });
+    }
+
+    const pull = token ? { token } : { deviceId };
+    const result = await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { pushTokens: pull } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Push token not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Push token unregistered successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Unregister push token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unregister push token'
+    });
+  }
+};
+
+// @desc    Get notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+exports.getPreferences = async (req, res) => {
+  try {
+    const preferences = await getUserNotificationPreferences(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      preferences
+    });
+
+  } catch (error) {
+    console.error('❌ Get preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification preferences'
+    });
+  }
+};
+
+// @desc    Update notification preferences
+// @route   PUT /api/notifications/preferences
+// @access  Private
+exports.updatePreferences = async (req, res) => {
+  try {
+    const updateData = {};
+    const errors = [];
+    const preferencesInput = req.body || {};
+
+    Object.keys(preferencesInput).forEach(key => {
+      if (!(key in DEFAULT_PREFERENCES)) {
+        errors.push(`Unknown preference: ${key}`);
+      } else if (typeof preferencesInput[key] !== 'boolean') {
+        errors.push(`${key} must be true or false`);
+      } else {
+        updateData[`notificationPreferences.${key}`] = preferencesInput[key];
+      }
+    });
+
+    if (errors.length > 0 || Object.keys(updateData).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.length > 0 ? errors : ['No preferences provided']
+      });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $set: updateData });
+    const preferences = await getUserNotificationPreferences(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      preferences
+    });
+
+  } catch (error) {
+    console.error('❌ Update preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification preferences'
+    });
+  }
+};
+
+// @desc    Get scheduled notifications
+// @route   GET /api/notifications/scheduled
+// @access  Private
+exports.getScheduledNotifications = async (req, res) => {
+  try {
+    const { status = 'scheduled', user, page = 1, limit = 20 } = req.query;
+
+    if (req.user.role === 'webmaster' && user && !mongoose.Types.ObjectId.isValid(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    // Webmasters can inspect the queue for any user
+    const filter = {
+      user: req.user.role === 'webmaster' && user ? user : req.user._id
+    };
+    if (status !== 'all') filter.status = status;
+
+    const [scheduled, total] = await Promise.all([
+      ScheduledNotification.find(filter)
+        .sort({ deliverAt: 1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      ScheduledNotification.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: scheduled.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      scheduled
+    });
+
+  } catch (error) {
+    console.error('❌ Get scheduled notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch scheduled notifications'
+    });
+  }
+};
+
+// @desc    Cancel a scheduled notification
+// @route   DELETE /api/notifications/scheduled/:id
+// @access  Private (Owner/Webmaster)
+exports.cancelScheduled = async (req, res) => {
+  try {
+    const scheduled = await ScheduledNotification.findById(req.params.id);
+
+    if (!scheduled) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheduled notification not found'
+      });
+    }
+
+    if (scheduled.user.toString() !== req.user.id && req.user.role !== 'webmaster') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this notification'
+      });
+    }
+
+    const result = await cancelScheduledNotification(scheduled._id);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: `Notification is already ${scheduled.status}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('❌ Cancel scheduled notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel scheduled notification'
+    });
+  }
+};
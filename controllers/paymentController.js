@@ -0,0 +1,487 @@
+// controllers/paymentController.js
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const EventRegistration = require('../models/EventRegistration');
+const Payment = require('../models/Payment');
+const { getPaymentProvider } = require('../utils/payments');
+const { applyPaymentEvent } = require('../utils/paymentUtils');
+
+const getBaseUrl = (req) => process.env.API_BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+// Verify a webhook with its provider and apply it to the payment
+const processWebhook = async (provider, rawBody, headers) => {
+  const { event, error } = provider.parseWebhook(rawBody, headers);
+  if (error) return { error };
+
+  return { result: await applyPaymentEvent(provider.name, event) };
+};
+
+// @desc    Start checkout for my registration to a paid event
+// @route   POST /api/events/:id/checkout
+// @access  Private
+exports.createCheckoutSession = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!event.fee || !(event.fee.amount > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This event is free'
+      });
+    }
+
+    if (event.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'This event has been cancelled'
+      });
+    }
+
+    const registration = await EventRegistration.findOne({
+      event: event._id,
+      user: req.user.id,
+      status: 'registered'
+    });
+
+    if (!registration) {
+      return res.status(400).json({
+        success: false,
+        message: 'Register for this event before paying'
+      });
+    }
+
+    if (registration.paymentStatus !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: registration.paymentStatus === 'paid'
+          ? 'Registration is already paid'
+          : `Registration payment is ${registration.paymentStatus}`
+      });
+    }
+
+    if (registration.paymentExpiresAt && registration.paymentExpiresAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The time to pay for this registration has run out'
+      });
+    }
+
+    const provider = getPaymentProvider();
+    if (!provider) {
+      return res.status(503).json({
+        success: false,
+        message: 'Online payments are not available'
+      });
+    }
+
+    // Reuse an open session so double taps do not create duplicate checkouts
+    const open = await Payment.findOne({
+      registration: registration._id,
+      provider: provider.name,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (open) {
+      return res.status(200).json({
+        success: true,
+        payment: open
+      });
+    }
+
+    await Payment.updateMany(
+      { registration: registration._id, status: 'pending', expiresAt: { $lte: new Date() } },
+      { status: 'expired' }
+    );
+
+    const session = await provider.createCheckoutSession({
+      amount: event.fee.amount,
+      currency: event.fee.currency,
+      description: event.title,
+      baseUrl: getBaseUrl(req)
+    });
+
+    let payment;
+    try {
+      payment = await Payment.create({
+        registration: registration._id,
+        event: event._id,
+        user: req.user.id,
+        provider: provider.name,
+        amount: event.fee.amount,
+        currency: event.fee.currency,
+        sessionId: session.sessionId,
+        checkoutUrl: session.checkoutUrl,
+        expiresAt: session.expiresAt
+      });
+    } catch (createError) {
+      // Only one pending session per registration: a concurrent request opened it first
+      if (createError.code === 11000) {
+        const existing = await Payment.findOne({ registration: registration._id, status: 'pending' });
+
+        if (existing) {
+          return res.status(200).json({
+            success: true,
+            payment: existing
+          });
+        }
+      }
+      throw createError;
+    }
+
+    // Keep the seat while the checkout is open
+    if (session.expiresAt) {
+      await EventRegistration.updateOne(
+        { _id: registration._id, paymentExpiresAt: { $lt: session.expiresAt } },
+        { paymentExpiresAt: session.expiresAt }
+      );
+    }
+
+    res.status(201).json({
+      success: true,
+      payment
+    });
+
+  } catch (error) {
+    console.error('Create checkout session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start checkout'
+    });
+  }
+};
+
+// @desc    Receive a payment provider webhook
+// @route   POST /api/payments/webhook/:provider
+// @access  Public (signed by provider)
+exports.handleWebhook = async (req, res) => {
+  try {
+    const provider = getPaymentProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown payment provider'
+      });
+    }
+
+    const { result, error } = await processWebhook(provider, req.rawBody, req.headers);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // Always acknowledge verified webhooks so the provider stops retrying
+    res.status(200).json({
+      success: true,
+      received: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook'
+    });
+  }
+};
+
+// @desc    Get a sandbox checkout session
+// @route   GET /api/payments/sandbox/checkout/:sessionId
+// @access  Private (Payer, sandbox only)
+exports.getSandboxCheckout = async (req, res) => {
+  try {
+    const payment = await Payment.findOne({ provider: 'sandbox', sessionId: req.params.sessionId })
+      .populate('event', 'title date');
+
+    // Other users' sessions look the same as missing ones
+    if (!payment || !getPaymentProvider('sandbox') || payment.user.toString() !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checkout session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      checkout: {
+        sessionId: payment.sessionId,
+        event: payment.event,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status,
+        expiresAt: payment.expiresAt,
+        // POST here with { outcome: 'success' | 'failure' } to simulate the customer paying
+        completeUrl: payment.checkoutUrl
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sandbox checkout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch checkout session'
+    });
+  }
+};
+
+// @desc    Complete a sandbox checkout (simulates the gateway calling our webhook)
+// @route   POST /api/payments/sandbox/checkout/:sessionId
+// @access  Private (Payer, sandbox only)
+exports.completeSandboxCheckout = async (req, res) => {
+  try {
+    const provider = getPaymentProvider('sandbox');
+    const payment = await Payment.findOne({ provider: 'sandbox', sessionId: req.params.sessionId });
+
+    if (!payment || !provider || payment.user.toString() !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Checkout session not found'
+      });
+    }
+
+    if (payment.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Checkout session is ${payment.status}`
+      });
+    }
+
+    if (payment.expiresAt && payment.expiresAt <= new Date()) {
+      payment.status = 'expired';
+      await payment.save();
+
+      return res.status(400).json({
+        success: false,
+        message: 'Checkout session has expired'
+      });
+    }
+
+    const outcome = (req.body || {}).outcome === 'failure' ? 'failure' : 'success';
+    const webhook = provider.buildWebhook({
+      sessionId: payment.sessionId,
+      outcome,
+      amount: payment.amount,
+      currency: payment.currency
+    });
+
+    const { result, error } = await processWebhook(provider, webhook.rawBody, webhook.headers);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      outcome,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Complete sandbox checkout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete checkout'
+    });
+  }
+};
+
+// @desc    Get my payments
+// @route   GET /api/payments/my
+// @access  Private
+exports.getMyPayments = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const filter = { user: req.user.id };
+    if (status) filter.status = status;
+
+    const [payments, total] = await Promise.all([
+      Payment.find(filter)
+        .select('-processedEvents')
+        .populate('event', 'title date location fee')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Payment.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: payments.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      payments
+    });
+
+  } catch (error) {
+    console.error('Get my payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payments'
+    });
+  }
+};
+
+// @desc    Get payment receipt
+// @route   GET /api/payments/:id/receipt
+// @access  Private (Payer/Organizer/Webmaster)
+exports.getPaymentReceipt = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const payment = await Payment.findById(req.params.id)
+      .populate('user', 'fullName email leoId')
+      .populate('event', 'title date time location city organization organizer');
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const isPayer = payment.user && payment.user._id.toString() === req.user.id;
+    const isOrganizer = payment.event && payment.event.organizer &&
+      payment.event.organizer.toString() === req.user.id;
+
+    if (!isPayer && !isOrganizer && req.user.role !== 'webmaster') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this receipt'
+      });
+    }
+
+    if (!payment.receiptNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'No receipt is available until the payment is completed'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      receipt: {
+        receiptNumber: payment.receiptNumber,
+        status: payment.status,
+        paidAt: payment.paidAt,
+        amount: payment.amount,
+        refundedAmount: payment.refundedAmount,
+        currency: payment.currency,
+        provider: payment.provider,
+        providerPaymentId: payment.providerPaymentId,
+        payer: payment.user && {
+          fullName: payment.user.fullName,
+          email: payment.user.email,
+          leoId: payment.user.leoId
+        },
+        event: payment.event && {
+          id: payment.event._id,
+          title: payment.event.title,
+          date: payment.event.date,
+          time: payment.event.time,
+          location: payment.event.location,
+          city: payment.event.city,
+          organization: payment.event.organization
+        },
+        refunds: payment.refunds
+          .filter(refund => refund.status === 'succeeded')
+          .map(refund => ({ amount: refund.amount, reason: refund.reason, refundedAt: refund.createdAt }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get payment receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch receipt'
+    });
+  }
+};
+
+// @desc    Get event payment report
+// @route   GET /api/events/:id/payments
+// @access  Private (Organizer/Webmaster)
+exports.getEventPaymentReport = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 50 } = req.query;
+
+    const filter = { event: req.event._id };
+    if (status) filter.status = status;
+
+    const [payments, total, byStatus, refundFailures] = await Promise.all([
+      Payment.find(filter)
+        .select('-processedEvents')
+        .populate('user', 'fullName email leoId club')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Payment.countDocuments(filter),
+      Payment.aggregate([
+        { $match: { event: req.event._id } },
+        {
+          $group: {
+            _id: '$status',
+            count: { $sum: 1 },
+            amount: { $sum: '$amount' },
+            refunded: { $sum: '$refundedAmount' }
+          }
+        }
+      ]),
+      Payment.countDocuments({ event: req.event._id, status: 'paid', 'refunds.status': 'failed' })
+    ]);
+
+    const totals = byStatus.reduce((sum, group) => {
+      if (['paid', 'refunded'].includes(group._id)) {
+        sum.collected += group.amount;
+        sum.refunded += group.refunded;
+      }
+      return sum;
+    }, { collected: 0, refunded: 0 });
+
+    res.status(200).json({
+      success: true,
+      count: payments.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      summary: {
+        currency: req.event.fee.currency,
+        fee: req.event.fee.amount,
+        collected: totals.collected,
+        refunded: totals.refunded,
+        net: totals.collected - totals.refunded,
+        refundFailures,
+        byStatus
+      },
+      payments
+    });
+
+  } catch (error) {
+    console.error('Get event payment report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payment report'
+    });
+  }
+};
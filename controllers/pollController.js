@@ -1,5 +1,23 @@
 // controllers/pollController.js
 const Poll = require('../models/Poll');
+const {
+  canViewPoll,
+  buildPollVisibilityFilter,
+  getVoteEligibility,
+  normalizePollAudience,
+  normalizeVoteRequirements,
+  normalizeResultsVisibility,
+  getResultsVisibility,
+  getResultsAccess,
+  getVoterIdentity,
+  findUserVote,
+  serializePoll,
+  getVoteSelections,
+  normalizeSelectionRules,
+  normalizeVoteSelection,
+  buildPollResults
+} = require('../utils/pollUtils');
+const { notifyPollAudience, releasePollResults } = require('../utils/pollNotificationUtils');
 
 // @desc    Get all polls
 // @route   GET /api/polls
@@ -14,8 +32,8 @@ exports.getPolls = async (req, res) => {
       status = 'active'
     } = req.query;
 
-    // Build filter object
-    const filter = { isActive: true };
+    // Build filter object (only polls whose audience includes the user)
+    const filter = { isActive: true, ...buildPollVisibilityFilter(req.user) };
     
     if (club) filter.club = club;
     if (district) filter.district = district;
@@ -41,7 +59,7 @@ exports.getPolls = async (req, res) => {
       total,
       page: parseInt(page),
       pages: Math.ceil(total / limit),
-      polls
+      polls: polls.map(poll => serializePoll(poll, req.user))
     });
 
   } catch (error) {
@@ -69,9 +87,16 @@ exports.getPoll = async (req, res) => {
       });
     }
 
+    if (!canViewPoll(poll, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This poll is not open to you'
+      });
+    }
+
     res.status(200).json({
       success: true,
-      poll
+      poll: serializePoll(poll, req.user)
     });
 
   } catch (error) {
@@ -94,7 +119,15 @@ exports.createPoll = async (req, res) => {
       options,
       endDate,
       isPublic = true,
+      audience,
+      voteRequirements,
+      resultsVisibility,
+      showResults,
       allowMultiple = false,
+      minSelections,
+      maxSelections,
+      allowVoteChange = false,
+      isAnonymous = false,
       isPinned = false
     } = req.body;
 
@@ -105,13 +138,44 @@ exports.createPoll = async (req, res) => {
       });
     }
 
+    const { rules, error } = normalizeSelectionRules(
+      { allowMultiple, minSelections, maxSelections },
+      options.length
+    );
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // Without an audience, isPublic picks between all members and the creator's club
+    const audienceResult = normalizePollAudience(audience !== undefined ? audience : (isPublic ? 'all' : 'club'));
+    const requirementsResult = normalizeVoteRequirements(voteRequirements);
+    const resultsResult = normalizeResultsVisibility(resultsVisibility, showResults);
+    const settingsError = audienceResult.error || requirementsResult.error || resultsResult.error;
+
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        message: settingsError
+      });
+    }
+
     const poll = await Poll.create({
       question,
       description,
       options: options.map(opt => ({ text: opt })),
       endDate,
-      isPublic,
-      allowMultiple,
+      audience: audienceResult.audience,
+      isPublic: audienceResult.audience.scope === 'all',
+      voteRequirements: requirementsResult.voteRequirements,
+      resultsVisibility: resultsResult.resultsVisibility,
+      showResults: resultsResult.showResults,
+      ...rules,
+      allowVoteChange,
+      isAnonymous,
       isPinned,
       createdBy: req.user.id,
       club: req.user.club,
@@ -120,10 +184,13 @@ exports.createPoll = async (req, res) => {
 
     await poll.populate('createdBy', 'fullName displayName profilePhoto club district role');
 
+    notifyPollAudience(poll, 'new_poll', req.user._id)
+      .catch(notifyError => console.error('❌ New poll notification error:', notifyError));
+
     res.status(201).json({
       success: true,
       message: 'Poll created successfully',
-      poll
+      poll: serializePoll(poll, req.user)
     });
 
   } catch (error) {
@@ -140,8 +207,6 @@ exports.createPoll = async (req, res) => {
 // @access  Private
 exports.voteOnPoll = async (req, res) => {
   try {
-    const { optionIndex } = req.body;
-
     const poll = await Poll.findById(req.params.id);
 
     if (!poll) {
@@ -159,50 +224,94 @@ exports.voteOnPoll = async (req, res) => {
       });
     }
 
-    // Check if option index is valid
-    if (optionIndex < 0 || optionIndex >= poll.options.length) {
-      return res.status(400).json({
+    const eligibility = getVoteEligibility(poll, req.user);
+
+    if (!eligibility.canVote) {
+      return res.status(403).json({
         success: false,
-        message: 'Invalid option'
+        message: eligibility.reason
       });
     }
 
-    // Check if user has already voted
-    const existingVote = poll.votes.find(
-      vote => vote.user.toString() === req.user.id
+    // optionIndexes for multi-select; optionIndex is still accepted for single-choice clients
+    const { optionIndexes, error } = normalizeVoteSelection(
+      poll,
+      req.body.optionIndexes !== undefined ? req.body.optionIndexes : req.body.optionIndex
     );
 
-    if (existingVote && !poll.allowMultiple) {
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'You have already voted on this poll'
+        message: error
       });
     }
 
-    // Handle vote counting manually
-    if (existingVote && poll.allowMultiple) {
-      // Decrement old vote count
-      poll.options[existingVote.optionIndex].votes -= 1;
-      // Update existing vote
-      existingVote.optionIndex = optionIndex;
-    } else if (!existingVote) {
-      // Add new vote
-      poll.votes.push({
-        user: req.user.id,
-        optionIndex
+    const existingVote = findUserVote(poll, req.user.id);
+
+    if (existingVote && !poll.allowVoteChange) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already voted on this poll'
       });
     }
 
-    // Increment new vote count
-    poll.options[optionIndex].votes += 1;
+    // Net change per option, so switching a vote moves counts instead of piling them up
+    const increments = {};
+    const addIncrement = (index, amount) => {
+      const path = `options.${index}.votes`;
+      increments[path] = (increments[path] || 0) + amount;
+      if (increments[path] === 0) delete increments[path];
+    };
+
+    if (existingVote) getVoteSelections(existingVote).forEach(index => addIncrement(index, -1));
+    optionIndexes.forEach(index => addIncrement(index, 1));
+
+    const now = new Date();
+    const counts = Object.keys(increments).length > 0 ? { $inc: increments } : {};
+    let updated;
+
+    if (existingVote) {
+      // Matching on votedAt fails the update if the same vote was changed concurrently
+      updated = await Poll.findOneAndUpdate(
+        {
+          _id: poll._id,
+          endDate: { $gte: now },
+          votes: { $elemMatch: { _id: existingVote._id, votedAt: existingVote.votedAt } }
+        },
+        {
+          $set: { 'votes.$.optionIndexes': optionIndexes, 'votes.$.votedAt': now },
+          $unset: { 'votes.$.optionIndex': 1 },
+          ...counts
+        },
+        { new: true }
+      );
+    } else {
+      // Anonymous polls store only the voter hash, which still blocks a second vote
+      const identity = getVoterIdentity(poll, req.user._id);
+      const [identityField, identityValue] = Object.entries(identity)[0];
+
+      updated = await Poll.findOneAndUpdate(
+        { _id: poll._id, endDate: { $gte: now }, [`votes.${identityField}`]: { $ne: identityValue } },
+        {
+          $push: { votes: { ...identity, optionIndexes, votedAt: now } },
+          ...counts
+        },
+        { new: true }
+      );
+    }
 
-    await poll.save();
-    await poll.populate('votes.user', 'fullName displayName profilePhoto');
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Your vote could not be recorded, please try again'
+      });
+    }
 
     res.status(200).json({
       success: true,
-      message: 'Vote submitted successfully',
-      totalVotes: poll.votes.length
+      message: existingVote ? 'Vote updated successfully' : 'Vote submitted successfully',
+      optionIndexes: poll.isAnonymous ? undefined : optionIndexes,
+      totalVotes: updated.votes.length
     });
 
   } catch (error) {
@@ -213,13 +322,14 @@ exports.voteOnPoll = async (req, res) => {
     });
   }
 };
+
 // @desc    Get poll results
 // @route   GET /api/polls/:id/results
 // @access  Private
 exports.getPollResults = async (req, res) => {
   try {
     const poll = await Poll.findById(req.params.id)
-      .select('question options votes endDate totalVotes');
+      .select('question options votes endDate allowMultiple minSelections maxSelections isAnonymous createdBy club district isPublic audience showResults resultsVisibility resultsReleasedAt');
 
     if (!poll) {
       return res.status(404).json({
@@ -228,18 +338,34 @@ exports.getPollResults = async (req, res) => {
       });
     }
 
-    // Calculate results
-    const results = poll.options.map(option => ({
-      text: option.text,
-      votes: option.votes,
-      percentage: poll.totalVotes > 0 ? (option.votes / poll.totalVotes) * 100 : 0
-    }));
+    if (!canViewPoll(poll, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This poll is not open to you'
+      });
+    }
+
+    const resultsAccess = getResultsAccess(poll, req.user);
+
+    if (!resultsAccess.visible) {
+      return res.status(403).json({
+        success: false,
+        message: resultsAccess.reason
+      });
+    }
+
+    const { totalVoters, totalSelections, results } = buildPollResults(poll);
 
     res.status(200).json({
       success: true,
       question: poll.question,
-      totalVotes: poll.totalVotes,
-      results,
+      allowMultiple: poll.allowMultiple,
+      isAnonymous: poll.isAnonymous,
+      totalVotes: totalVoters,
+      totalVoters,
+      totalSelections,
+      // percentage is the share of voters, kept for older clients
+      results: results.map(result => ({ ...result, percentage: result.voterPercentage })),
       hasEnded: new Date(poll.endDate) < new Date()
     });
 
@@ -250,4 +376,50 @@ exports.getPollResults = async (req, res) => {
       message: 'Failed to fetch poll results'
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Release poll results to everyone
+// @route   POST /api/polls/:id/release-results
+// @access  Private (Poll creator/Webmaster)
+exports.releaseResults = async (req, res) => {
+  try {
+    const poll = await Poll.findById(req.params.id)
+      .select('question votes isAnonymous club district audience isPublic showResults resultsVisibility resultsReleasedAt');
+
+    if (!poll) {
+      return res.status(404).json({
+        success: false,
+        message: 'Poll not found'
+      });
+    }
+
+    if (getResultsVisibility(poll) === 'always') {
+      return res.status(400).json({
+        success: false,
+        message: 'Results of this poll are already visible to everyone'
+      });
+    }
+
+    const released = poll.resultsReleasedAt ? null : await releasePollResults(poll, req.user._id);
+
+    if (!released) {
+      return res.status(400).json({
+        success: false,
+        message: 'Results have already been released'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Results released',
+      resultsReleasedAt: released.resultsReleasedAt
+    });
+
+  } catch (error) {
+    console.error('❌ Release poll results error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release results'
+    });
+  }
+};
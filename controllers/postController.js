@@ -1,6 +1,9 @@
 // controllers/postController.js
 const Post = require('../models/Post');
 const User = require('../models/User');
+const Club = require('../models/Club');
+const { notifyClubMembers, notifyUsers } = require('../utils/notificationUtils');
+const { isValidObjectId } = require('../utils/validation');
 
 // @desc    Get all posts
 // @route   GET /api/posts
@@ -91,7 +94,7 @@ exports.getPost = async (req, res) => {
 // @access  Private
 exports.createPost = async (req, res) => {
   try {
-    const { title, content, category, tags, images, isPublic = true } = req.body;
+    const { title, content, category, tags, images, mentions, isPublic = true } = req.body;
 
     const post = await Post.create({
       title,
@@ -107,6 +110,26 @@ exports.createPost = async (req, res) => {
 
     await post.populate('author', 'fullName displayName profilePhoto club district role');
 
+    // Notify club members and mentioned users
+    if (req.user.club) {
+      const club = await Club.findById(req.user.club).select('name');
+      notifyClubMembers(req.user.club, 'new_post', {
+        club: club ? club.name : 'your club',
+        title: post.title,
+        postId: post._id.toString()
+      }, req.user._id);
+    }
+
+    if (Array.isArray(mentions) && mentions.length > 0) {
+      const mentionedUserIds = [...new Set(mentions)]
+        .filter(id => isValidObjectId(id) && id !== req.user.id);
+
+      notifyUsers(mentionedUserIds, 'mention', {
+        mentionedBy: req.user.displayName,
+        postId: post._id.toString()
+      });
+    }
+
     res.status(201).json({
       success: true,
       message: 'Post created successfully',
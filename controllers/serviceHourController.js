@@ -0,0 +1,422 @@
+// controllers/serviceHourController.js
+const fs = require('fs');
+const ServiceHour = require('../models/ServiceHour');
+const Club = require('../models/Club');
+const { uploadToCloudinary } = require('../config/cloudinary');
+const {
+  validateRequiredFields,
+  validateServiceHours,
+  validateDate,
+  isValidObjectId
+} = require('../utils/validation');
+const { notifyUser } = require('../utils/notificationUtils');
+
+// Clubs in which the user holds an officer position
+const getOfficerClubIds = async (userId) => {
+  const clubs = await Club.find({
+    $or: [
+      { 'president.userId': userId },
+      { 'secretary.userId': userId },
+      { 'treasurer.userId': userId }
+    ]
+  }).select('_id');
+
+  return clubs.map(club => club._id.toString());
+};
+
+// Nobody reviews their own entries; webmasters review everything else, officers only their own club's
+const canReviewServiceHour = async (user, serviceHour) => {
+  if (serviceHour.user.toString() === user.id) return false;
+  if (user.role === 'webmaster') return true;
+  if (!serviceHour.club || !isValidObjectId(serviceHour.club)) return false;
+
+  const club = await Club.findById(serviceHour.club);
+  return !!club && club.isOfficer(user.id);
+};
+
+// Upload evidence files and merge them with already uploaded evidence URLs
+const collectEvidence = async (req) => {
+  const evidence = [];
+
+  if (req.body.evidence) {
+    const urls = Array.isArray(req.body.evidence) ? req.body.evidence : [req.body.evidence];
+    evidence.push(...urls.filter(url => typeof url === 'string' && url.trim()));
+  }
+
+  for (const file of req.files || []) {
+    const result = await uploadToCloudinary(file.path, 'leoconnect/service-hours');
+    fs.unlinkSync(file.path);
+    evidence.push(result.secure_url);
+  }
+
+  return evidence;
+};
+
+// @desc    Submit service hours
+// @route   POST /api/service-hours
+// @access  Private
+exports.submitServiceHours = async (req, res) => {
+  try {
+    const { projectName, hours, date, description, event } = req.body;
+
+    const requiredValidation = validateRequiredFields(req.body, ['projectName', 'hours', 'date']);
+    if (!requiredValidation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: requiredValidation.errors
+      });
+    }
+
+    const hoursValidation = validateServiceHours(hours);
+    if (!hoursValidation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: hoursValidation.error
+      });
+    }
+
+    const dateValidation = validateDate(date);
+    if (!dateValidation.isValid || dateValidation.date > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: dateValidation.error || 'Service date cannot be in the future'
+      });
+    }
+
+    if (event && !isValidObjectId(event)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid event ID'
+      });
+    }
+
+    const evidence = await collectEvidence(req);
+
+    const serviceHour = await ServiceHour.create({
+      user: req.user.id,
+      event: event || undefined,
+      projectName,
+      hours: Number(hours),
+      date: dateValidation.date,
+      description,
+      evidence,
+      club: req.user.club,
+      district: req.user.district
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Service hours submitted for approval',
+      serviceHour
+    });
+
+  } catch (error) {
+    console.error('❌ Submit service hours error:', error);
+
+    // Clean up local files if upload failed midway
+    if (req.files) {
+      req.files.forEach(file => {
+        if (fs.existsSync(file.path)) {
+          fs.unlinkSync(file.path);
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit service hours'
+    });
+  }
+};
+
+// @desc    Get current user's service hour submissions
+// @route   GET /api/service-hours/my
+// @access  Private
+exports.getMyServiceHours = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+
+    const filter = { user: req.user._id };
+    if (status) filter.status = status;
+
+    const [serviceHours, total, summary] = await Promise.all([
+      ServiceHour.find(filter)
+        .populate('event', 'title date')
+        .populate('verifiedBy', 'fullName displayName profilePhoto')
+        .sort({ date: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      ServiceHour.countDocuments(filter),
+      ServiceHour.aggregate([
+        { $match: { user: req.user._id } },
+        { $group: { _id: '$status', hours: { $sum: '$hours' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: serviceHours.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      summary,
+      serviceHours
+    });
+
+  } catch (error) {
+    console.error('❌ Get my service hours error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch service hours'
+    });
+  }
+};
+
+// @desc    Get service hour submissions to review
+// @route   GET /api/service-hours
+// @access  Private (Club officers/Webmaster)
+exports.getServiceHours = async (req, res) => {
+  try {
+    const {
+      status = 'pending',
+      club,
+      district,
+      user,
+      page = 1,
+      limit = 10
+    } = req.query;
+
+    if (user && !isValidObjectId(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const filter = {};
+    if (status !== 'all') filter.status = status;
+    if (district) filter.district = district;
+    if (user) filter.user = user;
+
+    if (req.user.role === 'webmaster') {
+      if (club) filter.club = club;
+    } else {
+      const officerClubIds = await getOfficerClubIds(req.user._id);
+
+      if (officerClubIds.length === 0) {
+        return res.status(403).json({
+          success: false,
+          message: 'Club officer or Webmaster access required'
+        });
+      }
+
+      if (club && !officerClubIds.includes(club)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to review this club'
+        });
+      }
+
+      filter.club = club || { $in: officerClubIds };
+    }
+
+    const serviceHours = await ServiceHour.find(filter)
+      .populate('user', 'fullName displayName profilePhoto club district')
+      .populate('event', 'title date')
+      .populate('verifiedBy', 'fullName displayName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await ServiceHour.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: serviceHours.length,
+      total,
+      page: parseInt(page),
+      pages: Math.ceil(total / limit),
+      serviceHours
+    });
+
+  } catch (error) {
+    console.error('❌ Get service hours error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch service hours'
+    });
+  }
+};
+
+// @desc    Get single service hour submission
+// @route   GET /api/service-hours/:id
+// @access  Private (Owner/Club officers/Webmaster)
+exports.getServiceHour = async (req, res) => {
+  try {
+    const serviceHour = await ServiceHour.findById(req.params.id)
+      .populate('event', 'title date')
+      .populate('verifiedBy', 'fullName displayName profilePhoto');
+
+    if (!serviceHour) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service hour record not found'
+      });
+    }
+
+    const isOwner = serviceHour.user.toString() === req.user.id;
+    if (!isOwner && !(await canReviewServiceHour(req.user, serviceHour))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this record'
+      });
+    }
+
+    await serviceHour.populate('user', 'fullName displayName profilePhoto club district');
+
+    res.status(200).json({
+      success: true,
+      serviceHour
+    });
+
+  } catch (error) {
+    console.error('❌ Get service hour error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch service hour record'
+    });
+  }
+};
+
+// @desc    Approve service hours
+// @route   PUT /api/service-hours/:id/approve
+// @access  Private (Club officers/Webmaster)
+exports.approveServiceHours = async (req, res) => {
+  try {
+    const existing = await ServiceHour.findById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service hour record not found'
+      });
+    }
+
+    if (!(await canReviewServiceHour(req.user, existing))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review this record'
+      });
+    }
+
+    // Only a pending record can be approved, so totals are credited once
+    const serviceHour = await ServiceHour.findOneAndUpdate(
+      { _id: existing._id, status: 'pending' },
+      {
+        status: 'approved',
+        verifiedBy: req.user._id,
+        verifiedAt: new Date(),
+        $unset: { rejectionReason: 1 }
+      },
+      { new: true }
+    );
+
+    if (!serviceHour) {
+      return res.status(400).json({
+        success: false,
+        message: `Service hours have already been ${existing.status}`
+      });
+    }
+
+    await ServiceHour.creditApprovedHours(serviceHour);
+
+    notifyUser(serviceHour.user, 'service_hours_approved', {
+      hours: serviceHour.hours,
+      serviceHourId: serviceHour._id.toString()
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Service hours approved',
+      serviceHour
+    });
+
+  } catch (error) {
+    console.error('❌ Approve service hours error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve service hours'
+    });
+  }
+};
+
+// @desc    Reject service hours
+// @route   PUT /api/service-hours/:id/reject
+// @access  Private (Club officers/Webmaster)
+exports.rejectServiceHours = async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rejection reason is required'
+      });
+    }
+
+    const existing = await ServiceHour.findById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service hour record not found'
+      });
+    }
+
+    if (!(await canReviewServiceHour(req.user, existing))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review this record'
+      });
+    }
+
+    const serviceHour = await ServiceHour.findOneAndUpdate(
+      { _id: existing._id, status: 'pending' },
+      {
+        status: 'rejected',
+        rejectionReason: reason.trim(),
+        verifiedBy: req.user._id,
+        verifiedAt: new Date()
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!serviceHour) {
+      return res.status(400).json({
+        success: false,
+        message: `Service hours have already been ${existing.status}`
+      });
+    }
+
+    notifyUser(serviceHour.user, 'service_hours_rejected', {
+      hours: serviceHour.hours,
+      projectName: serviceHour.projectName,
+      reason: serviceHour.rejectionReason,
+      serviceHourId: serviceHour._id.toString()
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Service hours rejected',
+      serviceHour
+    });
+
+  } catch (error) {
+    console.error('❌ Reject service hours error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject service hours'
+    });
+  }
+};
@@ -0,0 +1,562 @@
+// controllers/shiftController.js
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const VolunteerShift = require('../models/VolunteerShift');
+const ShiftSignup = require('../models/ShiftSignup');
+const { notifyUsers } = require('../utils/notificationUtils');
+const {
+  validateShiftInput,
+  getShiftHours,
+  findOverlappingSignup,
+  creditShiftHours
+} = require('../utils/shiftUtils');
+
+const findEventShift = (eventId, shiftId) => {
+  if (!mongoose.Types.ObjectId.isValid(shiftId)) return null;
+  return VolunteerShift.findOne({ _id: shiftId, event: eventId });
+};
+
+// Sign a user up for one shift; returns { status, message, signup }
+const signUpForShift = async (shift, userId) => {
+  if (shift.startTime <= new Date()) {
+    return { status: 'unavailable', message: 'This shift has already started' };
+  }
+
+  let signup = await ShiftSignup.findOne({ shift: shift._id, user: userId });
+
+  if (signup && signup.status !== 'cancelled') {
+    return { status: 'already', message: 'Already signed up for this shift', signup };
+  }
+
+  const overlapping = await findOverlappingSignup(userId, shift.startTime, shift.endTime);
+  if (overlapping) {
+    return {
+      status: 'overlap',
+      message: `Overlaps with your "${overlapping.shift ? overlapping.shift.name : 'other'}" shift`
+    };
+  }
+
+  // Take a spot atomically so simultaneous sign-ups cannot exceed the headcount
+  const reserved = await VolunteerShift.reserveSpot(shift._id);
+  if (!reserved) {
+    return { status: 'full', message: 'This shift is full' };
+  }
+
+  try {
+    if (!signup) {
+      signup = new ShiftSignup({ shift: shift._id, event: shift.event, user: userId });
+    }
+
+    signup.set({
+      status: 'signed_up',
+      startTime: shift.startTime,
+      endTime: shift.endTime,
+      cancelledAt: undefined
+    });
+    await signup.save();
+  } catch (error) {
+    await VolunteerShift.releaseSpot(shift._id);
+
+    if (error.code === 11000) {
+      return { status: 'already', message: 'Already signed up for this shift' };
+    }
+    throw error;
+  }
+
+  return { status: 'signed_up', message: 'Signed up for shift', signup };
+};
+
+// @desc    Get event shifts with headcounts and my sign-ups
+// @route   GET /api/events/:id/shifts
+// @access  Private
+exports.getShifts = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).select('title eventType');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const [shifts, mySignups] = await Promise.all([
+      VolunteerShift.find({ event: event._id }).sort({ startTime: 1 }),
+      ShiftSignup.find({ event: event._id, user: req.user.id, status: { $ne: 'cancelled' } })
+        .select('shift status hoursWorked')
+    ]);
+
+    const statusByShift = new Map(mySignups.map(signup => [signup.shift.toString(), signup]));
+
+    res.status(200).json({
+      success: true,
+      count: shifts.length,
+      shifts: shifts.map(shift => ({
+        ...shift.toObject(),
+        spotsLeft: Math.max(0, shift.capacity - shift.signedUp),
+        hours: getShiftHours(shift),
+        mySignup: statusByShift.get(shift._id.toString()) || null
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get shifts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch shifts'
+    });
+  }
+};
+
+// @desc    Create a volunteer shift
+// @route   POST /api/events/:id/shifts
+// @access  Private (Organizer/Webmaster)
+exports.createShift = async (req, res) => {
+  try {
+    const event = req.event;
+
+    if (event.eventType !== 'service') {
+      return res.status(400).json({
+        success: false,
+        message: 'Shifts are only available for service events'
+      });
+    }
+
+    const { isValid, errors, shift } = validateShiftInput(req.body);
+
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const created = await VolunteerShift.create({
+      ...shift,
+      event: event._id,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift created',
+      shift: created
+    });
+
+  } catch (error) {
+    console.error('Create shift error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: Object.values(error.errors).map(val => val.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create shift'
+    });
+  }
+};
+
+// @desc    Update a volunteer shift
+// @route   PUT /api/events/:id/shifts/:shiftId
+// @access  Private (Organizer/Webmaster)
+exports.updateShift = async (req, res) => {
+  try {
+    const shift = await findEventShift(req.event._id, req.params.shiftId);
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    const { isValid, errors, shift: updates } = validateShiftInput(req.body, shift);
+
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    // Capacity is checked against signedUp at write time so a concurrent sign-up cannot slip past it
+    const updated = await VolunteerShift.findOneAndUpdate(
+      updates.capacity !== undefined
+        ? { _id: shift._id, signedUp: { $lte: updates.capacity } }
+        : { _id: shift._id },
+      updates,
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'Capacity cannot be lower than the number of volunteers signed up'
+      });
+    }
+
+    if (updates.startTime || updates.endTime) {
+      await ShiftSignup.updateMany(
+        { shift: shift._id, status: 'signed_up' },
+        { startTime: updated.startTime, endTime: updated.endTime }
+      );
+
+      const volunteers = await ShiftSignup.find({ shift: shift._id, status: 'signed_up' }).distinct('user');
+      notifyUsers(volunteers, 'event_updated', {
+        eventTitle: `${req.event.title} (${updated.name} shift)`,
+        eventId: req.event._id.toString()
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Shift updated',
+      shift: updated
+    });
+
+  } catch (error) {
+    console.error('Update shift error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: Object.values(error.errors).map(val => val.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update shift'
+    });
+  }
+};
+
+// @desc    Delete a volunteer shift and cancel its sign-ups
+// @route   DELETE /api/events/:id/shifts/:shiftId
+// @access  Private (Organizer/Webmaster)
+exports.deleteShift = async (req, res) => {
+  try {
+    const shift = await findEventShift(req.event._id, req.params.shiftId);
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    if (await ShiftSignup.exists({ shift: shift._id, status: 'worked' })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Shifts with confirmed volunteer hours cannot be deleted'
+      });
+    }
+
+    const volunteers = await ShiftSignup.find({ shift: shift._id, status: 'signed_up' }).distinct('user');
+
+    await ShiftSignup.deleteMany({ shift: shift._id });
+    await shift.deleteOne();
+
+    notifyUsers(volunteers, 'general', {
+      title: 'Shift Cancelled',
+      body: `The ${shift.name} shift for ${req.event.title} has been cancelled`,
+      eventId: req.event._id.toString()
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Shift deleted',
+      cancelledSignups: volunteers.length
+    });
+
+  } catch (error) {
+    console.error('Delete shift error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete shift'
+    });
+  }
+};
+
+// @desc    Sign up for one or more shifts
+// @route   POST /api/events/:id/shifts/signup
+// @access  Private
+exports.signUpForShifts = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).select('title status');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (['cancelled', 'completed'].includes(event.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `This event is ${event.status}`
+      });
+    }
+
+    const { shiftIds } = req.body;
+
+    if (!Array.isArray(shiftIds) || shiftIds.length === 0 || !shiftIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'shiftIds must be a list of shift IDs'
+      });
+    }
+
+    const shifts = await VolunteerShift.find({ _id: { $in: shiftIds }, event: event._id }).sort({ startTime: 1 });
+
+    if (shifts.length !== new Set(shiftIds.map(String)).size) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more shifts were not found for this event'
+      });
+    }
+
+    // The chosen shifts must not overlap each other either
+    for (let i = 1; i < shifts.length; i++) {
+      if (shifts[i].startTime < shifts[i - 1].endTime) {
+        return res.status(400).json({
+          success: false,
+          message: `The "${shifts[i - 1].name}" and "${shifts[i].name}" shifts overlap`
+        });
+      }
+    }
+
+    const results = [];
+
+    for (const shift of shifts) {
+      const result = await signUpForShift(shift, req.user.id);
+
+      results.push({
+        shiftId: shift._id,
+        name: shift.name,
+        status: result.status,
+        message: result.message
+      });
+    }
+
+    const signedUp = results.filter(result => result.status === 'signed_up').length;
+
+    res.status(signedUp > 0 ? 201 : 400).json({
+      success: signedUp > 0,
+      message: signedUp > 0
+        ? `Signed up for ${signedUp} shift(s)`
+        : 'Could not sign up for the selected shifts',
+      results
+    });
+
+  } catch (error) {
+    console.error('Shift sign-up error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign up for shifts'
+    });
+  }
+};
+
+// @desc    Cancel my shift sign-up
+// @route   DELETE /api/events/:id/shifts/:shiftId/signup
+// @access  Private
+exports.cancelShiftSignup = async (req, res) => {
+  try {
+    const shift = await findEventShift(req.params.id, req.params.shiftId);
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    if (shift.startTime <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sign-ups cannot be cancelled after the shift has started'
+      });
+    }
+
+    const signup = await ShiftSignup.findOneAndUpdate(
+      { shift: shift._id, user: req.user.id, status: 'signed_up' },
+      { status: 'cancelled', cancelledAt: new Date() },
+      { new: true }
+    );
+
+    if (!signup) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not signed up for this shift'
+      });
+    }
+
+    await VolunteerShift.releaseSpot(shift._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Shift sign-up cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel shift sign-up error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel shift sign-up'
+    });
+  }
+};
+
+// @desc    Get volunteers of a shift
+// @route   GET /api/events/:id/shifts/:shiftId/signups
+// @access  Private (Organizer/Webmaster)
+exports.getShiftSignups = async (req, res) => {
+  try {
+    const shift = await findEventShift(req.event._id, req.params.shiftId);
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    const filter = { shift: shift._id };
+    filter.status = req.query.status || { $ne: 'cancelled' };
+
+    const signups = await ShiftSignup.find(filter)
+      .populate('user', 'fullName displayName email contactNumber profilePhoto club leoId')
+      .populate('confirmedBy', 'fullName')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: signups.length,
+      shift,
+      signups
+    });
+
+  } catch (error) {
+    console.error('Get shift sign-ups error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch shift sign-ups'
+    });
+  }
+};
+
+// @desc    Confirm who worked a shift and credit their service hours
+// @route   POST /api/events/:id/shifts/:shiftId/confirm
+// @access  Private (Organizer/Webmaster)
+exports.confirmShift = async (req, res) => {
+  try {
+    const event = req.event;
+    const shift = await findEventShift(event._id, req.params.shiftId);
+
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    if (shift.endTime > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Shifts can be confirmed once they have ended'
+      });
+    }
+
+    const { confirmations } = req.body || {};
+
+    if (!Array.isArray(confirmations) || confirmations.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'confirmations must be a list of { userId, worked, hours }'
+      });
+    }
+
+    const defaultHours = getShiftHours(shift);
+    const results = [];
+
+    for (const confirmation of confirmations) {
+      const { userId } = confirmation;
+      const worked = confirmation.worked !== false;
+      const hours = confirmation.hours === undefined ? defaultHours : Number(confirmation.hours);
+
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        results.push({ userId, status: 'invalid', message: 'Invalid user ID' });
+        continue;
+      }
+
+      // Credited hours arrive already approved, so nobody confirms their own (same rule as service hour review)
+      if (String(userId) === req.user.id) {
+        results.push({ userId, status: 'invalid', message: 'Another organizer must confirm your own shift' });
+        continue;
+      }
+
+      // Credited hours skip the usual review, so they can never exceed the shift itself
+      if (worked && (isNaN(hours) || hours < 0.5 || hours > defaultHours)) {
+        results.push({ userId, status: 'invalid', message: `Hours must be between 0.5 and ${defaultHours} (the length of the shift)` });
+        continue;
+      }
+
+      // Worked is final once hours are credited; absent can still be corrected to worked
+      const signup = await ShiftSignup.findOneAndUpdate(
+        {
+          shift: shift._id,
+          user: userId,
+          status: worked ? { $in: ['signed_up', 'absent'] } : 'signed_up'
+        },
+        {
+          status: worked ? 'worked' : 'absent',
+          hoursWorked: worked ? hours : undefined,
+          confirmedBy: req.user._id,
+          confirmedAt: new Date()
+        },
+        { new: true }
+      );
+
+      if (!signup) {
+        results.push({ userId, status: 'skipped', message: 'Not signed up, or already confirmed' });
+        continue;
+      }
+
+      if (worked) {
+        const serviceHour = await creditShiftHours(signup, shift, event, req.user);
+        results.push({ userId, status: 'worked', hours, serviceHourId: serviceHour._id });
+      } else {
+        results.push({ userId, status: 'absent' });
+      }
+    }
+
+    const summary = results.reduce((counts, result) => {
+      counts[result.status] = (counts[result.status] || 0) + 1;
+      return counts;
+    }, { worked: 0, absent: 0, skipped: 0, invalid: 0 });
+
+    res.status(200).json({
+      success: true,
+      message: `Confirmed ${summary.worked} volunteer(s), ${summary.absent} absent`,
+      summary,
+      results
+    });
+
+  } catch (error) {
+    console.error('Confirm shift error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm shift'
+    });
+  }
+};
@@ -1,6 +1,8 @@
 // controllers/userController.js
 const User = require('../models/User');
-const { validateEmail, validatePhone,sanitizeAndValidateInput} = require('../utils/validation'); 
+const Club = require('../models/Club');
+const District = require('../models/District');
+const { validateEmail, validatePhone,sanitizeAndValidateInput, isValidObjectId} = require('../utils/validation'); 
 
 // @desc    Get all users (with filtering and pagination)
 // @route   GET /api/users
@@ -229,20 +231,22 @@ exports.getLeaderboard = async (req, res) => {
         .sort({ serviceHours: -1 })
         .limit(50);
     } else if (type === 'clubs') {
-      // Club leaderboard (aggregate service hours by club)
-      leaderboard = await User.aggregate([
-        { $match: { isActive: true, club: { $exists: true, $ne: '' } } },
-        {
-          $group: {
-            _id: '$club',
-            totalServiceHours: { $sum: '$serviceHours' },
-            memberCount: { $sum: 1 },
-            district: { $first: '$district' }
-          }
-        },
-        { $sort: { totalServiceHours: -1 } },
-        { $limit: 20 }
-      ]);
+      // Club leaderboard (verified service hours rolled up on approval)
+      leaderboard = await Club.find({ isActive: true })
+        .select('name code logo district districtName stats.serviceHours stats.totalMembers')
+        .sort({ 'stats.serviceHours': -1 })
+        .limit(20);
+    } else if (type === 'districts') {
+      // District leaderboard (verified service hours rolled up on approval)
+      leaderboard = await District.find({ isActive: true })
+        .select('name code logo region stats.serviceHours stats.totalClubs stats.totalMembers')
+        .sort({ 'stats.serviceHours': -1 })
+        .limit(20);
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid leaderboard type'
+      });
     }
 
     res.status(200).json({
@@ -259,4 +263,115 @@ exports.getLeaderboard = async (req, res) => {
       message: 'Failed to fetch leaderboard'
     });
   }
-};
\ No newline at end of file
+};
+
+// Club officers confirm members of their own club; webmasters and super admins of any club
+const canManageMembership = async (user, clubId) => {
+  if (['webmaster', 'super_admin'].includes(user.role)) return true;
+
+  const club = await Club.findById(clubId).select('president secretary treasurer');
+  return !!club && club.isOfficer(user._id);
+};
+
+// @desc    Verify a member's current club and district
+// @route   PUT /api/users/:id/membership
+// @access  Private (Club officers/Webmaster/Super Admin)
+exports.verifyMembership = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const member = await User.findById(req.params.id).select('fullName club district isActive');
+
+    if (!member || !member.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!member.club || !member.district) {
+      return res.status(400).json({
+        success: false,
+        message: 'The member has not set a club and district yet'
+      });
+    }
+
+    if (!(await canManageMembership(req.user, member.club))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only officers of the member\'s club can verify their membership'
+      });
+    }
+
+    const membership = {
+      club: member.club,
+      district: member.district,
+      verifiedBy: req.user._id,
+      verifiedAt: new Date()
+    };
+
+    await User.updateOne({ _id: member._id }, { $set: { membership } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Membership verified',
+      membership
+    });
+
+  } catch (error) {
+    console.error('❌ Verify membership error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify membership'
+    });
+  }
+};
+
+// @desc    Revoke a member's verified membership
+// @route   DELETE /api/users/:id/membership
+// @access  Private (Club officers/Webmaster/Super Admin)
+exports.revokeMembership = async (req, res) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const member = await User.findById(req.params.id).select('membership');
+
+    if (!member || !member.membership || !member.membership.verifiedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'No verified membership found'
+      });
+    }
+
+    if (!(await canManageMembership(req.user, member.membership.club))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only officers of the member\'s club can revoke their membership'
+      });
+    }
+
+    await User.updateOne({ _id: member._id }, { $unset: { membership: 1 } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Membership revoked'
+    });
+
+  } catch (error) {
+    console.error('❌ Revoke membership error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke membership'
+    });
+  }
+};
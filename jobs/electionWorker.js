@@ -0,0 +1,94 @@
+// jobs/electionWorker.js
+const Election = require('../models/Election');
+const { recordElectionTally, installElectionResults } = require('../utils/electionUtils');
+
+const RUN_INTERVAL_MS = parseInt(process.env.ELECTION_WORKER_INTERVAL_MS, 10) || 15 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+let timer = null;
+let isRunning = false;
+
+/**
+ * Count elections whose voting has closed so results are ready for certification
+ * @returns {Promise<number>} Number of elections tallied
+ */
+const tallyClosedElections = async () => {
+  const elections = await Election.find({ status: 'open', votingEnd: { $lte: new Date() } })
+    .sort({ votingEnd: 1 })
+    .limit(BATCH_SIZE);
+
+  let tallied = 0;
+
+  for (const election of elections) {
+    if (await recordElectionTally(election)) {
+      tallied++;
+      console.log(`🗳️  Ballots counted for "${election.title}"`);
+    }
+  }
+
+  return tallied;
+};
+
+/**
+ * Install certified results whose term has started
+ * @returns {Promise<number>} Number of elections installed
+ */
+const installStartedTerms = async () => {
+  const elections = await Election.find({ status: 'certified', termStart: { $lte: new Date() } })
+    .sort({ termStart: 1 })
+    .limit(BATCH_SIZE);
+
+  let installed = 0;
+
+  for (const election of elections) {
+    if (await installElectionResults(election)) {
+      installed++;
+      console.log(`🏅 Officers installed for "${election.title}"`);
+    }
+  }
+
+  return installed;
+};
+
+/**
+ * Run all election steps once
+ */
+const runOnce = async () => {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    await tallyClosedElections();
+    await installStartedTerms();
+  } catch (error) {
+    console.error('❌ Election worker error:', error);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Start the periodic election run
+ */
+const startElectionWorker = () => {
+  if (timer) return;
+
+  timer = setInterval(runOnce, RUN_INTERVAL_MS);
+  console.log(`🗳️  Election worker started (every ${RUN_INTERVAL_MS / 1000}s)`);
+};
+
+/**
+ * Stop the periodic election run
+ */
+const stopElectionWorker = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  startElectionWorker,
+  stopElectionWorker,
+  runOnce
+};
@@ -0,0 +1,220 @@
+// jobs/eventLifecycleWorker.js
+const Event = require('../models/Event');
+const EventRegistration = require('../models/EventRegistration');
+const { getEventEndDate, deriveEventStatus } = require('../utils/eventUtils');
+const { notifyUsers } = require('../utils/notificationUtils');
+const {
+  claimAttendanceFinalization,
+  releaseAttendanceFinalization,
+  markNoShows,
+  creditClubAttendance
+} = require('../utils/attendanceUtils');
+const { expireWaitlistOffers } = require('../utils/waitlistUtils');
+const { expireUnpaidRegistrations } = require('../utils/paymentUtils');
+
+const RUN_INTERVAL_MS = parseInt(process.env.EVENT_LIFECYCLE_INTERVAL_MS, 10) || 5 * 60 * 1000;
+// Give organizers time to sync offline scans before attendance is finalized
+const NO_SHOW_GRACE_HOURS = parseInt(process.env.NO_SHOW_GRACE_HOURS, 10) || 2;
+// Only finalize events that ended recently, so older events without check-in data are left alone
+const NO_SHOW_LOOKBACK_DAYS = 7;
+const BATCH_SIZE = 50;
+
+let timer = null;
+let isRunning = false;
+
+/**
+ * Close registration for events whose registration deadline has passed
+ * @returns {Promise<number>} Number of events closed
+ */
+const closeRegistrations = async () => {
+  const result = await Event.updateMany(
+    { registrationOpen: true, registrationDeadline: { $lte: new Date() } },
+    { registrationOpen: false, updatedAt: new Date() }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`🔒 Registration closed for ${result.modifiedCount} event(s)`);
+  }
+
+  return result.modifiedCount;
+};
+
+/**
+ * Move events to ongoing/completed based on their schedule in Sri Lanka time
+ * @returns {Promise<number>} Number of events updated
+ */
+const updateStatuses = async () => {
+  const now = new Date();
+
+  // Event.date is the start of the event day, so later events cannot have started yet
+  const cursor = Event.find({
+    status: { $in: ['upcoming', 'ongoing'] },
+    date: { $lte: now }
+  })
+    .select('title date time endDate endTime status')
+    .cursor();
+
+  let updated = 0;
+
+  for await (const event of cursor) {
+    const status = deriveEventStatus(event, now);
+    if (!status || status === event.status) continue;
+
+    const update = { status, updatedAt: now };
+    if (status === 'completed') {
+      update.completedAt = now;
+      update.registrationOpen = false;
+    }
+
+    // Skip events cancelled or edited since they were read
+    const result = await Event.updateOne({ _id: event._id, status: event.status }, update);
+    updated += result.modifiedCount;
+  }
+
+  if (updated > 0) {
+    console.log(`📅 Status updated for ${updated} event(s)`);
+  }
+
+  return updated;
+};
+
+/**
+ * After a completed event: mark no-shows and ask attendees for feedback
+ * @returns {Promise<number>} Number of events processed
+ */
+const runPostEventActions = async () => {
+  const now = Date.now();
+  const graceMs = NO_SHOW_GRACE_HOURS * 60 * 60 * 1000;
+
+  const lookback = new Date(now - NO_SHOW_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+  // An event ends no earlier than the start of its day, so later days cannot be past their grace period yet;
+  // the lookback counts from the last day, so multi-day events longer than it are still finalized
+  const cursor = Event.find({
+    status: 'completed',
+    attendanceFinalizedAt: null,
+    date: { $lte: new Date(now - graceMs) },
+    $or: [
+      { endDate: { $gte: lookback } },
+      { endDate: null, date: { $gte: lookback } }
+    ]
+  })
+    .select('title date time endDate endTime status feedbackRequestedAt club coHosts')
+    .sort({ date: 1 })
+    .cursor();
+
+  let processed = 0;
+
+  // Events still in their grace period are skipped without using up the batch
+  for await (const event of cursor) {
+    if (processed >= BATCH_SIZE) break;
+
+    const end = getEventEndDate(event);
+    if (!end || end.getTime() + graceMs > now) continue;
+
+    // Claim first so overlapping runs never credit the same event twice
+    const claimed = await claimAttendanceFinalization(event);
+    if (!claimed) continue;
+
+    let noShows;
+
+    try {
+      noShows = await markNoShows(claimed);
+      await creditClubAttendance(claimed);
+    } catch (error) {
+      // Credit was not given; the next run retries (no-shows already marked stay marked)
+      console.error(`❌ Attendance finalization failed for "${event.title}":`, error);
+      await releaseAttendanceFinalization(claimed);
+      continue;
+    }
+
+    if (!event.feedbackRequestedAt) {
+      const attendees = await EventRegistration.find({ event: event._id, status: 'attended' }).distinct('user');
+
+      await Event.updateOne({ _id: event._id }, { feedbackRequestedAt: new Date() });
+      await notifyUsers(attendees, 'event_feedback', {
+        eventTitle: event.title,
+        eventId: event._id.toString()
+      });
+    }
+
+    processed++;
+    console.log(`📋 Attendance finalized for "${event.title}": ${noShows} no-show(s)`);
+  }
+
+  return processed;
+};
+
+/**
+ * Pass seats from expired waitlist offers to the next person in line
+ * @returns {Promise<number>} Number of offers expired
+ */
+const processWaitlistOffers = async () => {
+  const expired = await expireWaitlistOffers();
+
+  if (expired > 0) {
+    console.log(`⏳ ${expired} waitlist offer(s) expired`);
+  }
+
+  return expired;
+};
+
+/**
+ * Cancel registrations left unpaid past their deadline, freeing their seats
+ * @returns {Promise<number>} Number of registrations expired
+ */
+const processUnpaidRegistrations = async () => {
+  const expired = await expireUnpaidRegistrations();
+
+  if (expired > 0) {
+    console.log(`💳 ${expired} unpaid registration(s) expired`);
+  }
+
+  return expired;
+};
+
+/**
+ * Run all lifecycle steps once
+ */
+const runOnce = async () => {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    await closeRegistrations();
+    await processWaitlistOffers();
+    await processUnpaidRegistrations();
+    await updateStatuses();
+    await runPostEventActions();
+  } catch (error) {
+    console.error('❌ Event lifecycle worker error:', error);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Start the periodic lifecycle run
+ */
+const startEventLifecycleWorker = () => {
+  if (timer) return;
+
+  timer = setInterval(runOnce, RUN_INTERVAL_MS);
+  console.log(`📋 Event lifecycle worker started (every ${RUN_INTERVAL_MS / 1000}s)`);
+};
+
+/**
+ * Stop the periodic lifecycle run
+ */
+const stopEventLifecycleWorker = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  startEventLifecycleWorker,
+  stopEventLifecycleWorker,
+  runOnce
+};
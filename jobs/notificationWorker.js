@@ -0,0 +1,151 @@
+// jobs/notificationWorker.js
+const ScheduledNotification = require('../models/ScheduledNotification');
+const EventRegistration = require('../models/EventRegistration');
+const { storeNotifications, sendPushNotification } = require('../utils/notificationUtils');
+
+const POLL_INTERVAL_MS = parseInt(process.env.NOTIFICATION_WORKER_INTERVAL_MS, 10) || 30 * 1000;
+const BATCH_SIZE = 50;
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+let timer = null;
+let isRunning = false;
+
+// Side effects once a notification linked to another record goes out
+const deliveryHandlers = {
+  EventRegistration: (id, sentAt) => EventRegistration.updateOne(
+    { _id: id },
+    { reminderSent: true, reminderTime: sentAt }
+  )
+};
+
+/**
+ * Exponential backoff delay for the given attempt number
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempts) => {
+  return Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1), RETRY_MAX_DELAY_MS);
+};
+
+/**
+ * Atomically claim the next due notification
+ * @returns {Promise<Object|null>} Claimed notification
+ */
+const claimNext = () => {
+  const now = new Date();
+
+  return ScheduledNotification.findOneAndUpdate(
+    { status: 'scheduled', nextAttemptAt: { $lte: now } },
+    { status: 'processing', lockedAt: now, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Deliver one scheduled notification, retrying with backoff on failure
+ * @param {Object} job - Scheduled notification document
+ */
+const processJob = async (job) => {
+  try {
+    // Store the in-app copy only once, even across retries
+    if (!job.inAppNotification) {
+      const [record] = await storeNotifications([job.user], job.notification);
+      job.inAppNotification = record._id;
+    }
+
+    const push = await sendPushNotification(job.user, job.notification);
+    if (push.retryable) {
+      throw new Error(push.error);
+    }
+
+    job.status = 'sent';
+    job.sentAt = new Date();
+    job.lastError = undefined;
+    await job.save();
+
+    const handler = job.reference && deliveryHandlers[job.reference.kind];
+    if (handler) {
+      await handler(job.reference.id, job.sentAt);
+    }
+
+  } catch (error) {
+    console.error(`❌ Scheduled notification ${job._id} failed (attempt ${job.attempts}):`, error.message);
+
+    job.lastError = error.message;
+
+    if (job.attempts >= job.maxAttempts) {
+      job.status = 'failed';
+    } else {
+      job.status = 'scheduled';
+      job.nextAttemptAt = new Date(Date.now() + getRetryDelay(job.attempts));
+    }
+
+    await job.save();
+  }
+};
+
+/**
+ * Deliver all notifications that are due
+ * @returns {Promise<number>} Number of notifications processed
+ */
+const runOnce = async () => {
+  if (isRunning) return 0;
+  isRunning = true;
+
+  let processed = 0;
+
+  try {
+    // Release jobs left in processing by a crashed instance
+    await ScheduledNotification.updateMany(
+      { status: 'processing', lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+      { status: 'scheduled', nextAttemptAt: new Date() }
+    );
+
+    while (processed < BATCH_SIZE) {
+      const job = await claimNext();
+      if (!job) break;
+
+      await processJob(job);
+      processed++;
+    }
+
+    if (processed > 0) {
+      console.log(`⏰ Notification worker processed ${processed} notification(s)`);
+    }
+
+  } catch (error) {
+    console.error('❌ Notification worker error:', error);
+  } finally {
+    isRunning = false;
+  }
+
+  return processed;
+};
+
+/**
+ * Start polling for due notifications
+ */
+const startNotificationWorker = () => {
+  if (timer) return;
+
+  timer = setInterval(runOnce, POLL_INTERVAL_MS);
+  console.log(`⏰ Notification worker started (every ${POLL_INTERVAL_MS / 1000}s)`);
+};
+
+/**
+ * Stop polling
+ */
+const stopNotificationWorker = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  startNotificationWorker,
+  stopNotificationWorker,
+  runOnce
+};
@@ -0,0 +1,86 @@
+// jobs/pollResultsWorker.js
+const Poll = require('../models/Poll');
+const { releasePollResults } = require('../utils/pollNotificationUtils');
+
+const RUN_INTERVAL_MS = parseInt(process.env.POLL_RESULTS_WORKER_INTERVAL_MS, 10) || 5 * 60 * 1000;
+// Only release recently closed polls, so polls that ended before release policies stay quiet
+const RELEASE_LOOKBACK_DAYS = 7;
+const BATCH_SIZE = 50;
+
+let timer = null;
+let isRunning = false;
+
+/**
+ * Release results of after_close polls that have ended and notify their participants
+ * @returns {Promise<number>} Number of polls released
+ */
+const releaseClosedPolls = async () => {
+  const now = new Date();
+  const since = new Date(now.getTime() - RELEASE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+  const polls = await Poll.find({
+    isActive: true,
+    resultsReleasedAt: null,
+    endDate: { $lte: now, $gte: since },
+    $or: [
+      { resultsVisibility: 'after_close' },
+      { resultsVisibility: { $exists: false }, showResults: false }
+    ]
+  })
+    .select('question votes isAnonymous club district audience isPublic')
+    .sort({ endDate: 1 })
+    .limit(BATCH_SIZE);
+
+  let released = 0;
+
+  for (const poll of polls) {
+    if (await releasePollResults(poll)) {
+      released++;
+      console.log(`📊 Results released for poll "${poll.question}"`);
+    }
+  }
+
+  return released;
+};
+
+/**
+ * Run the poll results release once
+ */
+const runOnce = async () => {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    await releaseClosedPolls();
+  } catch (error) {
+    console.error('❌ Poll results worker error:', error);
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Start the periodic poll results release
+ */
+const startPollResultsWorker = () => {
+  if (timer) return;
+
+  timer = setInterval(runOnce, RUN_INTERVAL_MS);
+  console.log(`📊 Poll results worker started (every ${RUN_INTERVAL_MS / 1000}s)`);
+};
+
+/**
+ * Stop the periodic poll results release
+ */
+const stopPollResultsWorker = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  startPollResultsWorker,
+  stopPollResultsWorker,
+  runOnce
+};
@@ -92,4 +92,83 @@ exports.requireOwnershipOrWebmaster = (modelName) => {
       });
     }
   };
-};
\ No newline at end of file
+};
+
+// Load req.params.id and check the user may manage it; co-host club officers are let in when allowed
+const checkEventAccess = (allowCoHosts) => {
+  return async (req, res, next) => {
+    try {
+      const Event = require('../models/Event');
+      const event = await Event.findById(req.params.id);
+
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+
+      if (!(await event.isManagedBy(req.user, { allowCoHosts }))) {
+        return res.status(403).json({
+          success: false,
+          message: allowCoHosts
+            ? 'Only the event organizer, a co-host club officer or a Webmaster can manage this event'
+            : 'Only the event organizer or a Webmaster can manage this event'
+        });
+      }
+
+      req.event = event;
+      next();
+
+    } catch (error) {
+      console.error('❌ Event manager check error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Authorization check failed'
+      });
+    }
+  };
+};
+
+// @desc    Check if user organizes the event, is an officer of a co-host club, or is webmaster
+// @access  Private
+exports.requireEventManager = checkEventAccess(true);
+
+// @desc    Check if user organizes the event or is webmaster (deleting, cancelling, choosing co-hosts)
+// @access  Private
+exports.requireEventHost = checkEventAccess(false);
+
+// Check if user can manage a recurring event series (organizer or webmaster)
+exports.requireSeriesManager = async (req, res, next) => {
+  try {
+    const EventSeries = require('../models/EventSeries');
+    const series = await EventSeries.findById(req.params.seriesId);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event series not found'
+      });
+    }
+
+    const isOrganizer = series.organizer && series.organizer.toString() === req.user.id;
+    const isWebmaster = req.user.role === 'webmaster';
+
+    if (!isOrganizer && !isWebmaster) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the series organizer or a Webmaster can manage this series'
+      });
+    }
+
+    req.series = series;
+    next();
+
+  } catch (error) {
+    console.error('❌ Series manager check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Authorization check failed'
+    });
+  }
+};
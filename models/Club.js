@@ -72,6 +72,11 @@ const clubSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Attendees of completed events the club hosted or co-hosted
+    eventAttendance: {
+      type: Number,
+      default: 0
+    },
     serviceHours: {
       type: Number,
       default: 0
@@ -155,6 +160,17 @@ clubSchema.statics.getLeaderboard = async function(limit = 20, districtId = null
   ]);
 };
 
+// Method to check if user holds an officer position in the club
+clubSchema.methods.isOfficer = function(userId) {
+  if (!userId) return false;
+
+  return ['president', 'secretary', 'treasurer'].some(position =>
+    this[position] &&
+    this[position].userId &&
+    this[position].userId.toString() === userId.toString()
+  );
+};
+
 // Update club stats
 clubSchema.methods.updateStats = async function() {
   const User = mongoose.model('User');
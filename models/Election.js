@@ -0,0 +1,176 @@
+// models/Election.js
+const mongoose = require('mongoose');
+
+const positionSchema = new mongoose.Schema({
+  // president/secretary/treasurer update the club (or district) officer fields when the term starts
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  seats: {
+    type: Number,
+    default: 1,
+    min: 1
+  }
+}, { _id: false });
+
+const candidateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  position: {
+    type: String,
+    required: true
+  },
+  statement: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Statement cannot be more than 2000 characters']
+  },
+  nominatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Nominations by others wait for the nominee to accept; only accepted candidates are on the ballot
+  status: {
+    type: String,
+    enum: ['nominated', 'accepted', 'withdrawn'],
+    default: 'nominated'
+  },
+  respondedAt: Date
+}, { timestamps: true });
+
+const resultSchema = new mongoose.Schema({
+  position: String,
+  seats: Number,
+  quota: Number,
+  validBallots: Number,
+  exhaustedBallots: Number,
+  elected: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Per-round tallies, elections and eliminations for the count report
+  rounds: [mongoose.Schema.Types.Mixed],
+  // Rounds where a tie had to be broken by earlier rounds or nomination order
+  tieBreaks: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const electionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  scope: {
+    type: String,
+    enum: ['club', 'district'],
+    required: true
+  },
+  // Set for club elections
+  club: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Club'
+  },
+  district: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'District',
+    required: true
+  },
+  // irv: instant runoff for single seats; stv: single transferable vote for multi-seat positions
+  method: {
+    type: String,
+    enum: ['irv', 'stv'],
+    default: 'irv'
+  },
+  positions: [positionSchema],
+  candidates: [candidateSchema],
+  nominationStart: {
+    type: Date,
+    required: true
+  },
+  nominationEnd: {
+    type: Date,
+    required: true
+  },
+  votingStart: {
+    type: Date,
+    required: true
+  },
+  votingEnd: {
+    type: Date,
+    required: true
+  },
+  termStart: {
+    type: Date,
+    required: true
+  },
+  termEnd: Date,
+  status: {
+    type: String,
+    enum: ['open', 'tallied', 'certified', 'installed', 'cancelled'],
+    default: 'open'
+  },
+  ballotCount: {
+    type: Number,
+    default: 0
+  },
+  results: [resultSchema],
+  talliedAt: Date,
+  certifiedAt: Date,
+  certifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set while results are being installed; positions already written are kept so a failed install resumes
+  installingAt: Date,
+  installedPositions: [String],
+  installedAt: Date,
+  cancelledAt: Date,
+  cancellationReason: String,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+electionSchema.index({ club: 1, votingEnd: -1 });
+electionSchema.index({ district: 1, scope: 1, votingEnd: -1 });
+electionSchema.index({ status: 1, votingEnd: 1 });
+electionSchema.index({ status: 1, termStart: 1 });
+
+// Phase from the timeline, once the stored status no longer says more
+electionSchema.methods.getPhase = function(now = new Date()) {
+  if (this.status !== 'open') return this.status;
+  if (now < this.nominationStart) return 'upcoming';
+  if (now < this.nominationEnd) return 'nominations';
+  if (now < this.votingStart) return 'pre_voting';
+  if (now < this.votingEnd) return 'voting';
+  return 'closed';
+};
+
+module.exports = mongoose.model('Election', electionSchema);
@@ -0,0 +1,37 @@
+// models/ElectionBallot.js
+const mongoose = require('mongoose');
+
+const rankingSchema = new mongoose.Schema({
+  position: {
+    type: String,
+    required: true
+  },
+  // Candidate user IDs, most preferred first
+  candidates: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, { _id: false });
+
+// Secret ballot: the voter is only recorded as a keyed hash so a second ballot is refused
+const electionBallotSchema = new mongoose.Schema({
+  election: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election',
+    required: true
+  },
+  voterHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  rankings: [rankingSchema],
+  castAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+electionBallotSchema.index({ election: 1, voterHash: 1 }, { unique: true });
+
+module.exports = mongoose.model('ElectionBallot', electionBallotSchema);
@@ -1,5 +1,52 @@
 // models/Event.js
 const mongoose = require('mongoose');
+const { toGeoPoint } = require('../utils/geoUtils');
+
+const formOptionSchema = new mongoose.Schema({
+  value: {
+    type: String,
+    required: true
+  },
+  label: String,
+  // Places available for this option (e.g. workshop seats); unlimited when unset
+  limit: Number,
+  // Places left, kept in step with registrations
+  remaining: Number
+}, { _id: false });
+
+const formFieldSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  label: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['text', 'choice', 'number', 'date'],
+    required: true
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  helpText: String,
+  maxLength: Number,
+  min: Number,
+  max: Number,
+  multiple: Boolean,
+  options: {
+    type: [formOptionSchema],
+    default: undefined
+  },
+  // Only asked when an earlier field's answer is one of the values
+  showIf: {
+    field: String,
+    values: [String]
+  }
+}, { _id: false });
 
 const EventSchema = new mongoose.Schema({
   title: {
@@ -32,6 +79,34 @@ const EventSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Other clubs running the event with the host club; accepted co-hosts share management and credit
+  coHosts: [{
+    _id: false,
+    club: {
+      type: String,
+      required: true
+    },
+    clubName: String,
+    district: String,
+    status: {
+      type: String,
+      enum: ['invited', 'accepted', 'declined'],
+      default: 'invited'
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    invitedAt: {
+      type: Date,
+      default: Date.now
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: Date
+  }],
   eventType: {
     type: String,
     enum: ['workshop', 'seminar', 'conference', 'social', 'service', 'fundraiser', 'sports', 'other'],
@@ -65,6 +140,17 @@ const EventSchema = new mongoose.Schema({
     lat: Number,
     lng: Number
   },
+  // GeoJSON copy of coordinates for geospatial queries (kept in sync on validate)
+  geo: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
   imageUrl: {
     type: String,
     default: 'https://images.pexels.com/photos/1190297/pexels-photo-1190297.jpeg'
@@ -107,6 +193,14 @@ const EventSchema = new mongoose.Schema({
     },
     certificateId: String
   }],
+  // Gallery photo chosen by an organizer as the event cover
+  coverPhoto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventPhoto'
+  },
+  // imageUrl from before the first cover photo, put back when the cover is hidden or deleted
+  imageUrlBeforeCover: String,
+  // Legacy embedded gallery; contributed photos live in EventPhoto
   gallery: [{
     url: String,
     uploadedBy: {
@@ -124,7 +218,9 @@ const EventSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    certificateId: String,
     certificateUrl: String,
+    publicId: String,
     issuedAt: {
       type: Date,
       default: Date.now
@@ -148,6 +244,31 @@ const EventSchema = new mongoose.Schema({
     default: true
   },
   registrationDeadline: Date,
+  waitlistEnabled: {
+    type: Boolean,
+    default: true
+  },
+  attendanceFinalizedAt: Date,
+  completedAt: Date,
+  feedbackRequestedAt: Date,
+  cancelledAt: Date,
+  cancellationReason: {
+    type: String,
+    maxlength: [500, 'Cancellation reason cannot be more than 500 characters']
+  },
+  // Recurring events: each occurrence is an Event linked to its series
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventSeries'
+  },
+  occurrenceIndex: Number,
+  // Date the occurrence was generated for, kept when it is moved
+  originalDate: Date,
+  // Edited or cancelled independently of the rest of the series
+  isException: {
+    type: Boolean,
+    default: false
+  },
   fee: {
     amount: {
       type: Number,
@@ -158,6 +279,18 @@ const EventSchema = new mongoose.Schema({
       default: 'LKR'
     }
   },
+  // Aspects attendees rate in the post-event survey
+  feedbackAspects: {
+    type: [String],
+    default: ['organization', 'content', 'venue']
+  },
+  // Extra questions asked at registration (see utils/registrationFormUtils.js)
+  registrationForm: [formFieldSchema],
+  // Bumped whenever option places are taken or given back, so a form replacement cannot overwrite them
+  registrationFormVersion: {
+    type: Number,
+    default: 0
+  },
   tags: [String],
   shareCount: {
     type: Number,
@@ -177,10 +310,202 @@ const EventSchema = new mongoose.Schema({
   }
 });
 
+EventSchema.index({ series: 1, date: 1 });
+EventSchema.index({ 'coHosts.club': 1, 'coHosts.status': 1 });
+EventSchema.index({ date: 1 });
+EventSchema.index({ geo: '2dsphere' });
+EventSchema.index(
+  { title: 'text', description: 'text', tags: 'text', city: 'text' },
+  { weights: { title: 10, tags: 5, city: 3, description: 1 }, name: 'event_text_search' }
+);
+
+// Sync geo from coordinates (runs for save and insertMany)
+EventSchema.pre('validate', function() {
+  if (this.isNew || this.isModified('coordinates')) {
+    this.geo = toGeoPoint(this.coordinates);
+  }
+});
+
 // Update updatedAt on save
-EventSchema.pre('save', function(next) {
+EventSchema.pre('save', function() {
   this.updatedAt = Date.now();
-  next();
 });
 
+// Registration statuses that occupy a seat (offered seats are held for the waitlist)
+EventSchema.statics.SEAT_STATUSES = ['registered', 'offered', 'attended', 'no-show'];
+// Registration statuses listed in registeredUsers
+EventSchema.statics.REGISTERED_STATUSES = ['registered', 'attended', 'no-show'];
+
+// Atomically take a seat if the event has capacity; returns null when full
+EventSchema.statics.reserveSeat = function(eventId, userId) {
+  const update = { $inc: { currentAttendees: 1 } };
+  if (userId) update.$addToSet = { registeredUsers: userId };
+
+  return this.findOneAndUpdate(
+    {
+      _id: eventId,
+      $or: [
+        { maxAttendees: { $lte: 0 } },
+        { $expr: { $lt: ['$currentAttendees', '$maxAttendees'] } }
+      ]
+    },
+    update,
+    { new: true }
+  );
+};
+
+// Atomically give a seat back (never below zero)
+EventSchema.statics.releaseSeat = async function(eventId, userId) {
+  if (userId) {
+    await this.updateOne({ _id: eventId }, { $pull: { registeredUsers: userId } });
+  }
+
+  return this.findOneAndUpdate(
+    { _id: eventId, currentAttendees: { $gt: 0 } },
+    { $inc: { currentAttendees: -1 } },
+    { new: true }
+  );
+};
+
+// Host club plus accepted co-host clubs
+EventSchema.methods.getParticipatingClubIds = function() {
+  const clubIds = (this.coHosts || [])
+    .filter(coHost => coHost.status === 'accepted')
+    .map(coHost => coHost.club);
+
+  return [...new Set([this.club, ...clubIds].filter(Boolean))];
+};
+
+// Host district plus districts of accepted co-host clubs
+EventSchema.methods.getParticipatingDistrictIds = function() {
+  const districtIds = (this.coHosts || [])
+    .filter(coHost => coHost.status === 'accepted')
+    .map(coHost => coHost.district);
+
+  return [...new Set([this.district, ...districtIds].filter(Boolean))];
+};
+
+// Whether a user may manage the event: organizer, webmaster or (when allowed) a co-host club officer
+EventSchema.methods.isManagedBy = async function(user, options = {}) {
+  const { allowCoHosts = true } = options;
+
+  if (!user) return false;
+  if (user.role === 'webmaster') return true;
+  if (this.organizer && this.organizer.toString() === user.id) return true;
+  if (!allowCoHosts) return false;
+
+  const coHostClubIds = this.getParticipatingClubIds()
+    .filter(clubId => clubId !== this.club && mongoose.Types.ObjectId.isValid(clubId));
+  if (coHostClubIds.length === 0) return false;
+
+  const clubs = await mongoose.model('Club').find({ _id: { $in: coHostClubIds } })
+    .select('president secretary treasurer');
+  return clubs.some(club => club.isOfficer(user.id));
+};
+
+// Query condition for events a club hosts or co-hosts
+EventSchema.statics.participatingClubFilter = function(clubId) {
+  return {
+    $or: [
+      { club: clubId },
+      { coHosts: { $elemMatch: { club: clubId, status: 'accepted' } } }
+    ]
+  };
+};
+
+// Atomically take a place on each limited form option; returns the first full selection, or null
+EventSchema.statics.reserveChoices = async function(eventId, selections) {
+  const reserved = [];
+
+  for (const selection of selections) {
+    const result = await this.updateOne(
+      {
+        _id: eventId,
+        registrationForm: {
+          $elemMatch: {
+            key: selection.key,
+            options: { $elemMatch: { value: selection.value, remaining: { $gt: 0 } } }
+          }
+        }
+      },
+      {
+        $inc: {
+          'registrationForm.$[field].options.$[option].remaining': -1,
+          registrationFormVersion: 1
+        }
+      },
+      { arrayFilters: [{ 'field.key': selection.key }, { 'option.value': selection.value }] }
+    );
+
+    if (result.modifiedCount === 0) {
+      await this.releaseChoices(eventId, reserved);
+      return selection;
+    }
+
+    reserved.push(selection);
+  }
+
+  return null;
+};
+
+// Give back places on limited form options
+EventSchema.statics.releaseChoices = async function(eventId, selections) {
+  for (const selection of selections) {
+    await this.updateOne(
+      { _id: eventId },
+      {
+        $inc: {
+          'registrationForm.$[field].options.$[option].remaining': 1,
+          registrationFormVersion: 1
+        }
+      },
+      {
+        arrayFilters: [
+          { 'field.key': selection.key },
+          { 'option.value': selection.value, 'option.limit': { $gt: 0 } }
+        ]
+      }
+    );
+  }
+};
+
+// Recompute currentAttendees and registeredUsers from EventRegistration
+EventSchema.statics.reconcileCounts = async function(eventId, options = {}) {
+  const EventRegistration = mongoose.model('EventRegistration');
+
+  const [event, registrations] = await Promise.all([
+    this.findById(eventId).select('title currentAttendees registeredUsers'),
+    EventRegistration.find({
+      event: eventId,
+      status: { $in: this.SEAT_STATUSES }
+    }).select('user status')
+  ]);
+
+  if (!event) return null;
+
+  const currentAttendees = registrations.length;
+  const registeredUsers = registrations
+    .filter(registration => this.REGISTERED_STATUSES.includes(registration.status))
+    .map(registration => registration.user);
+
+  const beforeUsers = new Set(event.registeredUsers.map(id => id.toString()));
+  const afterUsers = new Set(registeredUsers.map(id => id.toString()));
+  const changed = event.currentAttendees !== currentAttendees ||
+    beforeUsers.size !== event.registeredUsers.length ||
+    beforeUsers.size !== afterUsers.size ||
+    [...afterUsers].some(id => !beforeUsers.has(id));
+
+  if (changed && !options.dryRun) {
+    await this.updateOne({ _id: eventId }, { currentAttendees, registeredUsers });
+  }
+
+  return {
+    eventId: event._id,
+    title: event.title,
+    changed,
+    currentAttendees: { before: event.currentAttendees, after: currentAttendees },
+    registeredUsers: { before: event.registeredUsers.length, after: registeredUsers.length }
+  };
+};
+
 module.exports = mongoose.model('Event', EventSchema);
\ No newline at end of file
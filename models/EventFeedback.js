@@ -0,0 +1,59 @@
+// models/EventFeedback.js
+const mongoose = require('mongoose');
+
+const eventFeedbackSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  // Copied from the event so club averages do not need a join
+  club: String,
+  eventDate: Date,
+  // Keyed hash of event + user: one response per attendee without storing who answered
+  respondentHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Left empty for anonymous responses
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  anonymous: {
+    type: Boolean,
+    default: false
+  },
+  overallRating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  aspectRatings: [{
+    _id: false,
+    aspect: {
+      type: String,
+      required: true
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5
+    }
+  }],
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  }
+}, {
+  timestamps: true
+});
+
+eventFeedbackSchema.index({ event: 1, respondentHash: 1 }, { unique: true });
+eventFeedbackSchema.index({ club: 1, eventDate: -1 });
+
+module.exports = mongoose.model('EventFeedback', eventFeedbackSchema);
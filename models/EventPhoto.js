@@ -0,0 +1,56 @@
+// models/EventPhoto.js
+const mongoose = require('mongoose');
+
+const eventPhotoSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  // Cloudinary public ID, used to remove the file when the photo is deleted
+  publicId: {
+    type: String,
+    required: true
+  },
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Caption cannot be more than 300 characters']
+  },
+  // Attendee photos wait for an organizer; organizer photos are approved on upload
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'hidden'],
+    default: 'pending'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: Date,
+  likes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  likesCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+eventPhotoSchema.index({ event: 1, status: 1, createdAt: -1 });
+eventPhotoSchema.index({ event: 1, status: 1, likesCount: -1 });
+eventPhotoSchema.index({ uploadedBy: 1 });
+
+module.exports = mongoose.model('EventPhoto', eventPhotoSchema);
@@ -12,27 +12,54 @@ const EventRegistrationSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Set when the user registered for the whole series
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventSeries'
+  },
   registrationDate: {
     type: Date,
     default: Date.now
   },
   status: {
     type: String,
-    enum: ['registered', 'attended', 'cancelled', 'no-show'],
+    enum: ['registered', 'waitlisted', 'offered', 'attended', 'cancelled', 'no-show'],
     default: 'registered'
   },
+  // Order on the waitlist (1 = next in line)
+  waitlistPosition: Number,
+  // A freed spot offered to a waitlisted user, held until offerExpiresAt
+  offeredAt: Date,
+  offerExpiresAt: Date,
+  cancelledAt: Date,
+  // Answers to the event's registration form, keyed by field key
+  formAnswers: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed
+  },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'free', 'cancelled'],
+    enum: ['pending', 'paid', 'free', 'cancelled', 'refunded'],
     default: 'pending'
   },
+  // Unpaid registrations of paid events hold a seat until then (see expireUnpaidRegistrations)
+  paymentExpiresAt: Date,
   paymentId: String,
   amountPaid: Number,
   checkInTime: Date,
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  checkInMethod: {
+    type: String,
+    enum: ['qr', 'manual', 'offline_sync']
+  },
   certificateIssued: {
     type: Boolean,
     default: false
   },
+  certificateId: String,
   certificateUrl: String,
   reminderSent: {
     type: Boolean,
@@ -48,9 +75,16 @@ const EventRegistrationSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   }
+}, {
+  // Concurrent saves of the same registration (e.g. double re-registration) fail instead of both winning
+  optimisticConcurrency: true
 });
 
 // Ensure one user can register only once per event
 EventRegistrationSchema.index({ event: 1, user: 1 }, { unique: true });
+EventRegistrationSchema.index({ certificateId: 1 }, { sparse: true });
+EventRegistrationSchema.index({ event: 1, status: 1, waitlistPosition: 1 });
+EventRegistrationSchema.index({ status: 1, offerExpiresAt: 1 });
+EventRegistrationSchema.index({ status: 1, paymentStatus: 1, paymentExpiresAt: 1 });
 
 module.exports = mongoose.model('EventRegistration', EventRegistrationSchema);
\ No newline at end of file
@@ -0,0 +1,70 @@
+// models/EventSeries.js
+const mongoose = require('mongoose');
+
+// Occurrences are stored as regular Event documents linked back to the series
+const eventSeriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Please add a title'],
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  club: {
+    type: String,
+    trim: true
+  },
+  district: {
+    type: String,
+    trim: true
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['weekly', 'monthly'],
+      required: true
+    },
+    interval: {
+      type: Number,
+      default: 1
+    },
+    // Weekly: days of the week (0 = Sunday)
+    daysOfWeek: [Number],
+    // Monthly: a fixed day of the month, or the nth weekday (-1 = last)
+    monthlyType: {
+      type: String,
+      enum: ['day_of_month', 'nth_weekday']
+    },
+    dayOfMonth: Number,
+    weekOfMonth: Number,
+    dayOfWeek: Number,
+    until: Date,
+    count: Number
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  // Event fields copied onto every occurrence (description, time, location, ...)
+  template: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+eventSeriesSchema.index({ organizer: 1, status: 1 });
+eventSeriesSchema.index({ club: 1, status: 1 });
+
+module.exports = mongoose.model('EventSeries', eventSeriesSchema);
@@ -0,0 +1,66 @@
+// models/Notification.js
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'new_post',
+      'new_event',
+      'event_reminder',
+      'event_updated',
+      'event_cancelled',
+      'event_feedback',
+      'certificate_issued',
+      'waitlist_offer',
+      'cohost_invitation',
+      'service_hours_approved',
+      'service_hours_rejected',
+      'new_badge',
+      'mention',
+      'new_poll',
+      'poll_results',
+      'election_nomination',
+      'election_results',
+      'general'
+    ],
+    default: 'general'
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+notificationSchema.index({ user: 1, isRead: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, type: 1 });
+
+// Static method to count unread notifications for a user
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ user: userId, isRead: false });
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,91 @@
+// models/Payment.js
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema({
+  refundId: String,
+  amount: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  reason: String,
+  error: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const paymentSchema = new mongoose.Schema({
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventRegistration',
+    required: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'LKR'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'failed', 'expired', 'refunded'],
+    default: 'pending'
+  },
+  // Checkout session at the provider
+  sessionId: {
+    type: String,
+    required: true
+  },
+  checkoutUrl: String,
+  expiresAt: Date,
+  // Provider's ID for the captured payment (used for refunds)
+  providerPaymentId: String,
+  paidAt: Date,
+  failureReason: String,
+  receiptNumber: String,
+  refunds: [refundSchema],
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  // Webhook event IDs already applied, so retried webhooks are ignored
+  processedEvents: [String]
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ provider: 1, sessionId: 1 }, { unique: true });
+paymentSchema.index({ registration: 1, status: 1 });
+// One open checkout per registration, so a registration cannot be paid twice
+paymentSchema.index(
+  { registration: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+paymentSchema.index({ event: 1, status: 1 });
+paymentSchema.index({ user: 1, createdAt: -1 });
+paymentSchema.index({ receiptNumber: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Payment', paymentSchema);
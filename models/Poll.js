@@ -1,5 +1,6 @@
 // models/Poll.js - SIMPLIFIED VERSION
 const mongoose = require('mongoose');
+const { findUserVote } = require('../utils/pollUtils');
 
 const optionSchema = new mongoose.Schema({
   text: {
@@ -14,14 +15,24 @@ const optionSchema = new mongoose.Schema({
 });
 
 const voteSchema = new mongoose.Schema({
+  // Not stored on anonymous polls
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return !this.voterHash;
+    }
   },
+  // Anonymous polls: keyed hash of poll and voter, so repeat votes are caught without storing who voted
+  voterHash: String,
+  // Options ticked by the voter (one entry unless the poll is multi-select)
+  optionIndexes: [{
+    type: Number,
+    min: 0
+  }],
+  // Single-choice votes cast before multi-select polls; read through getVoteSelections
   optionIndex: {
     type: Number,
-    required: true,
     min: 0
   },
   votedAt: {
@@ -61,10 +72,36 @@ const pollSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Kept in step with audience.scope === 'all' for older clients
   isPublic: {
     type: Boolean,
     default: true
   },
+  // Who can see and vote; polls created before audiences follow isPublic (see getPollAudienceScope)
+  audience: {
+    scope: {
+      type: String,
+      enum: ['club', 'district', 'all', 'custom']
+    },
+    // custom: anyone holding one of these roles or listed as a member
+    roles: [String],
+    members: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  },
+  // Extra conditions for voting on top of being in the audience
+  voteRequirements: {
+    minMembershipDays: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    verifiedOnly: {
+      type: Boolean,
+      default: false
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -73,13 +110,46 @@ const pollSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Members may tick several options, between minSelections and maxSelections
   allowMultiple: {
     type: Boolean,
     default: false
   },
+  minSelections: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Defaults to the number of options when not set
+  maxSelections: {
+    type: Number,
+    min: 1
+  },
+  // Secret ballot: only option totals are ever returned, never who voted for what
+  isAnonymous: {
+    type: Boolean,
+    default: false
+  },
+  // Members may replace their vote until the poll ends
+  allowVoteChange: {
+    type: Boolean,
+    default: false
+  },
+  // Kept for older clients: true only while results are visible to everyone (see getResultsVisibility)
   showResults: {
     type: Boolean,
     default: true
+  },
+  // When members see results: always, once they have voted, once the poll closes, or when the creator releases them
+  resultsVisibility: {
+    type: String,
+    enum: ['always', 'after_vote', 'after_close', 'manual']
+  },
+  // Set when results are released to everyone (manually, or by the worker once an after_close poll ends)
+  resultsReleasedAt: Date,
+  resultsReleasedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true
@@ -89,8 +159,11 @@ const pollSchema = new mongoose.Schema({
 pollSchema.index({ club: 1, district: 1 });
 pollSchema.index({ endDate: 1 });
 pollSchema.index({ isActive: 1, isPinned: -1, createdAt: -1 });
+pollSchema.index({ 'audience.scope': 1, club: 1 });
+pollSchema.index({ 'audience.members': 1 });
+pollSchema.index({ resultsVisibility: 1, resultsReleasedAt: 1, endDate: 1 });
 
-// Virtual for total votes
+// Virtual for total votes (one per voter, however many options they ticked)
 pollSchema.virtual('totalVotes').get(function() {
   return this.votes.length;
 });
@@ -102,7 +175,7 @@ pollSchema.virtual('hasEnded').get(function() {
 
 // Method to check if user has voted
 pollSchema.methods.hasUserVoted = function(userId) {
-  return this.votes.some(vote => vote.user.toString() === userId.toString());
+  return !!findUserVote(this, userId);
 };
 
 // REMOVED the problematic pre-save middleware
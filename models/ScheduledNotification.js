@@ -0,0 +1,80 @@
+// models/ScheduledNotification.js
+const mongoose = require('mongoose');
+
+const scheduledNotificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  notification: {
+    title: {
+      type: String,
+      required: true
+    },
+    body: {
+      type: String,
+      required: true
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    }
+  },
+  deliverAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'processing', 'sent', 'failed', 'cancelled'],
+    default: 'scheduled'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: Date,
+  lockedAt: Date,
+  lastError: String,
+  sentAt: Date,
+  cancelledAt: Date,
+  // In-app notification created on the first attempt, so retries don't duplicate it
+  inAppNotification: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification'
+  },
+  // Record this notification belongs to (e.g. the EventRegistration of a reminder)
+  reference: {
+    kind: String,
+    id: mongoose.Schema.Types.ObjectId
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+scheduledNotificationSchema.index({ status: 1, nextAttemptAt: 1 });
+scheduledNotificationSchema.index({ user: 1, deliverAt: -1 });
+scheduledNotificationSchema.index({ 'reference.kind': 1, 'reference.id': 1 });
+
+// First attempt happens at delivery time
+scheduledNotificationSchema.pre('save', function() {
+  if (!this.nextAttemptAt) {
+    this.nextAttemptAt = this.deliverAt;
+  }
+});
+
+// Static method to cancel pending notifications for a referenced record
+scheduledNotificationSchema.statics.cancelByReference = function(kind, id) {
+  return this.updateMany(
+    { 'reference.kind': kind, 'reference.id': id, status: 'scheduled' },
+    { status: 'cancelled', cancelledAt: new Date() }
+  );
+};
+
+module.exports = mongoose.model('ScheduledNotification', scheduledNotificationSchema);
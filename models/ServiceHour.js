@@ -29,13 +29,24 @@ const serviceHourSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  verifiedAt: Date,
   status: {
     type: String,
     enum: ['pending', 'approved', 'rejected'],
     default: 'pending'
   },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
   club: String,
   district: String,
+  // Set for hours credited from a confirmed volunteer shift
+  shiftSignup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShiftSignup'
+  },
   evidence: [{
     type: String // URLs to evidence images
   }]
@@ -49,4 +60,41 @@ serviceHourSchema.index({ status: 1 });
 serviceHourSchema.index({ club: 1, district: 1 });
 serviceHourSchema.index({ verifiedBy: 1 });
 
+// Static method to roll approved hours into user, club and district totals.
+// Hours for a co-hosted event are credited to every participating club and district.
+serviceHourSchema.statics.creditApprovedHours = async function(serviceHour) {
+  const User = mongoose.model('User');
+  const Club = mongoose.model('Club');
+  const District = mongoose.model('District');
+  const Event = mongoose.model('Event');
+  const hours = serviceHour.hours;
+
+  const clubIds = new Set([serviceHour.club].filter(Boolean));
+  const districtIds = new Set([serviceHour.district].filter(Boolean));
+
+  if (serviceHour.event) {
+    const event = await Event.findById(serviceHour.event).select('club district coHosts');
+    if (event) {
+      event.getParticipatingClubIds().forEach(clubId => clubIds.add(clubId));
+      event.getParticipatingDistrictIds().forEach(districtId => districtIds.add(districtId));
+    }
+  }
+
+  const validIds = (ids) => [...ids].filter(id => mongoose.Types.ObjectId.isValid(id));
+
+  const updates = [
+    User.updateOne({ _id: serviceHour.user }, { $inc: { serviceHours: hours } })
+  ];
+
+  if (validIds(clubIds).length > 0) {
+    updates.push(Club.updateMany({ _id: { $in: validIds(clubIds) } }, { $inc: { 'stats.serviceHours': hours } }));
+  }
+
+  if (validIds(districtIds).length > 0) {
+    updates.push(District.updateMany({ _id: { $in: validIds(districtIds) } }, { $inc: { 'stats.serviceHours': hours } }));
+  }
+
+  await Promise.all(updates);
+};
+
 module.exports = mongoose.model('ServiceHour', serviceHourSchema);
\ No newline at end of file
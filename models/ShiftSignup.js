@@ -0,0 +1,55 @@
+// models/ShiftSignup.js
+const mongoose = require('mongoose');
+
+const shiftSignupSchema = new mongoose.Schema({
+  shift: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VolunteerShift',
+    required: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Copied from the shift so overlapping sign-ups can be found with one query
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['signed_up', 'cancelled', 'worked', 'absent'],
+    default: 'signed_up'
+  },
+  cancelledAt: Date,
+  // Set when an organizer confirms the shift
+  hoursWorked: Number,
+  confirmedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  confirmedAt: Date,
+  serviceHour: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceHour'
+  }
+}, {
+  timestamps: true
+});
+
+// One sign-up per user per shift (a cancelled one is reused)
+shiftSignupSchema.index({ shift: 1, user: 1 }, { unique: true });
+shiftSignupSchema.index({ user: 1, status: 1, startTime: 1 });
+shiftSignupSchema.index({ event: 1, status: 1 });
+
+module.exports = mongoose.model('ShiftSignup', shiftSignupSchema);
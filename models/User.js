@@ -1,5 +1,6 @@
 // models/User.js
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 
 const badgeSchema = new mongoose.Schema({
   name: {
@@ -33,6 +34,20 @@ const roleHistorySchema = new mongoose.Schema({
     default: Date.now
   },
   remark: String,
+  // Officer terms won in an election (newRole is e.g. club_president)
+  endDate: Date,
+  club: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Club'
+  },
+  district: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'District'
+  },
+  election: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Election'
+  },
   status: {
     type: String,
     enum: ['active', 'expired', 'revoked'],
@@ -40,6 +55,37 @@ const roleHistorySchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+const pushTokenSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  platform: {
+    type: String,
+    enum: ['ios', 'android', 'web', 'unknown'],
+    default: 'unknown'
+  },
+  deviceId: String,
+  deviceName: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+const notificationPreferencesSchema = new mongoose.Schema({
+  newPosts: { type: Boolean, default: true },
+  newEvents: { type: Boolean, default: true },
+  eventReminders: { type: Boolean, default: true },
+  serviceHours: { type: Boolean, default: true },
+  badges: { type: Boolean, default: true },
+  mentions: { type: Boolean, default: true },
+  polls: { type: Boolean, default: true },
+  push: { type: Boolean, default: true },
+  email: { type: Boolean, default: false }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   googleId: {
     type: String,
@@ -102,6 +148,22 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Club membership confirmed by a club officer or admin; never written from the user's own profile
+  membership: {
+    club: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Club'
+    },
+    district: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'District'
+    },
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    verifiedAt: Date
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -111,6 +173,20 @@ const userSchema = new mongoose.Schema({
     default: Date.now
   },
   roleHistory: [roleHistorySchema],
+  // Device tokens are private: only loaded where notifications are sent or devices managed
+  pushTokens: {
+    type: [pushTokenSchema],
+    select: false
+  },
+  notificationPreferences: {
+    type: notificationPreferencesSchema,
+    default: () => ({})
+  },
+  // Secret for subscribable calendar feed URLs (rotated on request)
+  calendarToken: {
+    type: String,
+    select: false
+  },
   adminNotes: String,
   passcode: {
     type: String,
@@ -124,8 +200,11 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 }, { unique: true });
 userSchema.index({ googleId: 1 }, { unique: true, sparse: true });
 userSchema.index({ club: 1, district: 1 });
+userSchema.index({ 'membership.club': 1, 'membership.district': 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ serviceHours: -1 });
+userSchema.index({ 'pushTokens.token': 1 });
+userSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
 
 // Virtual for profile completion status
 userSchema.virtual('isProfileComplete').get(function() {
@@ -151,6 +230,12 @@ userSchema.methods.addRoleHistory = function(previousRole, newRole, assignedBy,
   return this.save();
 };
 
+// Method to create (or rotate) the calendar feed token
+userSchema.methods.generateCalendarToken = function() {
+  this.calendarToken = crypto.randomBytes(24).toString('hex');
+  return this.save();
+};
+
 // Static method to find by email
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
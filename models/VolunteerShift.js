@@ -0,0 +1,71 @@
+// models/VolunteerShift.js
+const mongoose = require('mongoose');
+
+const volunteerShiftSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please add a shift name'],
+    trim: true,
+    maxlength: [100, 'Shift name cannot be more than 100 characters']
+  },
+  role: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Role cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Active sign-ups, kept in step by reserveSpot/releaseSpot
+  signedUp: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+volunteerShiftSchema.index({ event: 1, startTime: 1 });
+
+// Atomically take a spot if the shift has room; returns null when full
+volunteerShiftSchema.statics.reserveSpot = function(shiftId) {
+  return this.findOneAndUpdate(
+    { _id: shiftId, $expr: { $lt: ['$signedUp', '$capacity'] } },
+    { $inc: { signedUp: 1 } },
+    { new: true }
+  );
+};
+
+// Atomically give a spot back (never below zero)
+volunteerShiftSchema.statics.releaseSpot = function(shiftId) {
+  return this.findOneAndUpdate(
+    { _id: shiftId, signedUp: { $gt: 0 } },
+    { $inc: { signedUp: -1 } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('VolunteerShift', volunteerShiftSchema);
@@ -0,0 +1,40 @@
+// routes/calendar.js
+const express = require('express');
+const router = express.Router();
+const {
+  getCalendarFeeds,
+  regenerateCalendarToken,
+  getMyEventsFeed,
+  getClubFeed,
+  getDistrictFeed
+} = require('../controllers/calendarController');
+const { protect } = require('../middleware/auth');
+
+// @desc    Get my calendar feed URLs
+// @route   GET /api/calendar/feeds
+// @access  Private
+router.get('/feeds', protect, getCalendarFeeds);
+
+// @desc    Regenerate my calendar feed token
+// @route   POST /api/calendar/feeds/regenerate
+// @access  Private
+router.post('/feeds/regenerate', protect, regenerateCalendarToken);
+
+// Calendar apps cannot send a JWT, so feeds are authorized by the token in the URL
+
+// @desc    Calendar feed of my registered events
+// @route   GET /api/calendar/:token/my-events.ics
+// @access  Public (feed token)
+router.get('/:token/my-events.ics', getMyEventsFeed);
+
+// @desc    Calendar feed of a club's public events
+// @route   GET /api/calendar/:token/clubs/:clubId.ics
+// @access  Public (feed token)
+router.get('/:token/clubs/:clubId.ics', getClubFeed);
+
+// @desc    Calendar feed of a district's public events
+// @route   GET /api/calendar/:token/districts/:districtId.ics
+// @access  Public (feed token)
+router.get('/:token/districts/:districtId.ics', getDistrictFeed);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+// routes/certificates.js
+const express = require('express');
+const router = express.Router();
+const { verifyCertificate } = require('../controllers/certificateController');
+
+// @desc    Verify a participation certificate
+// @route   GET /api/certificates/verify/:certificateId
+// @access  Public
+router.get('/verify/:certificateId', verifyCertificate);
+
+module.exports = router;
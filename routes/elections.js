@@ -0,0 +1,71 @@
+// routes/elections.js
+const express = require('express');
+const router = express.Router();
+const {
+  getElections,
+  getElection,
+  createElection,
+  updateElection,
+  cancelElection,
+  nominateCandidate,
+  updateCandidacy,
+  castBallot,
+  tallyElectionResults,
+  certifyElection
+} = require('../controllers/electionController');
+const { protect, requireSuperAdmin } = require('../middleware/auth');
+
+// All routes are protected
+router.use(protect);
+
+// @desc    Get elections (my club and district by default)
+// @route   GET /api/elections
+// @access  Private
+router.get('/', getElections);
+
+// @desc    Create election
+// @route   POST /api/elections
+// @access  Private (Club/District officers, Webmaster, Super Admin)
+router.post('/', createElection);
+
+// @desc    Get single election
+// @route   GET /api/elections/:id
+// @access  Private
+router.get('/:id', getElection);
+
+// @desc    Update election before voting opens
+// @route   PUT /api/elections/:id
+// @access  Private (Club/District officers, Webmaster, Super Admin)
+router.put('/:id', updateElection);
+
+// @desc    Cancel election
+// @route   POST /api/elections/:id/cancel
+// @access  Private (Club/District officers, Webmaster, Super Admin; counted elections Super Admin only)
+router.post('/:id/cancel', cancelElection);
+
+// @desc    Nominate a candidate
+// @route   POST /api/elections/:id/candidates
+// @access  Private (Members)
+router.post('/:id/candidates', nominateCandidate);
+
+// @desc    Accept nomination, update statement or withdraw
+// @route   PUT /api/elections/:id/candidates/:candidateId
+// @access  Private (Candidate)
+router.put('/:id/candidates/:candidateId', updateCandidacy);
+
+// @desc    Cast a ranked ballot
+// @route   POST /api/elections/:id/ballot
+// @access  Private (Members)
+router.post('/:id/ballot', castBallot);
+
+// @desc    Count ballots
+// @route   POST /api/elections/:id/tally
+// @access  Private (Club/District officers, Webmaster, Super Admin)
+router.post('/:id/tally', tallyElectionResults);
+
+// @desc    Certify results
+// @route   POST /api/elections/:id/certify
+// @access  Private (Super Admin)
+router.post('/:id/certify', requireSuperAdmin, certifyElection);
+
+module.exports = router;
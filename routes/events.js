@@ -7,12 +7,74 @@ const {
   createEvent,
   updateEvent,
   deleteEvent,
+  cancelEvent,
   registerForEvent,
+  cancelRegistration,
+  confirmWaitlistOffer,
+  getWaitlist,
+  reorderWaitlist,
+  shareEvent,
+  getUserRegisteredEvents,
+  exportEventCalendar,
   getEventRegistrations,
-  getEventStats
+  updateRegistrationForm,
+  getRegistrationAnswers,
+  exportEventRegistrations,
+  getRegistrationExports,
+  getEventStats,
+  getCheckInToken,
+  checkInAttendee,
+  syncCheckIns,
+  issueCertificates,
+  createEventSeries,
+  getEventSeries,
+  updateEventSeries,
+  cancelEventSeries,
+  registerForSeries,
+  unregisterFromSeries
 } = require('../controllers/eventController');
+const {
+  submitEventFeedback,
+  getEventFeedback,
+  getClubFeedback
+} = require('../controllers/feedbackController');
+const {
+  getCoHostInvitations,
+  inviteCoHost,
+  respondToCoHostInvitation,
+  removeCoHost
+} = require('../controllers/coHostController');
+const {
+  getShifts,
+  createShift,
+  updateShift,
+  deleteShift,
+  signUpForShifts,
+  cancelShiftSignup,
+  getShiftSignups,
+  confirmShift
+} = require('../controllers/shiftController');
+const {
+  getGallery,
+  uploadGalleryPhotos,
+  moderatePhoto,
+  setCoverPhoto,
+  deletePhoto,
+  likePhoto
+} = require('../controllers/galleryController');
+const {
+  createCheckoutSession,
+  getEventPaymentReport
+} = require('../controllers/paymentController');
 const { protect, authorize } = require('../middleware/auth');
-const { requireWebmaster, requireOwnershipOrWebmaster } = require('../middleware/roleCheck');
+const {
+  requireWebmaster,
+  requireEventManager,
+  requireEventHost,
+  requireSeriesManager
+} = require('../middleware/roleCheck');
+const { upload, handleUploadErrors } = require('../middleware/upload');
+const { uploadLimiter } = require('../middleware/rateLimiter');
 
 // All routes are protected
 router.use(protect);
@@ -22,6 +84,51 @@ router.use(protect);
 // @access  Private
 router.get('/', getEvents);
 
+// @desc    Get user's registered events
+// @route   GET /api/events/my/registered
+// @access  Private
+router.get('/my/registered', getUserRegisteredEvents);
+
+// @desc    Get pending co-host invitations for my clubs
+// @route   GET /api/events/co-host-invitations
+// @access  Private (Club officers)
+router.get('/co-host-invitations', getCoHostInvitations);
+
+// @desc    Get a club's event feedback averages over time
+// @route   GET /api/events/feedback/clubs/:clubId
+// @access  Private (Club officers/Webmaster)
+router.get('/feedback/clubs/:clubId', getClubFeedback);
+
+// @desc    Create recurring event series
+// @route   POST /api/events/series
+// @access  Private (Webmaster/Admin only)
+router.post('/series', requireWebmaster, createEventSeries);
+
+// @desc    Get event series with occurrences
+// @route   GET /api/events/series/:seriesId
+// @access  Private
+router.get('/series/:seriesId', getEventSeries);
+
+// @desc    Update all upcoming occurrences of a series
+// @route   PUT /api/events/series/:seriesId
+// @access  Private (Organizer/Webmaster)
+router.put('/series/:seriesId', requireSeriesManager, updateEventSeries);
+
+// @desc    Cancel all upcoming occurrences of a series
+// @route   DELETE /api/events/series/:seriesId
+// @access  Private (Organizer/Webmaster)
+router.delete('/series/:seriesId', requireSeriesManager, cancelEventSeries);
+
+// @desc    Register for all upcoming occurrences of a series
+// @route   POST /api/events/series/:seriesId/register
+// @access  Private
+router.post('/series/:seriesId/register', registerForSeries);
+
+// @desc    Cancel series registrations
+// @route   DELETE /api/events/series/:seriesId/register
+// @access  Private
+router.delete('/series/:seriesId/register', unregisterFromSeries);
+
 // @desc    Get single event
 // @route   GET /api/events/:id
 // @access  Private
@@ -34,63 +141,207 @@ router.post('/', requireWebmaster, createEvent);
 
 // @desc    Update event
 // @route   PUT /api/events/:id
-// @access  Private (Webmaster/Admin only)
-router.put('/:id', requireOwnershipOrWebmaster('Event'), updateEvent);
+// @access  Private (Organizer/Webmaster)
+router.put('/:id', requireEventManager, updateEvent);
 
 // @desc    Delete event
 // @route   DELETE /api/events/:id
-// @access  Private (Webmaster/Admin only)
-router.delete('/:id', requireOwnershipOrWebmaster('Event'), deleteEvent);
+// @access  Private (Organizer/Webmaster)
+router.delete('/:id', requireEventHost, deleteEvent);
+
+// @desc    Cancel event and notify registrants
+// @route   POST /api/events/:id/cancel
+// @access  Private (Organizer/Webmaster)
+router.post('/:id/cancel', requireEventHost, cancelEvent);
+
+// @desc    Invite a club to co-host the event
+// @route   POST /api/events/:id/co-hosts
+// @access  Private (Organizer/Webmaster)
+router.post('/:id/co-hosts', requireEventHost, inviteCoHost);
+
+// @desc    Accept or decline a co-host invitation
+// @route   POST /api/events/:id/co-hosts/:clubId/respond
+// @access  Private (Officers of the invited club)
+router.post('/:id/co-hosts/:clubId/respond', respondToCoHostInvitation);
+
+// @desc    Remove a co-host club
+// @route   DELETE /api/events/:id/co-hosts/:clubId
+// @access  Private (Organizer/Webmaster)
+router.delete('/:id/co-hosts/:clubId', requireEventHost, removeCoHost);
 
 // @desc    Register for event
 // @route   POST /api/events/:id/register
 // @access  Private
 router.post('/:id/register', registerForEvent);
 
+// @desc    Cancel my registration or leave the waitlist
+// @route   DELETE /api/events/:id/register
+// @access  Private
+router.delete('/:id/register', cancelRegistration);
+
+// @desc    Start checkout for a paid event registration
+// @route   POST /api/events/:id/checkout
+// @access  Private
+router.post('/:id/checkout', createCheckoutSession);
+
+// @desc    Confirm a spot offered from the waitlist
+// @route   POST /api/events/:id/waitlist/confirm
+// @access  Private
+router.post('/:id/waitlist/confirm', confirmWaitlistOffer);
+
+// @desc    Get event waitlist
+// @route   GET /api/events/:id/waitlist
+// @access  Private (Organizer/Webmaster)
+router.get('/:id/waitlist', requireEventManager, getWaitlist);
+
+// @desc    Reorder event waitlist
+// @route   PUT /api/events/:id/waitlist/reorder
+// @access  Private (Organizer/Webmaster)
+router.put('/:id/waitlist/reorder', requireEventManager, reorderWaitlist);
+
+// @desc    Share event
+// @route   POST /api/events/:id/share
+// @access  Private
+router.post('/:id/share', shareEvent);
+
+// @desc    Download event as .ics
+// @route   GET /api/events/:id/ics
+// @access  Private
+router.get('/:id/ics', exportEventCalendar);
+
+// @desc    Get event gallery
+// @route   GET /api/events/:id/gallery
+// @access  Private
+router.get('/:id/gallery', getGallery);
+
+// @desc    Add photos to the event gallery
+// @route   POST /api/events/:id/gallery
+// @access  Private (Attendees/Organizer/Webmaster)
+router.post('/:id/gallery', uploadLimiter, upload.array('photos', 5), handleUploadErrors, uploadGalleryPhotos);
+
+// @desc    Approve or hide a gallery photo
+// @route   PUT /api/events/:id/gallery/:photoId/moderate
+// @access  Private (Organizer/Webmaster)
+router.put('/:id/gallery/:photoId/moderate', requireEventManager, moderatePhoto);
+
+// @desc    Set a gallery photo as the event cover
+// @route   PUT /api/events/:id/gallery/:photoId/cover
+// @access  Private (Organizer/Webmaster)
+router.put('/:id/gallery/:photoId/cover', requireEventManager, setCoverPhoto);
+
+// @desc    Delete a gallery photo
+// @route   DELETE /api/events/:id/gallery/:photoId
+// @access  Private (Uploader/Organizer/Webmaster)
+router.delete('/:id/gallery/:photoId', deletePhoto);
+
+// @desc    Like/unlike a gallery photo
+// @route   POST /api/events/:id/gallery/:photoId/like
+// @access  Private
+router.post('/:id/gallery/:photoId/like', likePhoto);
+
 // @desc    Get event registrations
 // @route   GET /api/events/:id/registrations
-// @access  Private (Webmaster/Admin only)
-router.get('/:id/registrations', requireWebmaster, getEventRegistrations);
+// @access  Private (Organizer/Webmaster)
+router.get('/:id/registrations', requireEventManager, getEventRegistrations);
+
+// @desc    Get registration form answers (?format=csv to download)
+// @route   GET /api/events/:id/registrations/answers
+// @access  Private (Organizer/Webmaster)
+router.get('/:id/registrations/answers', requireEventManager, getRegistrationAnswers);
+
+// @desc    Export attendee list as CSV or XLSX
+// @route   GET /api/events/:id/registrations/export
+// @access  Private (Organizer/Webmaster)
+router.get('/:id/registrations/export', requireEventManager, exportEventRegistrations);
+
+// @desc    Get attendee list export history
+// @route   GET /api/events/:id/registrations/exports
+// @access  Private (Organizer/Webmaster)
+router.get('/:id/registrations/exports', requireEventManager, getRegistrationExports);
+
+// @desc    Set the event's registration form
+// @route   PUT /api/events/:id/registration-form
+// @access  Private (Organizer/Webmaster)
+router.put('/:id/registration-form', requireEventManager, updateRegistrationForm);
+
+// @desc    Get event payment report
+// @route   GET /api/events/:id/payments
+// @access  Private (Organizer/Webmaster)
+router.get('/:id/payments', requireEventManager, getEventPaymentReport);
+
+// @desc    Submit feedback for an event I attended
+// @route   POST /api/events/:id/feedback
+// @access  Private (Attendees)
+router.post('/:id/feedback', submitEventFeedback);
+
+// @desc    Get event feedback summary and comments
+// @route   GET /api/events/:id/feedback
+// @access  Private (Organizer/Webmaster)
+router.get('/:id/feedback', requireEventManager, getEventFeedback);
+
+// @desc    Get volunteer shifts with headcounts and my sign-ups
+// @route   GET /api/events/:id/shifts
+// @access  Private
+router.get('/:id/shifts', getShifts);
+
+// @desc    Create volunteer shift
+// @route   POST /api/events/:id/shifts
+// @access  Private (Organizer/Webmaster)
+router.post('/:id/shifts', requireEventManager, createShift);
+
+// @desc    Sign up for one or more shifts
+// @route   POST /api/events/:id/shifts/signup
+// @access  Private
+router.post('/:id/shifts/signup', signUpForShifts);
+
+// @desc    Update volunteer shift
+// @route   PUT /api/events/:id/shifts/:shiftId
+// @access  Private (Organizer/Webmaster)
+router.put('/:id/shifts/:shiftId', requireEventManager, updateShift);
+
+// @desc    Delete volunteer shift
+// @route   DELETE /api/events/:id/shifts/:shiftId
+// @access  Private (Organizer/Webmaster)
+router.delete('/:id/shifts/:shiftId', requireEventManager, deleteShift);
+
+// @desc    Cancel my shift sign-up
+// @route   DELETE /api/events/:id/shifts/:shiftId/signup
+// @access  Private
+router.delete('/:id/shifts/:shiftId/signup', cancelShiftSignup);
+
+// @desc    Get volunteers of a shift
+// @route   GET /api/events/:id/shifts/:shiftId/signups
+// @access  Private (Organizer/Webmaster)
+router.get('/:id/shifts/:shiftId/signups', requireEventManager, getShiftSignups);
+
+// @desc    Confirm who worked a shift and credit service hours
+// @route   POST /api/events/:id/shifts/:shiftId/confirm
+// @access  Private (Organizer/Webmaster)
+router.post('/:id/shifts/:shiftId/confirm', requireEventManager, confirmShift);
 
 // @desc    Get event statistics
 // @route   GET /api/events/:id/stats
-// @access  Private (Webmaster/Admin only)
-router.get('/:id/stats', requireWebmaster, getEventStats);
+// @access  Private (Organizer/Webmaster)
+router.get('/:id/stats', requireEventManager, getEventStats);
 
-// @desc    Get user's registered events
-// @route   GET /api/events/my/registered
+// @desc    Get my check-in QR code
+// @route   GET /api/events/:id/check-in-token
 // @access  Private
-router.get('/my/registered', async (req, res) => {
-  try {
-    const Event = require('../models/Event');
-    const { page = 1, limit = 10 } = req.query;
-
-    const events = await Event.find({
-      'registrations.user': req.user.id
-    })
-      .populate('createdBy', 'fullName displayName profilePhoto club district role')
-      .sort({ date: 1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await Event.countDocuments({
-      'registrations.user': req.user.id
-    });
-
-    res.status(200).json({
-      success: true,
-      count: events.length,
-      total,
-      page: parseInt(page),
-      pages: Math.ceil(total / limit),
-      events
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch registered events'
-    });
-  }
-});
-
-module.exports = router;
\ No newline at end of file
+router.get('/:id/check-in-token', getCheckInToken);
+
+// @desc    Check in attendee by QR token or user ID
+// @route   POST /api/events/:id/check-in
+// @access  Private (Organizer/Webmaster)
+router.post('/:id/check-in', requireEventManager, checkInAttendee);
+
+// @desc    Sync offline-scanned check-ins
+// @route   POST /api/events/:id/check-in/sync
+// @access  Private (Organizer/Webmaster)
+router.post('/:id/check-in/sync', requireEventManager, syncCheckIns);
+
+// @desc    Issue participation certificates to attendees
+// @route   POST /api/events/:id/certificates
+// @access  Private (Organizer/Webmaster)
+router.post('/:id/certificates', requireEventManager, issueCertificates);
+
+module.exports = router;
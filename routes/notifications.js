@@ -5,7 +5,15 @@ const {
   getNotifications,
   markAsRead,
   markAllAsRead,
-  deleteNotification
+  deleteNotification,
+  getNotificationStats,
+  getPushTokens,
+  registerPushToken,
+  unregisterPushToken,
+  getPreferences,
+  updatePreferences,
+  getScheduledNotifications,
+  cancelScheduled
 } = require('../controllers/notificationController');
 const { protect } = require('../middleware/auth');
 
@@ -17,59 +25,59 @@ router.use(protect);
 // @access  Private
 router.get('/', getNotifications);
 
-// @desc    Mark notification as read
-// @route   PUT /api/notifications/:id/read
+// @desc    Get notification stats
+// @route   GET /api/notifications/stats
 // @access  Private
-router.put('/:id/read', markAsRead);
+router.get('/stats', getNotificationStats);
+
+// @desc    Get registered push devices
+// @route   GET /api/notifications/push-tokens
+// @access  Private
+router.get('/push-tokens', getPushTokens);
+
+// @desc    Register push token for a device
+// @route   POST /api/notifications/push-tokens
+// @access  Private
+router.post('/push-tokens', registerPushToken);
+
+// @desc    Unregister push token
+// @route   DELETE /api/notifications/push-tokens
+// @access  Private
+router.delete('/push-tokens', unregisterPushToken);
+
+// @desc    Get notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+router.get('/preferences', getPreferences);
+
+// @desc    Update notification preferences
+// @route   PUT /api/notifications/preferences
+// @access  Private
+router.put('/preferences', updatePreferences);
+
+// @desc    Get scheduled notifications
+// @route   GET /api/notifications/scheduled
+// @access  Private
+router.get('/scheduled', getScheduledNotifications);
+
+// @desc    Cancel a scheduled notification
+// @route   DELETE /api/notifications/scheduled/:id
+// @access  Private (Owner/Webmaster)
+router.delete('/scheduled/:id', cancelScheduled);
 
 // @desc    Mark all notifications as read
 // @route   PUT /api/notifications/read-all
 // @access  Private
 router.put('/read-all', markAllAsRead);
 
+// @desc    Mark notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+router.put('/:id/read', markAsRead);
+
 // @desc    Delete notification
 // @route   DELETE /api/notifications/:id
 // @access  Private
 router.delete('/:id', deleteNotification);
 
-// @desc    Get notification stats
-// @route   GET /api/notifications/stats
-// @access  Private
-router.get('/stats', async (req, res) => {
-  try {
-    const Notification = require('../models/Notification');
-    
-    const stats = await Notification.aggregate([
-      {
-        $match: { user: req.user._id }
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: 1 },
-          unread: { $sum: { $cond: [{ $eq: ["$isRead", false] }, 1, 0] } },
-          byType: { $push: { type: "$type", isRead: "$isRead" } }
-        }
-      },
-      {
-        $project: {
-          total: 1,
-          unread: 1,
-          read: { $subtract: ["$total", "$unread"] }
-        }
-      }
-    ]);
-
-    res.status(200).json({
-      success: true,
-      stats: stats[0] || { total: 0, unread: 0, read: 0 }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch notification stats'
-    });
-  }
-});
-
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,38 @@
+// routes/payments.js
+const express = require('express');
+const router = express.Router();
+const {
+  handleWebhook,
+  getSandboxCheckout,
+  completeSandboxCheckout,
+  getMyPayments,
+  getPaymentReceipt
+} = require('../controllers/paymentController');
+const { protect } = require('../middleware/auth');
+
+// @desc    Receive a payment provider webhook
+// @route   POST /api/payments/webhook/:provider
+// @access  Public (signed by provider)
+router.post('/webhook/:provider', handleWebhook);
+
+// @desc    Get a sandbox checkout session
+// @route   GET /api/payments/sandbox/checkout/:sessionId
+// @access  Private (Payer, sandbox only)
+router.get('/sandbox/checkout/:sessionId', protect, getSandboxCheckout);
+
+// @desc    Complete a sandbox checkout
+// @route   POST /api/payments/sandbox/checkout/:sessionId
+// @access  Private (Payer, sandbox only)
+router.post('/sandbox/checkout/:sessionId', protect, completeSandboxCheckout);
+
+// @desc    Get my payments
+// @route   GET /api/payments/my
+// @access  Private
+router.get('/my', protect, getMyPayments);
+
+// @desc    Get payment receipt
+// @route   GET /api/payments/:id/receipt
+// @access  Private (Payer/Organizer/Webmaster)
+router.get('/:id/receipt', protect, getPaymentReceipt);
+
+module.exports = router;
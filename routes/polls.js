@@ -6,10 +6,19 @@ const {
   getPoll,
   createPoll,
   voteOnPoll,
-  getPollResults
+  getPollResults,
+  releaseResults
 } = require('../controllers/pollController');
 const { protect, authorize } = require('../middleware/auth');
 const { requireWebmaster, requireOwnershipOrWebmaster } = require('../middleware/roleCheck');
+const {
+  normalizeSelectionRules,
+  normalizePollAudience,
+  normalizeVoteRequirements,
+  normalizeResultsVisibility,
+  buildPollVisibilityFilter,
+  serializePoll
+} = require('../utils/pollUtils');
 
 // All routes are protected
 router.use(protect);
@@ -39,6 +48,11 @@ router.post('/:id/vote', voteOnPoll);
 // @access  Private
 router.get('/:id/results', getPollResults);
 
+// @desc    Release poll results to everyone
+// @route   POST /api/polls/:id/release-results
+// @access  Private (Poll creator/Webmaster)
+router.post('/:id/release-results', requireOwnershipOrWebmaster('Poll'), releaseResults);
+
 // @desc    Get active polls
 // @route   GET /api/polls/active/all
 // @access  Private
@@ -50,7 +64,7 @@ router.get('/active/all', async (req, res) => {
     const polls = await Poll.find({
       endDate: { $gte: new Date() },
       isActive: true,
-      isPublic: true
+      ...buildPollVisibilityFilter(req.user)
     })
       .populate('createdBy', 'fullName displayName profilePhoto club district role')
       .sort({ isPinned: -1, createdAt: -1 })
@@ -59,7 +73,7 @@ router.get('/active/all', async (req, res) => {
     res.status(200).json({
       success: true,
       count: polls.length,
-      polls
+      polls: polls.map(poll => serializePoll(poll, req.user))
     });
   } catch (error) {
     res.status(500).json({
@@ -77,17 +91,18 @@ router.get('/my/voted', async (req, res) => {
     const Poll = require('../models/Poll');
     const { page = 1, limit = 10 } = req.query;
 
-    const polls = await Poll.find({
-      'votes.user': req.user.id
-    })
+    const filter = {
+      'votes.user': req.user.id,
+      ...buildPollVisibilityFilter(req.user)
+    };
+
+    const polls = await Poll.find(filter)
       .populate('createdBy', 'fullName displayName profilePhoto club district role')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
 
-    const total = await Poll.countDocuments({
-      'votes.user': req.user.id
-    });
+    const total = await Poll.countDocuments(filter);
 
     res.status(200).json({
       success: true,
@@ -95,7 +110,7 @@ router.get('/my/voted', async (req, res) => {
       total,
       page: parseInt(page),
       pages: Math.ceil(total / limit),
-      polls
+      polls: polls.map(poll => serializePoll(poll, req.user))
     });
   } catch (error) {
     res.status(500).json({
@@ -111,17 +126,113 @@ router.get('/my/voted', async (req, res) => {
 router.put('/:id', requireOwnershipOrWebmaster('Poll'), async (req, res) => {
   try {
     const Poll = require('../models/Poll');
-    
+
+    const updates = { ...req.body };
+    delete updates.votes;
+    // Anonymity is fixed at creation so existing votes are never exposed or re-keyed
+    delete updates.isAnonymous;
+    // Released only through POST /:id/release-results, which also notifies participants
+    delete updates.resultsReleasedAt;
+    delete updates.resultsReleasedBy;
+
+    // Options and selection rules are fixed once votes have been cast against them
+    const ruleFields = ['options', 'allowMultiple', 'minSelections', 'maxSelections'];
+
+    if (ruleFields.some(field => updates[field] !== undefined)) {
+      const existing = await Poll.findById(req.params.id).select('options votes allowMultiple minSelections maxSelections');
+
+      if (existing.votes.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Options and selection rules cannot be changed after voting has started'
+        });
+      }
+
+      if (updates.options !== undefined) {
+        if (!Array.isArray(updates.options) || updates.options.length < 2) {
+          return res.status(400).json({
+            success: false,
+            message: 'At least two options are required'
+          });
+        }
+        updates.options = updates.options.map(opt => ({ text: typeof opt === 'object' && opt !== null ? opt.text : opt }));
+      }
+
+      const { rules, error } = normalizeSelectionRules({
+        allowMultiple: updates.allowMultiple !== undefined ? updates.allowMultiple : existing.allowMultiple,
+        minSelections: updates.minSelections !== undefined ? updates.minSelections : existing.minSelections,
+        maxSelections: updates.maxSelections !== undefined ? updates.maxSelections : existing.maxSelections
+      }, (updates.options || existing.options).length);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      Object.assign(updates, rules);
+    }
+
+    // isPublic on its own still switches between all members and the club
+    if (updates.audience === undefined && updates.isPublic !== undefined) {
+      updates.audience = updates.isPublic ? 'all' : 'club';
+    }
+
+    if (updates.audience !== undefined) {
+      const { audience, error } = normalizePollAudience(updates.audience);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      updates.audience = audience;
+      updates.isPublic = audience.scope === 'all';
+    }
+
+    if (updates.voteRequirements !== undefined) {
+      const { voteRequirements, error } = normalizeVoteRequirements(updates.voteRequirements || {});
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      updates.voteRequirements = voteRequirements;
+    }
+
+    if (updates.resultsVisibility !== undefined || updates.showResults !== undefined) {
+      const { resultsVisibility, showResults, error } = normalizeResultsVisibility(
+        updates.resultsVisibility,
+        updates.showResults
+      );
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      updates.resultsVisibility = resultsVisibility;
+      updates.showResults = showResults;
+    }
+
     const poll = await Poll.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       { new: true, runValidators: true }
     ).populate('createdBy', 'fullName displayName profilePhoto club district role');
 
     res.status(200).json({
       success: true,
       message: 'Poll updated successfully',
-      poll
+      poll: serializePoll(poll, req.user)
     });
   } catch (error) {
     res.status(500).json({
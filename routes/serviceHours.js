@@ -0,0 +1,48 @@
+// routes/serviceHours.js
+const express = require('express');
+const router = express.Router();
+const {
+  submitServiceHours,
+  getMyServiceHours,
+  getServiceHours,
+  getServiceHour,
+  approveServiceHours,
+  rejectServiceHours
+} = require('../controllers/serviceHourController');
+const { protect } = require('../middleware/auth');
+const { upload, handleUploadErrors } = require('../middleware/upload');
+
+// All routes are protected
+router.use(protect);
+
+// @desc    Get service hour submissions to review
+// @route   GET /api/service-hours
+// @access  Private (Club officers/Webmaster)
+router.get('/', getServiceHours);
+
+// @desc    Submit service hours (with optional evidence images)
+// @route   POST /api/service-hours
+// @access  Private
+router.post('/', upload.array('evidence', 5), handleUploadErrors, submitServiceHours);
+
+// @desc    Get current user's submissions
+// @route   GET /api/service-hours/my
+// @access  Private
+router.get('/my', getMyServiceHours);
+
+// @desc    Get single submission
+// @route   GET /api/service-hours/:id
+// @access  Private (Owner/Club officers/Webmaster)
+router.get('/:id', getServiceHour);
+
+// @desc    Approve submission
+// @route   PUT /api/service-hours/:id/approve
+// @access  Private (Club officers/Webmaster)
+router.put('/:id/approve', approveServiceHours);
+
+// @desc    Reject submission with a reason
+// @route   PUT /api/service-hours/:id/reject
+// @access  Private (Club officers/Webmaster)
+router.put('/:id/reject', rejectServiceHours);
+
+module.exports = router;
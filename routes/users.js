@@ -6,7 +6,9 @@ const {
   getUser,
   updateProfile,
   searchUsers,
-  getLeaderboard
+  getLeaderboard,
+  verifyMembership,
+  revokeMembership
 } = require('../controllers/userController');
 const { protect, authorize } = require('../middleware/auth');
 const { requireWebmaster } = require('../middleware/roleCheck');
@@ -39,6 +41,16 @@ router.get('/search/all', searchUsers);
 // @access  Private
 router.get('/leaderboard/all', getLeaderboard);
 
+// @desc    Verify a member's current club and district
+// @route   PUT /api/users/:id/membership
+// @access  Private (Club officers/Webmaster/Super Admin)
+router.put('/:id/membership', verifyMembership);
+
+// @desc    Revoke a member's verified membership
+// @route   DELETE /api/users/:id/membership
+// @access  Private (Club officers/Webmaster/Super Admin)
+router.delete('/:id/membership', revokeMembership);
+
 // Admin only routes
 // @desc    Get user statistics (Admin only)
 // @route   GET /api/users/stats/overview
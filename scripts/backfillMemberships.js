@@ -0,0 +1,81 @@
+// scripts/backfillMemberships.js
+// Verify the memberships of existing members from the club and district on their profile, so club
+// and district polls and elections keep their audience when verified membership takes effect.
+// Only members who joined before the script runs and have no membership yet are touched;
+// officers can revoke any that turn out wrong (DELETE /api/users/:id/membership).
+// Usage: node scripts/backfillMemberships.js [--dry-run] [--club=<clubId>]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const connectDB = require('../config/database');
+
+const BATCH_SIZE = 500;
+
+const getOption = (name) => {
+  const arg = process.argv.find(item => item.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+};
+
+const backfillMemberships = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const club = getOption('club');
+
+  try {
+    if (club && !mongoose.Types.ObjectId.isValid(club)) {
+      throw new Error(`Invalid club ID: ${club}`);
+    }
+
+    await connectDB();
+
+    console.log(`Backfilling verified memberships${club ? ` for club ${club}` : ''}${dryRun ? ' (dry run)' : ''}...`);
+
+    const startedAt = new Date();
+    const filter = {
+      isActive: true,
+      club: club || { $ne: null },
+      district: { $ne: null },
+      joinDate: { $lte: startedAt },
+      'membership.verifiedAt': null
+    };
+
+    const cursor = User.find(filter).select('club district').lean().cursor();
+    let operations = [];
+    let updated = 0;
+
+    const flush = async () => {
+      if (operations.length > 0 && !dryRun) {
+        await User.bulkWrite(operations, { ordered: false });
+      }
+      operations = [];
+    };
+
+    for await (const user of cursor) {
+      // Re-checked in the update so a membership verified meanwhile is left alone
+      operations.push({
+        updateOne: {
+          filter: { _id: user._id, 'membership.verifiedAt': null },
+          update: {
+            $set: {
+              membership: { club: user.club, district: user.district, verifiedAt: startedAt }
+            }
+          }
+        }
+      });
+
+      updated++;
+      if (operations.length >= BATCH_SIZE) await flush();
+    }
+
+    await flush();
+
+    console.log(`\n✅ ${updated} membership(s) ${dryRun ? 'to verify' : 'verified'}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error backfilling memberships:', error);
+    process.exit(1);
+  }
+};
+
+backfillMemberships();
@@ -0,0 +1,68 @@
+// scripts/migrateEventGeo.js
+// Backfill the GeoJSON geo field from Event.coordinates and build the geo/text indexes.
+// Usage: node scripts/migrateEventGeo.js [--dry-run]
+require('dotenv').config();
+const Event = require('../models/Event');
+const { toGeoPoint } = require('../utils/geoUtils');
+
+const connectDB = require('../config/database');
+
+const BATCH_SIZE = 500;
+
+const migrateEventGeo = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await connectDB();
+
+    console.log(`Backfilling event geo points${dryRun ? ' (dry run)' : ''}...`);
+
+    const cursor = Event.find({}).select('coordinates geo').lean().cursor();
+    let operations = [];
+    let checked = 0;
+    let updated = 0;
+    let skipped = 0;
+
+    const flush = async () => {
+      if (operations.length > 0 && !dryRun) {
+        await Event.bulkWrite(operations, { ordered: false });
+      }
+      operations = [];
+    };
+
+    for await (const event of cursor) {
+      checked++;
+      const geo = toGeoPoint(event.coordinates);
+      const current = event.geo && event.geo.coordinates;
+
+      if (geo) {
+        if (current && current[0] === geo.coordinates[0] && current[1] === geo.coordinates[1]) continue;
+        operations.push({ updateOne: { filter: { _id: event._id }, update: { $set: { geo } } } });
+      } else if (event.geo) {
+        operations.push({ updateOne: { filter: { _id: event._id }, update: { $unset: { geo: 1 } } } });
+      } else {
+        skipped++;
+        continue;
+      }
+
+      updated++;
+      if (operations.length >= BATCH_SIZE) await flush();
+    }
+
+    await flush();
+
+    if (!dryRun) {
+      console.log('Building event indexes...');
+      await Event.createIndexes();
+    }
+
+    console.log(`\n✅ Checked ${checked} event(s): ${updated} ${dryRun ? 'to update' : 'updated'}, ${skipped} without coordinates`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating event geo points:', error);
+    process.exit(1);
+  }
+};
+
+migrateEventGeo();
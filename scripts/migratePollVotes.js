@@ -0,0 +1,113 @@
+// scripts/migratePollVotes.js
+// Move polls to multi-select voting: allowMultiple used to mean "may change vote", single-choice
+// votes become optionIndexes, and option counts are recomputed from the votes. Safe to run while
+// the API is up: a poll voted on mid-migration is re-read and migrated again.
+// Usage: node scripts/migratePollVotes.js [--dry-run]
+require('dotenv').config();
+const Poll = require('../models/Poll');
+const { getVoteSelections, countOptionVotes } = require('../utils/pollUtils');
+
+const connectDB = require('../config/database');
+
+// Polls whose votes keep changing under the script are retried this many times, then reported
+const MAX_ATTEMPTS = 5;
+const POLL_FIELDS = 'options votes allowMultiple allowVoteChange updatedAt';
+
+/**
+ * Build the $set that migrates one poll
+ * @param {Object} poll - Lean poll
+ * @returns {Object|null} Fields to set, or null if the poll is already migrated
+ */
+const buildMigration = (poll) => {
+  const set = {};
+
+  // Polls from before allowVoteChange existed only ever allowed one option
+  if (poll.allowVoteChange === undefined) {
+    set.allowVoteChange = !!poll.allowMultiple;
+    set.allowMultiple = false;
+    set.minSelections = 1;
+  }
+
+  const votes = poll.votes || [];
+  if (votes.some(vote => !vote.optionIndexes || vote.optionIndexes.length === 0)) {
+    set.votes = votes.map(({ optionIndex, ...vote }) => ({ ...vote, optionIndexes: getVoteSelections({ optionIndex, ...vote }) }));
+  }
+
+  const counts = countOptionVotes(votes, poll.options.length);
+  poll.options.forEach((option, index) => {
+    if (option.votes !== counts[index]) set[`options.${index}.votes`] = counts[index];
+  });
+
+  return Object.keys(set).length > 0 ? set : null;
+};
+
+/**
+ * Migrate one poll, only if nobody voted since it was read (votes are rewritten from that snapshot)
+ * @param {Object} poll - Lean poll
+ * @returns {Promise<string>} 'unchanged', 'updated' or 'conflict'
+ */
+const migratePoll = async (poll) => {
+  let snapshot = poll;
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS && snapshot; attempt++) {
+    const set = buildMigration(snapshot);
+    if (!set) return 'unchanged';
+
+    // Every vote bumps updatedAt; the vote count also catches writes made without timestamps
+    const result = await Poll.updateOne(
+      {
+        _id: snapshot._id,
+        updatedAt: snapshot.updatedAt || null,
+        votes: { $size: (snapshot.votes || []).length }
+      },
+      { $set: set }
+    );
+
+    if (result.matchedCount > 0) return 'updated';
+
+    snapshot = await Poll.findById(snapshot._id).select(POLL_FIELDS).lean();
+  }
+
+  return snapshot ? 'conflict' : 'unchanged';
+};
+
+const migratePollVotes = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await connectDB();
+
+    console.log(`Migrating poll votes${dryRun ? ' (dry run)' : ''}...`);
+
+    const cursor = Poll.find({}).select(POLL_FIELDS).lean().cursor();
+    let checked = 0;
+    let updated = 0;
+    const conflicts = [];
+
+    for await (const poll of cursor) {
+      checked++;
+
+      if (dryRun) {
+        if (buildMigration(poll)) updated++;
+        continue;
+      }
+
+      const outcome = await migratePoll(poll);
+      if (outcome === 'updated') updated++;
+      if (outcome === 'conflict') conflicts.push(poll._id.toString());
+    }
+
+    console.log(`\n✅ Checked ${checked} poll(s): ${updated} ${dryRun ? 'to update' : 'updated'}`);
+
+    if (conflicts.length > 0) {
+      console.warn(`⚠️ ${conflicts.length} poll(s) kept changing and were skipped; run again: ${conflicts.join(', ')}`);
+    }
+
+    process.exit(conflicts.length > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Error migrating poll votes:', error);
+    process.exit(1);
+  }
+};
+
+migratePollVotes();
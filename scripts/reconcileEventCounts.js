@@ -0,0 +1,60 @@
+// scripts/reconcileEventCounts.js
+// Recompute Event.currentAttendees and Event.registeredUsers from EventRegistration.
+// Usage: node scripts/reconcileEventCounts.js [--dry-run] [--event <eventId>]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+require('../models/EventRegistration');
+
+const connectDB = require('../config/database');
+
+const parseArgs = (argv) => {
+  const eventIndex = argv.indexOf('--event');
+  return {
+    dryRun: argv.includes('--dry-run'),
+    eventId: eventIndex !== -1 ? argv[eventIndex + 1] : null
+  };
+};
+
+const reconcileEventCounts = async () => {
+  const { dryRun, eventId } = parseArgs(process.argv.slice(2));
+
+  try {
+    await connectDB();
+
+    if (eventId && !mongoose.Types.ObjectId.isValid(eventId)) {
+      throw new Error(`Invalid event ID: ${eventId}`);
+    }
+
+    console.log(`Reconciling event registration counts${dryRun ? ' (dry run)' : ''}...`);
+
+    const filter = eventId ? { _id: eventId } : {};
+    const cursor = Event.find(filter).select('_id').lean().cursor();
+
+    let checked = 0;
+    let fixed = 0;
+
+    for await (const event of cursor) {
+      const result = await Event.reconcileCounts(event._id, { dryRun });
+      checked++;
+
+      if (result && result.changed) {
+        fixed++;
+        console.log(
+          `${dryRun ? 'Would fix' : 'Fixed'} "${result.title}" (${result.eventId}): ` +
+          `currentAttendees ${result.currentAttendees.before} → ${result.currentAttendees.after}, ` +
+          `registeredUsers ${result.registeredUsers.before} → ${result.registeredUsers.after}`
+        );
+      }
+    }
+
+    console.log(`\n✅ Checked ${checked} event(s), ${fixed} ${dryRun ? 'out of sync' : 'reconciled'}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error reconciling event counts:', error);
+    process.exit(1);
+  }
+};
+
+reconcileEventCounts();
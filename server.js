@@ -6,9 +6,18 @@ const morgan = require('morgan');
 const path = require('path');
 require('dotenv').config();
 
+// Refuse to start in production without the check-in and anonymity secrets
+require('./config/secrets').validateSecrets();
+
 // Import database connection
 const connectDB = require('./config/database.js');
 
+// Import background jobs
+const { startNotificationWorker, stopNotificationWorker } = require('./jobs/notificationWorker');
+const { startEventLifecycleWorker, stopEventLifecycleWorker } = require('./jobs/eventLifecycleWorker');
+const { startElectionWorker, stopElectionWorker } = require('./jobs/electionWorker');
+const { startPollResultsWorker, stopPollResultsWorker } = require('./jobs/pollResultsWorker');
+
 // Import rate limiters - FIXED PATH
 const { apiLimiter, authLimiter, uploadLimiter } = require('./middleware/rateLimiter');
 
@@ -18,8 +27,14 @@ const userRoutes = require('./routes/users');
 const postRoutes = require('./routes/posts');
 const eventRoutes = require('./routes/events');
 const pollRoutes = require('./routes/polls');
+const electionRoutes = require('./routes/elections');
 const uploadRoutes = require('./routes/upload');
 const superAdminRoutes = require('./routes/superAdmin');
+const serviceHourRoutes = require('./routes/serviceHours');
+const notificationRoutes = require('./routes/notifications');
+const certificateRoutes = require('./routes/certificates');
+const calendarRoutes = require('./routes/calendar');
+const paymentRoutes = require('./routes/payments');
 
 // Connect to database
 connectDB();
@@ -77,8 +92,20 @@ app.use(morgan('dev'));
 // ========================
 // Body Parsing Middleware
 // ========================
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Keep the raw body so payment webhook signatures can be verified
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+app.use(express.urlencoded({
+  extended: true,
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // ========================
 // Rate Limiting
@@ -109,6 +136,12 @@ app.get('/api/health', (req, res) => {
       posts: '/api/posts',
       events: '/api/events',
       polls: '/api/polls',
+      elections: '/api/elections',
+      serviceHours: '/api/service-hours',
+      notifications: '/api/notifications',
+      certificates: '/api/certificates',
+      calendar: '/api/calendar',
+      payments: '/api/payments',
       upload: '/api/upload'
     },
     cors: {
@@ -140,6 +173,12 @@ app.get('/api', (req, res) => {
       posts: '/api/posts',
       events: '/api/events',
       polls: '/api/polls',
+      elections: '/api/elections',
+      serviceHours: '/api/service-hours',
+      notifications: '/api/notifications',
+      certificates: '/api/certificates',
+      calendar: '/api/calendar',
+      payments: '/api/payments',
       upload: '/api/upload'
     }
   });
@@ -154,6 +193,12 @@ app.use('/api/super-admin', superAdminRoutes);
 app.use('/api/posts', postRoutes);
 app.use('/api/events', eventRoutes);
 app.use('/api/polls', pollRoutes);
+app.use('/api/elections', electionRoutes);
+app.use('/api/service-hours', serviceHourRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/certificates', certificateRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/payments', paymentRoutes);
 app.use('/api/upload', uploadRoutes);
 
 // ========================
@@ -246,11 +291,20 @@ const server = app.listen(PORT, () => {
   ⏰ Started at: ${new Date().toLocaleString()}
   ======================================
   `);
+
+  startNotificationWorker();
+  startEventLifecycleWorker();
+  startElectionWorker();
+  startPollResultsWorker();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  stopNotificationWorker();
+  stopEventLifecycleWorker();
+  stopElectionWorker();
+  stopPollResultsWorker();
   server.close(() => {
     console.log('Process terminated');
   });
@@ -258,6 +312,10 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
+  stopNotificationWorker();
+  stopEventLifecycleWorker();
+  stopElectionWorker();
+  stopPollResultsWorker();
   server.close(() => {
     console.log('Process terminated');
     process.exit(0);
@@ -0,0 +1,211 @@
+// utils/attendanceUtils.js
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const QRCode = require('qrcode');
+const Club = require('../models/Club');
+const Event = require('../models/Event');
+const EventRegistration = require('../models/EventRegistration');
+const { getEventStartDate, getEventEndDate } = require('./eventUtils');
+const { getSecret } = require('../config/secrets');
+
+const CHECK_IN_TOKEN_TYPE = 'event_checkin';
+const CHECK_IN_URI_PREFIX = 'leoconnect://event-checkin/';
+const CHECK_IN_OPENS_HOURS = 2;
+
+const CHECK_IN_FALLBACK_TTL = '1d';
+
+const getCheckInSecret = () => getSecret('CHECKIN_TOKEN_SECRET');
+
+/**
+ * Generate a signed check-in token for a registration, valid until check-in closes
+ * @param {Object} registration - EventRegistration document
+ * @param {Object} event - Event document
+ * @returns {string} Signed token
+ */
+const generateCheckInToken = (registration, event) => {
+  const payload = {
+    typ: CHECK_IN_TOKEN_TYPE,
+    rid: registration._id.toString(),
+    eid: registration.event.toString(),
+    uid: registration.user.toString()
+  };
+  const { closesAt } = getCheckInWindow(event);
+
+  if (closesAt) {
+    payload.exp = Math.floor(closesAt.getTime() / 1000);
+    return jwt.sign(payload, getCheckInSecret());
+  }
+
+  return jwt.sign(payload, getCheckInSecret(), { expiresIn: CHECK_IN_FALLBACK_TTL });
+};
+
+/**
+ * Verify a scanned check-in token (raw token or QR payload URI)
+ * @param {string} scanned - Scanned value
+ * @param {Date} scannedAt - When it was scanned (offline scans are checked against their scan time)
+ * @returns {Object|null} Decoded payload or null if invalid
+ */
+const verifyCheckInToken = (scanned, scannedAt = new Date()) => {
+  if (!scanned || typeof scanned !== 'string') return null;
+
+  const token = scanned.startsWith(CHECK_IN_URI_PREFIX)
+    ? scanned.slice(CHECK_IN_URI_PREFIX.length)
+    : scanned;
+
+  try {
+    const decoded = jwt.verify(token, getCheckInSecret(), {
+      clockTimestamp: Math.floor(scannedAt.getTime() / 1000)
+    });
+    return decoded.typ === CHECK_IN_TOKEN_TYPE ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the QR payload and image for a registration
+ * @param {Object} registration - EventRegistration document
+ * @param {Object} event - Event document
+ * @returns {Promise<Object>} Token, payload and QR data URL
+ */
+const buildCheckInQr = async (registration, event) => {
+  const token = generateCheckInToken(registration, event);
+  const qrPayload = `${CHECK_IN_URI_PREFIX}${token}`;
+  const qrCode = await QRCode.toDataURL(qrPayload, { errorCorrectionLevel: 'M', margin: 2, width: 320 });
+
+  return { token, qrPayload, qrCode };
+};
+
+/**
+ * Get the window in which check-ins are accepted
+ * @param {Object} event - Event document
+ * @returns {Object} Opening and closing dates
+ */
+const getCheckInWindow = (event) => {
+  const start = getEventStartDate(event);
+  const end = getEventEndDate(event);
+
+  return {
+    opensAt: start ? new Date(start.getTime() - CHECK_IN_OPENS_HOURS * 60 * 60 * 1000) : null,
+    closesAt: end
+  };
+};
+
+/**
+ * Mark a registration as attended and mirror it on Event.attendees
+ * @param {Object} event - Event document
+ * @param {Object} registration - EventRegistration document
+ * @param {Object} options - checkInTime, checkedInBy, method
+ * @returns {Promise<Object>} Result with alreadyCheckedIn flag
+ */
+const markAttendance = async (event, registration, options = {}) => {
+  const checkInTime = options.checkInTime || new Date();
+
+  if (registration.status === 'attended') {
+    return { success: true, alreadyCheckedIn: true, registration };
+  }
+
+  // No-shows can still be flipped by a late offline sync
+  const updated = await EventRegistration.findOneAndUpdate(
+    { _id: registration._id, status: { $in: ['registered', 'no-show'] } },
+    {
+      status: 'attended',
+      checkInTime,
+      checkedInBy: options.checkedInBy,
+      checkInMethod: options.method || 'qr',
+      updatedAt: new Date()
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    const current = await EventRegistration.findById(registration._id);
+    if (current && current.status === 'attended') {
+      return { success: true, alreadyCheckedIn: true, registration: current };
+    }
+    return { success: false, error: `Registration is ${current ? current.status : 'missing'}` };
+  }
+
+  const existing = await Event.updateOne(
+    { _id: event._id, 'attendees.user': updated.user },
+    { $set: { 'attendees.$.attended': true, 'attendees.$.checkInTime': checkInTime } }
+  );
+
+  if (existing.matchedCount === 0) {
+    await Event.updateOne(
+      { _id: event._id, 'attendees.user': { $ne: updated.user } },
+      { $push: { attendees: { user: updated.user, attended: true, checkInTime } } }
+    );
+  }
+
+  return { success: true, alreadyCheckedIn: false, registration: updated };
+};
+
+/**
+ * Claim a completed event for attendance finalization; only one run (or app instance) gets it
+ * @param {Object} event - Event document
+ * @returns {Promise<Object|null>} Claimed event, or null if it was already finalized
+ */
+const claimAttendanceFinalization = (event) => {
+  return Event.findOneAndUpdate(
+    { _id: event._id, attendanceFinalizedAt: null },
+    { attendanceFinalizedAt: new Date() },
+    { new: true }
+  );
+};
+
+/**
+ * Give up a claim whose finalization failed, so the next run retries it
+ * @param {Object} event - Event returned by claimAttendanceFinalization
+ */
+const releaseAttendanceFinalization = (event) => {
+  return Event.updateOne(
+    { _id: event._id, attendanceFinalizedAt: event.attendanceFinalizedAt },
+    { $unset: { attendanceFinalizedAt: 1 } }
+  );
+};
+
+/**
+ * Mark every registration that was never checked in as a no-show
+ * @param {Object} event - Event document
+ * @returns {Promise<number>} Number of registrations marked
+ */
+const markNoShows = async (event) => {
+  const result = await EventRegistration.updateMany(
+    { event: event._id, status: 'registered' },
+    { status: 'no-show', updatedAt: new Date() }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Credit a finalized event's attendance to the host and every accepted co-host club
+ * @param {Object} event - Event document
+ * @returns {Promise<number>} Number of attendees credited
+ */
+const creditClubAttendance = async (event) => {
+  const attended = await EventRegistration.countDocuments({ event: event._id, status: 'attended' });
+  const clubIds = event.getParticipatingClubIds().filter(clubId => mongoose.Types.ObjectId.isValid(clubId));
+
+  if (clubIds.length > 0) {
+    await Club.updateMany(
+      { _id: { $in: clubIds } },
+      { $inc: { 'stats.totalEvents': 1, 'stats.eventAttendance': attended } }
+    );
+  }
+
+  return attended;
+};
+
+module.exports = {
+  generateCheckInToken,
+  verifyCheckInToken,
+  buildCheckInQr,
+  getCheckInWindow,
+  markAttendance,
+  claimAttendanceFinalization,
+  releaseAttendanceFinalization,
+  markNoShows,
+  creditClubAttendance
+};
@@ -0,0 +1,24 @@
+// utils/auditUtils.js
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Record an audited action taken by the current user
+ * @param {Object} req - Express request (actor, IP and user agent are read from it)
+ * @param {string} action - AuditLog action
+ * @param {Object} options - { event, details }
+ * @returns {Promise<Object>} Created audit log entry
+ */
+const recordAudit = (req, action, { event, details = {} } = {}) => {
+  return AuditLog.create({
+    actor: req.user._id,
+    action,
+    event,
+    details,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+};
+
+module.exports = {
+  recordAudit
+};
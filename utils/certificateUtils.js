@@ -0,0 +1,180 @@
+// utils/certificateUtils.js
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const mongoose = require('mongoose');
+const Club = require('../models/Club');
+const { uploadToCloudinary } = require('../config/cloudinary');
+const { getSriLankaDay } = require('./eventUtils');
+
+const BRAND_PRIMARY = '#7A1F3D';
+const BRAND_ACCENT = '#C9A227';
+
+/**
+ * Generate a unique, hard to guess certificate ID (e.g. LEO-2025-9F3A61C2B4)
+ * @returns {string} Certificate ID
+ */
+const generateCertificateId = () => {
+  const year = new Date().getFullYear();
+  return `LEO-${year}-${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+};
+
+/**
+ * Public URL where a certificate ID can be verified
+ * @param {string} certificateId - Certificate ID
+ * @returns {string} Verification URL
+ */
+const getVerificationUrl = (certificateId) => {
+  const baseUrl = process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${baseUrl}/api/certificates/verify/${certificateId}`;
+};
+
+/**
+ * Find the club an event belongs to (Event.club holds the club ID or name)
+ * @param {Object} event - Event document
+ * @returns {Promise<Object|null>} Club document
+ */
+const findEventClub = (event) => {
+  if (!event.club) return null;
+
+  return mongoose.Types.ObjectId.isValid(event.club)
+    ? Club.findById(event.club)
+    : Club.findOne({ name: event.club });
+};
+
+/**
+ * Download the club logo, ignoring failures so a broken logo never blocks issuance
+ * @param {string} url - Logo URL
+ * @returns {Promise<Buffer|null>} Image data
+ */
+const fetchLogo = async (url) => {
+  if (!url) return null;
+
+  try {
+    const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 5000 });
+    return Buffer.from(response.data);
+  } catch (error) {
+    console.error(`⚠️ Could not load club logo ${url}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Render a participation certificate as a PDF
+ * @param {Object} details - recipientName, event, club, organizerName, certificateId, issuedAt
+ * @returns {Promise<Buffer>} PDF data
+ */
+const renderCertificatePdf = async (details) => {
+  const { recipientName, event, club, organizerName, certificateId, issuedAt } = details;
+
+  const logo = await fetchLogo(club && club.logo);
+  const qrCode = await QRCode.toBuffer(getVerificationUrl(certificateId), { margin: 1, width: 160 });
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 0 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { width, height } = doc.page;
+
+    // Border
+    doc.rect(20, 20, width - 40, height - 40).lineWidth(6).stroke(BRAND_PRIMARY);
+    doc.rect(34, 34, width - 68, height - 68).lineWidth(1.5).stroke(BRAND_ACCENT);
+
+    // Club branding
+    if (logo) {
+      try {
+        doc.image(logo, width / 2 - 40, 55, { fit: [80, 80], align: 'center' });
+      } catch (error) {
+        console.error('⚠️ Unsupported club logo format:', error.message);
+      }
+    }
+
+    doc.fillColor(BRAND_PRIMARY)
+      .font('Helvetica-Bold')
+      .fontSize(16)
+      .text(club ? club.name.toUpperCase() : event.organization.toUpperCase(), 0, 145, { align: 'center' });
+
+    if (club && club.districtName) {
+      doc.fillColor('#555555').font('Helvetica').fontSize(11)
+        .text(club.districtName, { align: 'center' });
+    }
+
+    doc.fillColor(BRAND_PRIMARY)
+      .font('Helvetica-Bold')
+      .fontSize(34)
+      .text('Certificate of Participation', 0, 200, { align: 'center' });
+
+    doc.fillColor('#333333').font('Helvetica').fontSize(14)
+      .text('This is to certify that', 0, 255, { align: 'center' });
+
+    doc.fillColor(BRAND_ACCENT).font('Helvetica-Bold').fontSize(28)
+      .text(recipientName, 0, 282, { align: 'center' });
+
+    const eventDay = getSriLankaDay(event.date);
+    const venue = [event.location, event.city].filter(Boolean).join(', ');
+
+    doc.fillColor('#333333').font('Helvetica').fontSize(14)
+      .text(`participated in "${event.title}"`, 0, 330, { align: 'center' })
+      .text(`held on ${eventDay}${venue ? ` at ${venue}` : ''}`, { align: 'center' });
+
+    // Signatures
+    const signatureY = height - 140;
+    doc.moveTo(110, signatureY).lineTo(300, signatureY).lineWidth(1).stroke('#333333');
+    doc.font('Helvetica').fontSize(11).fillColor('#333333')
+      .text(organizerName || 'Event Organizer', 110, signatureY + 6, { width: 190, align: 'center' })
+      .text('Organizer', 110, signatureY + 22, { width: 190, align: 'center' });
+
+    const presidentName = club && club.president && club.president.name;
+    doc.moveTo(width - 300, signatureY).lineTo(width - 110, signatureY).stroke('#333333');
+    doc.text(presidentName || ' ', width - 300, signatureY + 6, { width: 190, align: 'center' })
+      .text('Club President', width - 300, signatureY + 22, { width: 190, align: 'center' });
+
+    // Verification
+    doc.image(qrCode, width / 2 - 35, height - 160, { width: 70 });
+    doc.fontSize(9).fillColor('#555555')
+      .text(`Certificate ID: ${certificateId}`, 0, height - 85, { align: 'center' })
+      .text(`Issued ${getSriLankaDay(issuedAt)} · Verify at ${getVerificationUrl(certificateId)}`, { align: 'center' });
+
+    doc.end();
+  });
+};
+
+/**
+ * Render a certificate and upload it to Cloudinary
+ * @param {Object} details - Same as renderCertificatePdf
+ * @returns {Promise<Object>} Uploaded file URL and public ID
+ */
+const createCertificateFile = async (details) => {
+  const pdf = await renderCertificatePdf(details);
+  const filePath = path.join(os.tmpdir(), `${details.certificateId}.pdf`);
+
+  fs.writeFileSync(filePath, pdf);
+
+  try {
+    const result = await uploadToCloudinary(filePath, 'leoconnect/certificates');
+    return {
+      certificateUrl: result.secure_url,
+      publicId: result.public_id
+    };
+  } finally {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+};
+
+module.exports = {
+  generateCertificateId,
+  getVerificationUrl,
+  findEventClub,
+  renderCertificatePdf,
+  createCertificateFile
+};
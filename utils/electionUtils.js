@@ -0,0 +1,534 @@
+// utils/electionUtils.js
+const Club = require('../models/Club');
+const District = require('../models/District');
+const User = require('../models/User');
+const Election = require('../models/Election');
+const ElectionBallot = require('../models/ElectionBallot');
+const { isVerifiedMemberOf } = require('./membershipUtils');
+
+const ELECTION_METHODS = ['irv', 'stv'];
+// Officer fields kept on the Club and District documents
+const OFFICER_POSITIONS = {
+  club: ['president', 'secretary', 'treasurer'],
+  district: ['president']
+};
+const POSITION_KEY_PATTERN = /^[a-z][a-z0-9_]{0,29}$/;
+const MAX_POSITIONS = 10;
+const MAX_SEATS = 20;
+const MAX_STATEMENT_LENGTH = 2000;
+// An install that has not finished after this long is assumed to have crashed and may be retried
+const INSTALL_CLAIM_MINUTES = 30;
+
+const toTitle = (key) => key
+  .split('_')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+const roundVotes = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Validate the positions of an election
+ * @param {Array} positions - Position keys or { key, title, seats }
+ * @param {string} scope - club or district
+ * @param {string} method - irv or stv
+ * @returns {Object} { positions } or { error }
+ */
+const normalizePositions = (positions, scope, method) => {
+  if (!Array.isArray(positions) || positions.length === 0) {
+    return { error: 'At least one position is required' };
+  }
+
+  if (positions.length > MAX_POSITIONS) {
+    return { error: `Maximum ${MAX_POSITIONS} positions allowed` };
+  }
+
+  const normalized = [];
+
+  for (const input of positions) {
+    const raw = typeof input === 'string' ? { key: input } : (input || {});
+    const key = String(raw.key || '').trim().toLowerCase();
+
+    if (!POSITION_KEY_PATTERN.test(key)) {
+      return { error: `Invalid position "${raw.key || ''}" (lowercase letters, numbers and underscores)` };
+    }
+
+    if (normalized.some(position => position.key === key)) {
+      return { error: `Position ${key} is listed twice` };
+    }
+
+    const seats = raw.seats === undefined ? 1 : Number(raw.seats);
+
+    if (!Number.isInteger(seats) || seats < 1 || seats > MAX_SEATS) {
+      return { error: `Seats for ${key} must be a whole number between 1 and ${MAX_SEATS}` };
+    }
+
+    if (OFFICER_POSITIONS[scope].includes(key) && seats !== 1) {
+      return { error: `${toTitle(key)} has a single seat` };
+    }
+
+    if (method === 'irv' && seats !== 1) {
+      return { error: 'Instant runoff fills one seat per position; use stv for multi-seat positions' };
+    }
+
+    normalized.push({
+      key,
+      title: typeof raw.title === 'string' && raw.title.trim() ? raw.title.trim().slice(0, 100) : toTitle(key),
+      seats
+    });
+  }
+
+  return { positions: normalized };
+};
+
+/**
+ * Validate the election timeline (nominations, then voting, then the term)
+ * @param {Object} input - nominationStart, nominationEnd, votingStart, votingEnd, termStart, termEnd
+ * @returns {Object} Validation result with parsed dates
+ */
+const validateElectionTimeline = (input) => {
+  const errors = [];
+  const dates = {};
+
+  ['nominationStart', 'nominationEnd', 'votingStart', 'votingEnd', 'termStart', 'termEnd'].forEach(name => {
+    const value = input[name];
+    if ((value === undefined || value === null || value === '') && name === 'termEnd') return;
+
+    const date = new Date(value);
+    if (value === undefined || value === null || value === '' || isNaN(date.getTime())) {
+      errors.push(`${name} must be a valid date`);
+    } else {
+      dates[name] = date;
+    }
+  });
+
+  if (errors.length === 0) {
+    if (dates.nominationStart >= dates.nominationEnd) {
+      errors.push('Nominations must close after they open');
+    }
+    if (dates.votingStart < dates.nominationEnd) {
+      errors.push('Voting cannot open before nominations close');
+    }
+    if (dates.votingStart >= dates.votingEnd) {
+      errors.push('Voting must close after it opens');
+    }
+    if (dates.termStart < dates.votingEnd) {
+      errors.push('The term cannot start before voting closes');
+    }
+    if (dates.termEnd && dates.termEnd <= dates.termStart) {
+      errors.push('The term must end after it starts');
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    dates
+  };
+};
+
+/**
+ * Check whether a user may manage an election (webmasters, super admins and the current officers)
+ * @param {Object} user - User document
+ * @param {Object} election - Election document (or { scope, club, district })
+ * @returns {Promise<boolean>} Whether the user can manage it
+ */
+const canManageElection = async (user, election) => {
+  if (['super_admin', 'webmaster'].includes(user.role)) return true;
+
+  if (election.scope === 'club') {
+    const club = await Club.findById(election.club).select('president secretary treasurer');
+    return !!club && club.isOfficer(user._id);
+  }
+
+  const district = await District.findById(election.district).select('president');
+  return !!(district && district.president && district.president.userId &&
+    district.president.userId.toString() === user._id.toString());
+};
+
+/**
+ * Check whether a user may vote or stand: active, verified members of the club (or district)
+ * @param {Object} user - User document (with membership)
+ * @param {Object} election - Election document
+ * @returns {Object} { eligible, reason }
+ */
+const getVoterEligibility = (user, election) => {
+  if (!user || !user.isActive) {
+    return { eligible: false, reason: 'Only active members can take part in elections' };
+  }
+
+  // Verified membership, not the profile club, so members cannot switch clubs to vote elsewhere
+  if (!isVerifiedMemberOf(user, election.scope, election[election.scope])) {
+    return { eligible: false, reason: `Only verified members of this ${election.scope} can take part in its election` };
+  }
+
+  return { eligible: true };
+};
+
+/**
+ * Get the candidates on the ballot for a position, in nomination order
+ * @param {Object} election - Election document
+ * @param {string} positionKey - Position key
+ * @returns {string[]} Candidate user IDs
+ */
+const getBallotCandidates = (election, positionKey) => {
+  return election.candidates
+    .filter(candidate => candidate.position === positionKey && candidate.status === 'accepted')
+    .map(candidate => candidate.user.toString());
+};
+
+/**
+ * Validate a ranked ballot
+ * @param {Object} election - Election document
+ * @param {Object} input - Position key -> candidate user IDs, most preferred first
+ * @returns {Object} { rankings } or { error }
+ */
+const normalizeBallot = (election, input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Rankings must list candidates in order of preference for each position' };
+  }
+
+  const rankings = [];
+
+  for (const [positionKey, ranked] of Object.entries(input)) {
+    const position = election.positions.find(item => item.key === positionKey);
+
+    if (!position) {
+      return { error: `Unknown position ${positionKey}` };
+    }
+
+    if (!Array.isArray(ranked)) {
+      return { error: `Rankings for ${position.title} must be a list` };
+    }
+
+    const allowed = getBallotCandidates(election, positionKey);
+    const candidates = [];
+
+    for (const value of ranked) {
+      const candidateId = String(value);
+
+      if (!allowed.includes(candidateId)) {
+        return { error: `Invalid candidate for ${position.title}` };
+      }
+
+      if (candidates.includes(candidateId)) {
+        return { error: `Each candidate can only be ranked once for ${position.title}` };
+      }
+
+      candidates.push(candidateId);
+    }
+
+    if (candidates.length > 0) {
+      rankings.push({ position: positionKey, candidates });
+    }
+  }
+
+  if (rankings.length === 0) {
+    return { error: 'Rank at least one candidate' };
+  }
+
+  return { rankings };
+};
+
+/**
+ * Pick which of several tied candidates to eliminate: the lowest in the latest earlier round
+ * that separates them, otherwise the one nominated last
+ * @param {string[]} tied - Tied candidate IDs
+ * @param {Object[]} rounds - Rounds counted so far (the current one last)
+ * @param {string[]} candidates - All candidate IDs in nomination order
+ * @returns {string} Candidate to eliminate
+ */
+const breakEliminationTie = (tied, rounds, candidates) => {
+  let remaining = tied;
+
+  for (let index = rounds.length - 2; index >= 0 && remaining.length > 1; index--) {
+    const votesIn = (id) => {
+      const entry = rounds[index].tallies.find(tally => tally.candidate === id);
+      return entry ? entry.votes : 0;
+    };
+    const lowest = Math.min(...remaining.map(votesIn));
+    remaining = remaining.filter(id => votesIn(id) === lowest);
+  }
+
+  return remaining.reduce((last, id) => (candidates.indexOf(id) > candidates.indexOf(last) ? id : last));
+};
+
+/**
+ * Count ranked ballots with the single transferable vote (Droop quota, fractional surplus
+ * transfers). With one seat this is an instant runoff.
+ * @param {string[][]} ballots - Candidate IDs per ballot, most preferred first
+ * @param {string[]} candidates - Candidate IDs in nomination order
+ * @param {number} seats - Seats to fill
+ * @returns {Object} { quota, validBallots, exhaustedBallots, elected, rounds, tieBreaks }
+ */
+const tallyRankedChoice = (ballots, candidates, seats) => {
+  const votes = ballots
+    .filter(ranking => ranking.length > 0)
+    .map(ranking => ({ ranking, weight: 1 }));
+  const validBallots = votes.length;
+  const quota = Math.floor(validBallots / (seats + 1)) + 1;
+
+  let hopeful = [...candidates];
+  const elected = [];
+  const rounds = [];
+  let exhaustedBallots = 0;
+  let tieBreaks = 0;
+
+  if (validBallots === 0) {
+    return { quota, validBallots, exhaustedBallots, elected, rounds, tieBreaks };
+  }
+
+  while (elected.length < seats && hopeful.length > 0) {
+    const tallies = new Map(hopeful.map(id => [id, 0]));
+    // Where each ballot sits this round, so surplus transfers only touch the winner's ballots
+    const choices = votes.map(vote => vote.ranking.find(id => tallies.has(id)));
+    let exhausted = 0;
+
+    votes.forEach((vote, index) => {
+      if (choices[index]) {
+        tallies.set(choices[index], tallies.get(choices[index]) + vote.weight);
+      } else {
+        exhausted += vote.weight;
+      }
+    });
+
+    const votesFor = (id) => roundVotes(tallies.get(id));
+    const round = {
+      round: rounds.length + 1,
+      tallies: hopeful.map(id => ({ candidate: id, votes: votesFor(id) })),
+      exhausted: roundVotes(exhausted),
+      elected: [],
+      eliminated: []
+    };
+    rounds.push(round);
+    exhaustedBallots = round.exhausted;
+
+    const byVotes = [...hopeful].sort((a, b) => votesFor(b) - votesFor(a));
+
+    // Everyone left is elected once candidates no longer outnumber the open seats
+    if (hopeful.length <= seats - elected.length) {
+      round.elected.push(...byVotes);
+      elected.push(...byVotes);
+      break;
+    }
+
+    const winners = byVotes.filter(id => votesFor(id) >= quota).slice(0, seats - elected.length);
+
+    if (winners.length > 0) {
+      winners.forEach(winner => {
+        const total = tallies.get(winner);
+        const keep = (total - quota) / total;
+
+        votes.forEach((vote, index) => {
+          if (choices[index] === winner) vote.weight *= keep;
+        });
+
+        round.elected.push(winner);
+        elected.push(winner);
+      });
+
+      hopeful = hopeful.filter(id => !winners.includes(id));
+      continue;
+    }
+
+    const fewest = Math.min(...hopeful.map(votesFor));
+    const lowest = hopeful.filter(id => votesFor(id) === fewest);
+    let eliminated = lowest[0];
+
+    if (lowest.length > 1) {
+      eliminated = breakEliminationTie(lowest, rounds, candidates);
+      round.tieBroken = true;
+      tieBreaks++;
+    }
+
+    round.eliminated.push(eliminated);
+    hopeful = hopeful.filter(id => id !== eliminated);
+  }
+
+  return { quota, validBallots, exhaustedBallots, elected, rounds, tieBreaks };
+};
+
+/**
+ * Count every position of an election from its ballots
+ * @param {Object} election - Election document
+ * @returns {Promise<Object[]>} Results per position
+ */
+const tallyElection = async (election) => {
+  const ballots = await ElectionBallot.find({ election: election._id }).select('rankings').lean();
+
+  return election.positions.map(position => {
+    const candidates = getBallotCandidates(election, position.key);
+
+    const rankings = ballots.map(ballot => {
+      const ranking = ballot.rankings.find(item => item.position === position.key);
+      return ranking
+        ? ranking.candidates.map(id => id.toString()).filter(id => candidates.includes(id))
+        : [];
+    });
+
+    const count = tallyRankedChoice(rankings, candidates, position.seats);
+
+    return {
+      position: position.key,
+      seats: position.seats,
+      ...count
+    };
+  });
+};
+
+/**
+ * Count a closed election and store its results (recounts are allowed until certification)
+ * @param {Object} election - Election document
+ * @returns {Promise<Object|null>} Updated election, or null if it can no longer be tallied
+ */
+const recordElectionTally = async (election) => {
+  const results = await tallyElection(election);
+
+  return Election.findOneAndUpdate(
+    { _id: election._id, status: { $in: ['open', 'tallied'] }, votingEnd: { $lte: new Date() } },
+    { results, status: 'tallied', talliedAt: new Date() },
+    { new: true }
+  );
+};
+
+/**
+ * Start the term of a certified election: update the officer fields of the club or district and
+ * the role history of incoming and outgoing officers. Each position is recorded once written, and
+ * the election is only marked installed after every write succeeds; a failed install is retried.
+ * @param {Object} election - Certified Election document
+ * @returns {Promise<boolean>} Whether this call installed the results
+ */
+const installElectionResults = async (election) => {
+  const now = new Date();
+  const staleClaim = new Date(now.getTime() - INSTALL_CLAIM_MINUTES * 60 * 1000);
+
+  // Claim the election first so the worker and a late certification cannot both install it
+  const claimed = await Election.findOneAndUpdate(
+    {
+      _id: election._id,
+      status: 'certified',
+      $or: [{ installingAt: null }, { installingAt: { $lte: staleClaim } }]
+    },
+    { installingAt: now },
+    { new: true }
+  );
+
+  if (!claimed) return false;
+
+  try {
+    const scopeField = claimed.scope;
+    const scopeId = claimed[scopeField];
+    const organization = scopeField === 'club'
+      ? await Club.findById(scopeId)
+      : await District.findById(scopeId);
+    const certifier = await User.findById(claimed.certifiedBy).select('fullName');
+    const installedPositions = new Set(claimed.installedPositions || []);
+
+    for (const result of claimed.results) {
+      const position = claimed.positions.find(item => item.key === result.position);
+      const role = `${claimed.scope}_${result.position}`;
+      const winners = await User.find({ _id: { $in: result.elected } }).select('fullName roleHistory');
+
+      // Officer fields are rebuilt on every attempt, so they are saved even when the role history is done
+      if (organization && OFFICER_POSITIONS[claimed.scope].includes(result.position) && winners.length > 0) {
+        organization[result.position] = { name: winners[0].fullName, userId: winners[0]._id };
+      }
+
+      if (installedPositions.has(result.position)) continue;
+
+      // Latest office each winner already holds here, read before outgoing terms are closed
+      // (entries from an interrupted attempt at this election are not earlier offices)
+      const previousRoles = new Map(winners.map(user => {
+        const current = user.roleHistory.filter(entry =>
+          entry.status === 'active' && entry[scopeField] && entry[scopeField].toString() === scopeId.toString() &&
+          !(entry.election && entry.election.toString() === claimed._id.toString())
+        ).pop();
+        return [user._id.toString(), current ? current.newRole : 'member'];
+      }));
+
+      await User.updateMany(
+        {
+          roleHistory: {
+            $elemMatch: { newRole: role, status: 'active', [scopeField]: scopeId, election: { $ne: claimed._id } }
+          }
+        },
+        { $set: { 'roleHistory.$[entry].status': 'expired', 'roleHistory.$[entry].endDate': claimed.termStart } },
+        {
+          arrayFilters: [{
+            'entry.newRole': role,
+            'entry.status': 'active',
+            [`entry.${scopeField}`]: scopeId,
+            'entry.election': { $ne: claimed._id }
+          }]
+        }
+      );
+
+      for (const winner of winners) {
+        // Skipped when an interrupted attempt already added this term
+        await User.updateOne(
+          { _id: winner._id, roleHistory: { $not: { $elemMatch: { election: claimed._id, newRole: role } } } },
+          {
+            $push: {
+              roleHistory: {
+                previousRole: previousRoles.get(winner._id.toString()),
+                newRole: role,
+                assignedBy: claimed.certifiedBy,
+                assignedByName: certifier ? certifier.fullName : undefined,
+                startDate: claimed.termStart,
+                endDate: claimed.termEnd,
+                remark: `Elected ${position ? position.title : result.position} in "${claimed.title}"`,
+                club: claimed.club,
+                district: claimed.district,
+                election: claimed._id,
+                status: 'active'
+              }
+            }
+          }
+        );
+      }
+
+      await Election.updateOne(
+        { _id: claimed._id },
+        { $addToSet: { installedPositions: result.position } }
+      );
+    }
+
+    if (organization) {
+      organization.updatedBy = claimed.certifiedBy;
+      await organization.save();
+    }
+
+    await Election.updateOne(
+      { _id: claimed._id, installingAt: claimed.installingAt },
+      { $set: { status: 'installed', installedAt: new Date() }, $unset: { installingAt: 1 } }
+    );
+
+    return true;
+
+  } catch (error) {
+    console.error(`❌ Installing results of election ${claimed._id} failed:`, error);
+
+    // Give up the claim so the next run resumes from the positions already written
+    await Election.updateOne(
+      { _id: claimed._id, installingAt: claimed.installingAt },
+      { $unset: { installingAt: 1 } }
+    ).catch(releaseError => console.error('❌ Releasing election install claim failed:', releaseError));
+
+    return false;
+  }
+};
+
+module.exports = {
+  ELECTION_METHODS,
+  OFFICER_POSITIONS,
+  MAX_STATEMENT_LENGTH,
+  normalizePositions,
+  validateElectionTimeline,
+  canManageElection,
+  getVoterEligibility,
+  getBallotCandidates,
+  normalizeBallot,
+  tallyRankedChoice,
+  tallyElection,
+  recordElectionTally,
+  installElectionResults
+};
@@ -0,0 +1,120 @@
+// utils/eventUtils.js
+
+// Events are organised in Sri Lanka, so date + time fields are read in Sri Lanka time
+const SRI_LANKA_OFFSET_MINUTES = 330;
+const SRI_LANKA_OFFSET = '+05:30';
+const DEFAULT_EVENT_DURATION_HOURS = 2;
+
+/**
+ * Parse a time string ("18:30", "6:30 PM")
+ * @param {string} time - Time string
+ * @returns {Object|null} Hours and minutes
+ */
+const parseTime = (time) => {
+  if (!time || typeof time !== 'string') return null;
+
+  const match = time.trim().match(/^(\d{1,2})[:.](\d{2})\s*(AM|PM)?$/i);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  const meridiem = match[3] && match[3].toUpperCase();
+
+  if (meridiem === 'PM' && hours < 12) hours += 12;
+  if (meridiem === 'AM' && hours === 12) hours = 0;
+
+  if (hours > 23 || minutes > 59) return null;
+
+  return { hours, minutes };
+};
+
+/**
+ * Get the calendar day (YYYY-MM-DD) of a date in Sri Lanka time
+ * @param {Date} date - Date
+ * @returns {string} Calendar day
+ */
+const getSriLankaDay = (date) => {
+  const shifted = new Date(new Date(date).getTime() + SRI_LANKA_OFFSET_MINUTES * 60 * 1000);
+  return shifted.toISOString().slice(0, 10);
+};
+
+/**
+ * Format a date as "YYYY-MM-DD HH:mm" in Sri Lanka time
+ * @param {Date} date - Date
+ * @returns {string} Formatted date and time
+ */
+const formatSriLankaDateTime = (date) => {
+  const shifted = new Date(new Date(date).getTime() + SRI_LANKA_OFFSET_MINUTES * 60 * 1000);
+  return shifted.toISOString().slice(0, 16).replace('T', ' ');
+};
+
+/**
+ * Combine a date field and a time string into an instant (Sri Lanka time)
+ * @param {Date} date - Event date
+ * @param {string} time - Time string
+ * @returns {Date|null} Combined date
+ */
+const combineDateAndTime = (date, time) => {
+  if (!date || isNaN(new Date(date).getTime())) return null;
+
+  const parsed = parseTime(time) || { hours: 0, minutes: 0 };
+  const hh = String(parsed.hours).padStart(2, '0');
+  const mm = String(parsed.minutes).padStart(2, '0');
+
+  return new Date(`${getSriLankaDay(date)}T${hh}:${mm}:00${SRI_LANKA_OFFSET}`);
+};
+
+/**
+ * Get when an event starts
+ * @param {Object} event - Event document
+ * @returns {Date|null} Start date
+ */
+const getEventStartDate = (event) => {
+  return combineDateAndTime(event.date, event.time);
+};
+
+/**
+ * Get when an event ends (defaults to a fixed duration after the start)
+ * @param {Object} event - Event document
+ * @returns {Date|null} End date
+ */
+const getEventEndDate = (event) => {
+  if (event.endTime) {
+    return combineDateAndTime(event.endDate || event.date, event.endTime);
+  }
+
+  if (event.endDate) {
+    return combineDateAndTime(event.endDate, '23:59');
+  }
+
+  const start = getEventStartDate(event);
+  return start ? new Date(start.getTime() + DEFAULT_EVENT_DURATION_HOURS * 60 * 60 * 1000) : null;
+};
+
+/**
+ * Derive an event's status from its schedule (cancellation is never derived)
+ * @param {Object} event - Event document
+ * @param {Date} now - Reference time
+ * @returns {string|null} upcoming, ongoing or completed; null if the schedule is invalid
+ */
+const deriveEventStatus = (event, now = new Date()) => {
+  const start = getEventStartDate(event);
+  const end = getEventEndDate(event);
+  if (!start || !end) return null;
+
+  if (now < start) return 'upcoming';
+  if (now < end) return 'ongoing';
+  return 'completed';
+};
+
+module.exports = {
+  SRI_LANKA_OFFSET_MINUTES,
+  SRI_LANKA_OFFSET,
+  parseTime,
+  getSriLankaDay,
+  formatSriLankaDateTime,
+  combineDateAndTime,
+  getEventStartDate,
+  getEventEndDate,
+  deriveEventStatus
+};
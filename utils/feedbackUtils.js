@@ -0,0 +1,210 @@
+// utils/feedbackUtils.js
+const crypto = require('crypto');
+const EventFeedback = require('../models/EventFeedback');
+const { getEventEndDate, SRI_LANKA_OFFSET } = require('./eventUtils');
+const { getSecret } = require('../config/secrets');
+
+const FEEDBACK_WINDOW_DAYS = parseInt(process.env.EVENT_FEEDBACK_DAYS, 10) || 14;
+const MAX_COMMENT_LENGTH = 1000;
+
+const isRating = (value) => Number.isInteger(value) && value >= 1 && value <= 5;
+
+/**
+ * Hash identifying a respondent for one event (not reversible without the secret)
+ * @param {string} eventId - Event ID
+ * @param {string} userId - User ID
+ * @returns {string} Respondent hash
+ */
+const getRespondentHash = (eventId, userId) => {
+  const secret = getSecret('FEEDBACK_HASH_SECRET');
+  return crypto.createHmac('sha256', secret).update(`${eventId}:${userId}`).digest('hex');
+};
+
+/**
+ * Date after which feedback is no longer accepted
+ * @param {Object} event - Event document
+ * @returns {Date|null} Closing date
+ */
+const getFeedbackClosesAt = (event) => {
+  const end = getEventEndDate(event);
+  return end ? new Date(end.getTime() + FEEDBACK_WINDOW_DAYS * 24 * 60 * 60 * 1000) : null;
+};
+
+/**
+ * Validate a feedback submission
+ * @param {Object} event - Event document
+ * @param {Object} data - overallRating, aspectRatings ({ aspect: rating }), comment, anonymous
+ * @returns {Object} Validation result with the cleaned response
+ */
+const validateFeedback = (event, data = {}) => {
+  const errors = [];
+  const overallRating = Number(data.overallRating);
+
+  if (!isRating(overallRating)) {
+    errors.push('Overall rating must be a whole number from 1 to 5');
+  }
+
+  const aspectRatings = [];
+  const ratings = data.aspectRatings && typeof data.aspectRatings === 'object' ? data.aspectRatings : {};
+
+  for (const [aspect, value] of Object.entries(ratings)) {
+    if (!event.feedbackAspects.includes(aspect)) {
+      errors.push(`Unknown aspect "${aspect}"`);
+    } else if (value !== null && value !== undefined && value !== '') {
+      // Aspects are optional, but a given rating must be valid
+      if (!isRating(Number(value))) {
+        errors.push(`Rating for ${aspect} must be a whole number from 1 to 5`);
+      } else {
+        aspectRatings.push({ aspect, rating: Number(value) });
+      }
+    }
+  }
+
+  let comment;
+  if (data.comment !== undefined && data.comment !== null) {
+    if (typeof data.comment !== 'string' || data.comment.trim().length > MAX_COMMENT_LENGTH) {
+      errors.push(`Comment must be text of at most ${MAX_COMMENT_LENGTH} characters`);
+    } else if (data.comment.trim()) {
+      comment = data.comment.trim();
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    feedback: {
+      overallRating,
+      aspectRatings,
+      comment,
+      anonymous: data.anonymous === true || data.anonymous === 'true'
+    }
+  };
+};
+
+/**
+ * Aggregate the feedback of an event
+ * @param {Object} event - Event document
+ * @param {number} attended - Number of attendees, for the response rate
+ * @returns {Promise<Object>} Feedback summary
+ */
+const summarizeEventFeedback = async (event, attended) => {
+  const [result] = await EventFeedback.aggregate([
+    { $match: { event: event._id } },
+    {
+      $facet: {
+        overall: [
+          {
+            $group: {
+              _id: null,
+              responses: { $sum: 1 },
+              average: { $avg: '$overallRating' },
+              comments: { $sum: { $cond: [{ $gt: ['$comment', null] }, 1, 0] } }
+            }
+          }
+        ],
+        distribution: [
+          { $group: { _id: '$overallRating', count: { $sum: 1 } } }
+        ],
+        aspects: [
+          { $unwind: '$aspectRatings' },
+          {
+            $group: {
+              _id: '$aspectRatings.aspect',
+              average: { $avg: '$aspectRatings.rating' },
+              responses: { $sum: 1 }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const overall = result.overall[0] || { responses: 0, average: null, comments: 0 };
+  const round = (value) => value === null ? null : parseFloat(value.toFixed(2));
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  result.distribution.forEach(item => { distribution[item._id] = item.count; });
+
+  return {
+    responses: overall.responses,
+    responseRate: attended > 0 ? parseFloat(((overall.responses / attended) * 100).toFixed(2)) : 0,
+    averageRating: round(overall.average),
+    distribution,
+    aspects: event.feedbackAspects.map(aspect => {
+      const item = result.aspects.find(entry => entry._id === aspect);
+      return {
+        aspect,
+        averageRating: item ? round(item.average) : null,
+        responses: item ? item.responses : 0
+      };
+    }),
+    comments: overall.comments,
+    closesAt: getFeedbackClosesAt(event)
+  };
+};
+
+/**
+ * Monthly feedback averages of a club's events
+ * @param {string} clubId - Club ID
+ * @param {Date} since - Earliest event date
+ * @returns {Promise<Object>} Overall and monthly averages
+ */
+const getClubFeedbackTrend = async (clubId, since) => {
+  const match = { club: clubId, eventDate: { $gte: since } };
+
+  const [months, aspects] = await Promise.all([
+    EventFeedback.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m', date: '$eventDate', timezone: SRI_LANKA_OFFSET } },
+          responses: { $sum: 1 },
+          total: { $sum: '$overallRating' },
+          events: { $addToSet: '$event' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]),
+    EventFeedback.aggregate([
+      { $match: match },
+      { $unwind: '$aspectRatings' },
+      {
+        $group: {
+          _id: '$aspectRatings.aspect',
+          average: { $avg: '$aspectRatings.rating' },
+          responses: { $sum: 1 }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ])
+  ]);
+
+  const responses = months.reduce((sum, month) => sum + month.responses, 0);
+  const total = months.reduce((sum, month) => sum + month.total, 0);
+
+  return {
+    responses,
+    events: new Set(months.flatMap(month => month.events.map(id => id.toString()))).size,
+    averageRating: responses > 0 ? parseFloat((total / responses).toFixed(2)) : null,
+    aspects: aspects.map(item => ({
+      aspect: item._id,
+      averageRating: parseFloat(item.average.toFixed(2)),
+      responses: item.responses
+    })),
+    monthly: months.map(month => ({
+      month: month._id,
+      events: month.events.length,
+      responses: month.responses,
+      averageRating: parseFloat((month.total / month.responses).toFixed(2))
+    }))
+  };
+};
+
+module.exports = {
+  FEEDBACK_WINDOW_DAYS,
+  getRespondentHash,
+  getFeedbackClosesAt,
+  validateFeedback,
+  summarizeEventFeedback,
+  getClubFeedbackTrend
+};
@@ -0,0 +1,91 @@
+// utils/geoUtils.js
+const EARTH_RADIUS_KM = 6378.1;
+const MAX_RADIUS_KM = 500;
+
+const isLatitude = (value) => typeof value === 'number' && !isNaN(value) && value >= -90 && value <= 90;
+const isLongitude = (value) => typeof value === 'number' && !isNaN(value) && value >= -180 && value <= 180;
+
+/**
+ * Convert { lat, lng } coordinates into a GeoJSON point
+ * @param {Object} coordinates - Event.coordinates
+ * @returns {Object|undefined} GeoJSON point, or undefined if the coordinates are incomplete
+ */
+const toGeoPoint = (coordinates) => {
+  if (!coordinates) return undefined;
+
+  const lat = Number(coordinates.lat);
+  const lng = Number(coordinates.lng);
+
+  if (coordinates.lat == null || coordinates.lng == null || !isLatitude(lat) || !isLongitude(lng)) {
+    return undefined;
+  }
+
+  // GeoJSON stores longitude first
+  return { type: 'Point', coordinates: [lng, lat] };
+};
+
+/**
+ * Parse a point and radius from query parameters
+ * @param {Object} query - lat, lng and radius (km)
+ * @returns {Object} { point, radiusKm } on success, { error } otherwise
+ */
+const parseNearQuery = ({ lat, lng, radius }) => {
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+
+  if (lat === undefined || lng === undefined || !isLatitude(latitude) || !isLongitude(longitude)) {
+    return { error: 'lat and lng must be valid coordinates' };
+  }
+
+  const radiusKm = radius === undefined ? 25 : Number(radius);
+  if (isNaN(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+    return { error: `radius must be between 0 and ${MAX_RADIUS_KM} km` };
+  }
+
+  return { point: [longitude, latitude], radiusKm };
+};
+
+/**
+ * Parse a map bounding box ("minLng,minLat,maxLng,maxLat") into a GeoJSON polygon
+ * @param {string} bbox - Bounding box
+ * @returns {Object} { polygon } on success, { error } otherwise
+ */
+const parseBoundingBox = (bbox) => {
+  const values = String(bbox).split(',').map(Number);
+
+  if (values.length !== 4) {
+    return { error: 'bbox must be minLng,minLat,maxLng,maxLat' };
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = values;
+
+  if (![minLng, maxLng].every(isLongitude) || ![minLat, maxLat].every(isLatitude) ||
+    minLng >= maxLng || minLat >= maxLat) {
+    return { error: 'bbox must be minLng,minLat,maxLng,maxLat with valid, increasing coordinates' };
+  }
+
+  // Polygons wider than a hemisphere are ambiguous on a sphere
+  if (maxLng - minLng >= 180) {
+    return { error: 'bbox must be less than 180 degrees wide' };
+  }
+
+  return {
+    polygon: {
+      type: 'Polygon',
+      coordinates: [[
+        [minLng, minLat],
+        [maxLng, minLat],
+        [maxLng, maxLat],
+        [minLng, maxLat],
+        [minLng, minLat]
+      ]]
+    }
+  };
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  toGeoPoint,
+  parseNearQuery,
+  parseBoundingBox
+};
@@ -0,0 +1,299 @@
+// utils/icalUtils.js
+const {
+  SRI_LANKA_OFFSET_MINUTES,
+  getEventStartDate,
+  getEventEndDate,
+  combineDateAndTime,
+  getSriLankaDay
+} = require('./eventUtils');
+const { generateOccurrenceDates } = require('./recurrenceUtils');
+
+const PRODUCT_ID = '-//LeoConnect//Events//EN';
+const UID_DOMAIN = 'leoconnect.app';
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const TIMEZONE = 'Asia/Colombo';
+// Sri Lanka has kept +05:30 without daylight saving since 2006
+const TIMEZONE_LINES = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TIMEZONE}`,
+  'BEGIN:STANDARD',
+  'DTSTART:19700101T000000',
+  'TZOFFSETFROM:+0530',
+  'TZOFFSETTO:+0530',
+  'TZNAME:+0530',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+/**
+ * Escape a value for use in an iCalendar text property
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Fold a content line at 75 octets as required by RFC 5545
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length === 0 ? 75 : 74;
+
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Format a date as a UTC iCalendar date-time (20250101T093000Z)
+ * @param {Date} date - Date
+ * @returns {string} Formatted date-time
+ */
+const formatUtc = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+/**
+ * Format a date as a Sri Lanka local date-time for use with TZID (20250101T150000)
+ * @param {Date} date - Date
+ * @returns {string} Formatted date-time
+ */
+const formatLocal = (date) => {
+  const shifted = new Date(new Date(date).getTime() + SRI_LANKA_OFFSET_MINUTES * 60 * 1000);
+  return formatUtc(shifted).replace(/Z$/, '');
+};
+
+/**
+ * Format a date-time property, in Sri Lanka local time when the value must line up with local rule days
+ * @param {string} name - Property name
+ * @param {Date} date - Date
+ * @param {boolean} local - Use TZID local time instead of UTC
+ * @returns {string} Content line
+ */
+const formatDateProperty = (name, date, local) => {
+  return local ? `${name};TZID=${TIMEZONE}:${formatLocal(date)}` : `${name}:${formatUtc(date)}`;
+};
+
+/**
+ * Build an RRULE value from a series recurrence rule
+ * @param {Object} rule - EventSeries recurrence
+ * @param {string} time - Occurrence start time
+ * @returns {string} RRULE value
+ */
+const buildRRule = (rule, time) => {
+  const parts = [`FREQ=${rule.frequency === 'weekly' ? 'WEEKLY' : 'MONTHLY'}`];
+
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+
+  if (rule.frequency === 'weekly') {
+    parts.push(`BYDAY=${rule.daysOfWeek.map(day => WEEKDAYS[day]).join(',')}`);
+    // Intervals are counted in weeks starting on Sunday
+    parts.push('WKST=SU');
+  } else if (rule.monthlyType === 'nth_weekday') {
+    parts.push(`BYDAY=${rule.weekOfMonth}${WEEKDAYS[rule.dayOfWeek]}`);
+  } else {
+    parts.push(`BYMONTHDAY=${rule.dayOfMonth}`);
+  }
+
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  } else if (rule.until) {
+    // UNTIL stays in UTC even with a local DTSTART (RFC 5545)
+    parts.push(`UNTIL=${formatUtc(combineDateAndTime(rule.until, time || '23:59'))}`);
+  }
+
+  return parts.join(';');
+};
+
+/**
+ * Build the lines of a VEVENT for a single event
+ * @param {Object} event - Event document
+ * @param {Object} options - uid, status, recurrenceId, localTime (TZID times, needed with RRULE days)
+ * @returns {string[]} Content lines
+ */
+const buildEventLines = (event, options = {}) => {
+  const start = getEventStartDate(event);
+  const end = getEventEndDate(event);
+  if (!start) return [];
+
+  const location = [event.location, event.address, event.city].filter(Boolean).join(', ');
+  const status = event.status === 'cancelled' ? 'CANCELLED' : (options.status || 'CONFIRMED');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${options.uid || `event-${event._id}@${UID_DOMAIN}`}`,
+    `DTSTAMP:${formatUtc(new Date())}`
+  ];
+
+  if (options.recurrenceId) {
+    lines.push(formatDateProperty('RECURRENCE-ID', options.recurrenceId, options.localTime));
+  }
+
+  lines.push(
+    formatDateProperty('DTSTART', start, options.localTime),
+    formatDateProperty('DTEND', end, options.localTime),
+    `SUMMARY:${escapeText(event.title)}`
+  );
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (event.coordinates && event.coordinates.lat != null && event.coordinates.lng != null) {
+    lines.push(`GEO:${event.coordinates.lat};${event.coordinates.lng}`);
+  }
+  if (event.organization) lines.push(`X-LEOCONNECT-ORGANIZATION:${escapeText(event.organization)}`);
+  if (event.eventType) lines.push(`CATEGORIES:${escapeText(event.eventType.toUpperCase())}`);
+  if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatUtc(event.updatedAt)}`);
+
+  lines.push(`STATUS:${status}`, 'END:VEVENT');
+
+  return lines;
+};
+
+/**
+ * Build the VEVENTs for a recurring series: a master event with RRULE/EXDATE
+ * plus overrides for occurrences edited on their own
+ * @param {Object} series - EventSeries document
+ * @param {Object[]} occurrences - Event documents of the series
+ * @returns {string[]} Content lines
+ */
+const buildSeriesLines = (series, occurrences) => {
+  const template = series.template || {};
+  const time = template.time;
+  const ruleDates = generateOccurrenceDates(series.recurrence, series.startDate);
+  if (ruleDates.length === 0 || !time) return [];
+
+  const ruleDays = new Set(ruleDates.map(date => getSriLankaDay(date)));
+  const uid = `series-${series._id}@${UID_DOMAIN}`;
+  const lines = [];
+  const exdates = [];
+  const overrides = [];
+
+  for (const occurrence of occurrences) {
+    const originalDay = getSriLankaDay(occurrence.originalDate || occurrence.date);
+
+    // Occurrences left over from an earlier rule are published on their own
+    if (!ruleDays.has(originalDay)) {
+      lines.push(...buildEventLines(occurrence));
+      continue;
+    }
+
+    const recurrenceId = combineDateAndTime(occurrence.originalDate || occurrence.date, time);
+
+    // Cancelled occurrences (including those of a cancelled series) are excluded from the rule
+    if (occurrence.status === 'cancelled') {
+      exdates.push(recurrenceId);
+    } else if (occurrence.isException) {
+      overrides.push(buildEventLines(occurrence, { uid, recurrenceId, localTime: true }));
+    }
+  }
+
+  const master = buildEventLines({
+    ...template,
+    _id: series._id,
+    title: series.title,
+    date: ruleDates[0],
+    status: 'upcoming',
+    updatedAt: series.updatedAt
+  }, { uid, localTime: true });
+
+  // Only the master carries the recurrence rule and exclusions
+  const insertAt = master.indexOf('END:VEVENT');
+  const ruleLines = [`RRULE:${buildRRule(series.recurrence, time)}`];
+  if (exdates.length > 0) {
+    ruleLines.push(`EXDATE;TZID=${TIMEZONE}:${exdates.map(formatLocal).join(',')}`);
+  }
+  master.splice(insertAt, 0, ...ruleLines);
+
+  return [...master, ...overrides.flat(), ...lines];
+};
+
+/**
+ * Build an iCalendar document
+ * @param {Object} options - name, events, seriesById (Map of EventSeries to collapse into RRULEs), statusFor
+ * @returns {string} iCalendar text
+ */
+const buildCalendar = ({ name, events = [], seriesById = new Map(), statusFor }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name || 'LeoConnect Events')}`,
+    'X-WR-TIMEZONE:Asia/Colombo',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+
+  const grouped = new Map();
+
+  for (const event of events) {
+    const seriesId = event.series && event.series.toString();
+
+    if (seriesId && seriesById.has(seriesId)) {
+      if (!grouped.has(seriesId)) grouped.set(seriesId, []);
+      grouped.get(seriesId).push(event);
+    } else {
+      lines.push(...buildEventLines(event, { status: statusFor ? statusFor(event) : null }));
+    }
+  }
+
+  // BYDAY/BYMONTHDAY are Sri Lanka days, so series are written in local time against this zone
+  if (grouped.size > 0) lines.push(...TIMEZONE_LINES);
+
+  for (const [seriesId, occurrences] of grouped) {
+    lines.push(...buildSeriesLines(seriesById.get(seriesId), occurrences));
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Send an iCalendar document as a response
+ * @param {Object} res - Express response
+ * @param {string} calendar - iCalendar text
+ * @param {string} filename - Download file name
+ */
+const sendCalendar = (res, calendar, filename) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.status(200).send(calendar);
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatUtc,
+  formatLocal,
+  buildRRule,
+  buildCalendar,
+  sendCalendar
+};
@@ -0,0 +1,37 @@
+// utils/membershipUtils.js
+
+/**
+ * Get the club and district a user's membership was verified for
+ * (user.club/user.district are self-edited from the profile and prove nothing)
+ * @param {Object} user - User document
+ * @returns {Object|null} { club, district } as strings, or null when not verified
+ */
+const getVerifiedMembership = (user) => {
+  const membership = user && user.membership;
+
+  if (!membership || !membership.verifiedAt || !membership.club) return null;
+
+  return {
+    club: membership.club.toString(),
+    district: membership.district ? membership.district.toString() : null
+  };
+};
+
+/**
+ * Check whether a user is a verified member of a club or district
+ * @param {Object} user - User document
+ * @param {string} scope - 'club' or 'district'
+ * @param {string} id - Club or district ID
+ * @returns {boolean} Whether the membership is verified for it
+ */
+const isVerifiedMemberOf = (user, scope, id) => {
+  const membership = getVerifiedMembership(user);
+  if (!membership || !membership[scope] || !id) return false;
+
+  return membership[scope] === (id._id || id).toString();
+};
+
+module.exports = {
+  getVerifiedMembership,
+  isVerifiedMemberOf
+};
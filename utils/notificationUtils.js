@@ -1,50 +1,164 @@
 // utils/notificationUtils.js
 const User = require('../models/User');
+const Notification = require('../models/Notification');
 const Expo = require('expo-server-sdk').default;
 
 // Initialize Expo SDK
 const expo = new Expo();
 
+// Notification type -> preference key that controls it
+const PREFERENCE_KEYS = {
+  new_post: 'newPosts',
+  new_event: 'newEvents',
+  event_reminder: 'eventReminders',
+  event_feedback: 'eventReminders',
+  cohost_invitation: 'newEvents',
+  service_hours_approved: 'serviceHours',
+  service_hours_rejected: 'serviceHours',
+  new_badge: 'badges',
+  mention: 'mentions',
+  new_poll: 'polls',
+  poll_results: 'polls',
+  election_nomination: 'polls',
+  election_results: 'polls'
+};
+
+const DEFAULT_PREFERENCES = {
+  newPosts: true,
+  newEvents: true,
+  eventReminders: true,
+  serviceHours: true,
+  badges: true,
+  mentions: true,
+  polls: true,
+  push: true,
+  email: false
+};
+
+/**
+ * Merge stored preferences with defaults
+ * @param {Object} user - User document
+ * @returns {Object} Notification preferences
+ */
+const resolvePreferences = (user) => {
+  const stored = user && user.notificationPreferences
+    ? (user.notificationPreferences.toObject ? user.notificationPreferences.toObject() : user.notificationPreferences)
+    : {};
+
+  return {
+    ...DEFAULT_PREFERENCES,
+    ...stored
+  };
+};
+
 /**
- * Send push notification to user
+ * Check if user wants push notifications of this type
+ * @param {Object} user - User document
+ * @param {string} type - Notification type
+ * @returns {boolean} Push allowed
+ */
+const isPushAllowed = (user, type) => {
+  const preferences = resolvePreferences(user);
+  if (!preferences.push) return false;
+
+  const key = PREFERENCE_KEYS[type];
+  return key ? preferences[key] !== false : true;
+};
+
+/**
+ * Get valid Expo push tokens registered for a user
+ * @param {Object} user - User document
+ * @returns {Array} Push tokens
+ */
+const getValidPushTokens = (user) => {
+  return (user.pushTokens || [])
+    .map(device => device.token)
+    .filter(token => Expo.isExpoPushToken(token));
+};
+
+/**
+ * Send messages in chunks and drop tokens Expo reports as unregistered
+ * @param {Array} messages - Expo push messages
+ * @returns {Promise<Object>} Push tickets and chunk errors
+ */
+const deliverMessages = async (messages) => {
+  // Send notifications in chunks (Expo limit: 100 messages per request)
+  const chunks = expo.chunkPushNotifications(messages);
+  const tickets = [];
+  const errors = [];
+
+  for (const chunk of chunks) {
+    try {
+      const ticketChunk = await expo.sendPushNotificationsAsync(chunk);
+      tickets.push(...ticketChunk);
+
+      // Tickets are returned in the same order as the messages
+      for (let i = 0; i < ticketChunk.length; i++) {
+        const ticket = ticketChunk[i];
+        if (ticket.status === 'error' && ticket.details && ticket.details.error === 'DeviceNotRegistered') {
+          await handleInvalidToken(chunk[i].to);
+        }
+      }
+    } catch (error) {
+      console.error('Error sending notification chunk:', error);
+      errors.push(error.message);
+    }
+  }
+
+  return { tickets, errors };
+};
+
+/**
+ * Build an Expo push message for a token
+ * @param {string} token - Expo push token
+ * @param {Object} notification - Notification object
+ * @returns {Object} Push message
+ */
+const buildMessage = (token, notification) => ({
+  to: token,
+  sound: 'default',
+  title: notification.title,
+  body: notification.body,
+  data: notification.data || {},
+  ...(notification.badge && { badge: notification.badge }),
+  ...(notification.channelId && { channelId: notification.channelId })
+});
+
+/**
+ * Send push notification to every registered device of a user
  * @param {string} userId - User ID
  * @param {Object} notification - Notification object
  * @returns {Promise<Object>} Send result
  */
 const sendPushNotification = async (userId, notification) => {
   try {
-    const user = await User.findById(userId);
-    if (!user || !user.expoPushToken) {
-      return { success: false, error: 'User or push token not found' };
+    const user = await User.findById(userId).select('pushTokens notificationPreferences');
+    if (!user) {
+      return { success: false, error: 'User not found' };
     }
 
-    const { expoPushToken } = user;
+    const type = notification.data && notification.data.type;
+    if (!isPushAllowed(user, type)) {
+      return { success: false, skipped: true, error: 'Push notifications disabled by user preferences' };
+    }
 
-    // Check that all push tokens appear to be valid Expo push tokens
-    if (!Expo.isExpoPushToken(expoPushToken)) {
-      console.error(`Push token ${expoPushToken} is not a valid Expo push token`);
-      return { success: false, error: 'Invalid push token' };
+    const tokens = getValidPushTokens(user);
+    if (tokens.length === 0) {
+      return { success: false, error: 'Push token not found' };
     }
 
-    // Construct the message
-    const message = {
-      to: expoPushToken,
-      sound: 'default',
-      title: notification.title,
-      body: notification.body,
-      data: notification.data || {},
-      ...(notification.badge && { badge: notification.badge }),
-      ...(notification.channelId && { channelId: notification.channelId })
-    };
+    const { tickets, errors } = await deliverMessages(tokens.map(token => buildMessage(token, notification)));
 
-    // Send the notification
-    const receipt = await expo.sendPushNotificationsAsync([message]);
-    
-    console.log(`📱 Push notification sent to user ${userId}:`, receipt);
+    if (tickets.length === 0 && errors.length > 0) {
+      return { success: false, retryable: true, error: errors[0] };
+    }
+
+    console.log(`📱 Push notification sent to ${tokens.length} device(s) of user ${userId}`);
 
     return {
       success: true,
-      receipt,
+      sentCount: tokens.length,
+      tickets,
       message: 'Notification sent successfully'
     };
 
@@ -52,6 +166,7 @@ const sendPushNotification = async (userId, notification) => {
     console.error('❌ Push notification error:', error);
     return {
       success: false,
+      retryable: true,
       error: error.message
     };
   }
@@ -65,44 +180,25 @@ const sendPushNotification = async (userId, notification) => {
  */
 const sendBulkPushNotifications = async (userIds, notification) => {
   try {
-    const users = await User.find({ _id: { $in: userIds } });
-    const validTokens = users
-      .filter(user => user.expoPushToken && Expo.isExpoPushToken(user.expoPushToken))
-      .map(user => user.expoPushToken);
+    const type = notification.data && notification.data.type;
+    const users = await User.find({ _id: { $in: userIds } }).select('pushTokens notificationPreferences');
+
+    const recipients = users.filter(user => isPushAllowed(user, type));
+    const validTokens = recipients.flatMap(user => getValidPushTokens(user));
 
     if (validTokens.length === 0) {
       return { success: false, error: 'No valid push tokens found' };
     }
 
-    // Create messages for all tokens
-    const messages = validTokens.map(token => ({
-      to: token,
-      sound: 'default',
-      title: notification.title,
-      body: notification.body,
-      data: notification.data || {}
-    }));
-
-    // Send notifications in chunks (Expo limit: 100 messages per request)
-    const chunks = expo.chunkPushNotifications(messages);
-    const tickets = [];
-
-    for (const chunk of chunks) {
-      try {
-        const ticketChunk = await expo.sendPushNotificationsAsync(chunk);
-        tickets.push(...ticketChunk);
-      } catch (error) {
-        console.error('Error sending notification chunk:', error);
-      }
-    }
+    const { tickets } = await deliverMessages(validTokens.map(token => buildMessage(token, notification)));
 
-    console.log(`📱 Bulk push notifications sent to ${validTokens.length} users`);
+    console.log(`📱 Bulk push notifications sent to ${validTokens.length} devices`);
 
     return {
       success: true,
       sentCount: validTokens.length,
       tickets,
-      message: `Notifications sent to ${validTokens.length} users`
+      message: `Notifications sent to ${validTokens.length} devices`
     };
 
   } catch (error) {
@@ -116,8 +212,8 @@ const sendBulkPushNotifications = async (userIds, notification) => {
 
 /**
  * Send notification to users in specific club/district
- * @param {string} club - Club name
- * @param {string} district - District name
+ * @param {string} club - Club ID
+ * @param {string} district - District ID
  * @param {Object} notification - Notification object
  * @returns {Promise<Object>} Send results
  */
@@ -127,8 +223,8 @@ const sendNotificationToClub = async (club, district, notification) => {
       club,
       district,
       isActive: true,
-      expoPushToken: { $exists: true, $ne: null }
-    });
+      'pushTokens.0': { $exists: true }
+    }).select('_id');
 
     const userIds = users.map(user => user._id);
     return await sendBulkPushNotifications(userIds, notification);
@@ -174,9 +270,9 @@ const handleNotificationReceipts = async (receiptIds) => {
         
         // Handle specific errors
         if (status === 'error') {
-          if (message === 'DeviceNotRegistered') {
+          if (details && details.error === 'DeviceNotRegistered' && details.expoPushToken) {
             // Remove the push token from database
-            await handleInvalidToken(receiptId);
+            await handleInvalidToken(details.expoPushToken);
           }
         }
       }
@@ -198,17 +294,20 @@ const handleNotificationReceipts = async (receiptIds) => {
   }
 };
 
+// Log only the start of a token; the full value is enough to push to that device
+const maskToken = (token) => `${String(token).slice(0, 24)}…`;
+
 /**
- * Handle invalid push token (remove from user)
- * @param {string} receiptId - Receipt ID (push token)
+ * Handle invalid push token (remove from every user that registered it)
+ * @param {string} token - Expo push token
  */
-const handleInvalidToken = async (receiptId) => {
+const handleInvalidToken = async (token) => {
   try {
-    await User.updateOne(
-      { expoPushToken: receiptId },
-      { $unset: { expoPushToken: 1 } }
+    await User.updateMany(
+      { 'pushTokens.token': token },
+      { $pull: { pushTokens: { token } } }
     );
-    console.log(`🗑️ Removed invalid push token: ${receiptId}`);
+    console.log(`🗑️ Removed invalid push token: ${maskToken(token)}`);
   } catch (error) {
     console.error('Error removing invalid token:', error);
   }
@@ -266,6 +365,77 @@ const createNotification = (type, data) => {
         }
       };
 
+    case 'event_updated':
+      return {
+        ...baseNotification,
+        title: 'Event Updated',
+        body: `${data.eventTitle} has been updated. Please check the new details.`,
+        data: {
+          ...baseNotification.data,
+          screen: 'EventDetail',
+          eventId: data.eventId
+        }
+      };
+
+    case 'event_cancelled':
+      return {
+        ...baseNotification,
+        title: 'Event Cancelled',
+        body: `${data.eventTitle} has been cancelled${data.reason ? `: ${data.reason}` : ''}`,
+        data: {
+          ...baseNotification.data,
+          screen: 'Events'
+        }
+      };
+
+    case 'event_feedback':
+      return {
+        ...baseNotification,
+        title: 'How was the event?',
+        body: `Thanks for attending ${data.eventTitle}! Tell us how it went.`,
+        data: {
+          ...baseNotification.data,
+          screen: 'EventFeedback',
+          eventId: data.eventId
+        }
+      };
+
+    case 'cohost_invitation':
+      return {
+        ...baseNotification,
+        title: 'Co-host Invitation',
+        body: `${data.hostClubName || 'A club'} invited ${data.clubName} to co-host ${data.eventTitle}`,
+        data: {
+          ...baseNotification.data,
+          screen: 'EventDetail',
+          eventId: data.eventId
+        }
+      };
+
+    case 'waitlist_offer':
+      return {
+        ...baseNotification,
+        title: 'A Spot Opened Up',
+        body: `A spot is available for ${data.eventTitle}. Confirm by ${data.expiresAt} to keep it.`,
+        data: {
+          ...baseNotification.data,
+          screen: 'EventDetail',
+          eventId: data.eventId
+        }
+      };
+
+    case 'certificate_issued':
+      return {
+        ...baseNotification,
+        title: 'Certificate Issued',
+        body: `Your certificate for ${data.eventTitle} is ready to download`,
+        data: {
+          ...baseNotification.data,
+          screen: 'EventDetail',
+          eventId: data.eventId
+        }
+      };
+
     case 'service_hours_approved':
       return {
         ...baseNotification,
@@ -277,6 +447,17 @@ const createNotification = (type, data) => {
         }
       };
 
+    case 'service_hours_rejected':
+      return {
+        ...baseNotification,
+        title: 'Service Hours Not Approved',
+        body: `Your ${data.hours} service hours for ${data.projectName} were not approved${data.reason ? `: ${data.reason}` : ''}`,
+        data: {
+          ...baseNotification.data,
+          screen: 'ServiceHours'
+        }
+      };
+
     case 'new_badge':
       return {
         ...baseNotification,
@@ -312,6 +493,42 @@ const createNotification = (type, data) => {
         }
       };
 
+    case 'poll_results':
+      return {
+        ...baseNotification,
+        title: 'Poll Results',
+        body: `Results are out for: ${data.pollQuestion}`,
+        data: {
+          ...baseNotification.data,
+          screen: 'PollDetail',
+          pollId: data.pollId
+        }
+      };
+
+    case 'election_nomination':
+      return {
+        ...baseNotification,
+        title: 'Election Nomination',
+        body: `${data.nominatorName || 'A member'} nominated you for ${data.positionTitle} in ${data.electionTitle}`,
+        data: {
+          ...baseNotification.data,
+          screen: 'ElectionDetail',
+          electionId: data.electionId
+        }
+      };
+
+    case 'election_results':
+      return {
+        ...baseNotification,
+        title: 'Election Results',
+        body: `Results of ${data.electionTitle} have been certified`,
+        data: {
+          ...baseNotification.data,
+          screen: 'ElectionDetail',
+          electionId: data.electionId
+        }
+      };
+
     default:
       return {
         ...baseNotification,
@@ -327,20 +544,21 @@ const createNotification = (type, data) => {
  * @param {string} userId - User ID
  * @param {Object} notification - Notification object
  * @param {Date} deliverAt - When to deliver
+ * @param {Object} options - Optional reference ({ kind, id }) and maxAttempts
  * @returns {Promise<Object>} Scheduling result
  */
-const scheduleNotification = async (userId, notification, deliverAt) => {
+const scheduleNotification = async (userId, notification, deliverAt, options = {}) => {
   try {
-    // In a real implementation, you'd use a job queue like Bull or Agenda
-    // For now, we'll store it in the database and have a separate worker process it
-    
+    // Stored in the database and delivered by the in-process worker (jobs/notificationWorker.js)
     const ScheduledNotification = require('../models/ScheduledNotification');
     
     const scheduledNotif = await ScheduledNotification.create({
       user: userId,
       notification,
       deliverAt,
-      status: 'scheduled'
+      status: 'scheduled',
+      ...(options.reference && { reference: options.reference }),
+      ...(options.maxAttempts && { maxAttempts: options.maxAttempts })
     });
 
     console.log(`⏰ Notification scheduled for ${deliverAt}:`, scheduledNotif._id);
@@ -361,30 +579,153 @@ const scheduleNotification = async (userId, notification, deliverAt) => {
 };
 
 /**
- * Get user notification preferences
+ * Cancel a scheduled notification that has not gone out yet
+ * @param {string} scheduledId - Scheduled notification ID
+ * @returns {Promise<Object>} Cancellation result
+ */
+const cancelScheduledNotification = async (scheduledId) => {
+  try {
+    const ScheduledNotification = require('../models/ScheduledNotification');
+
+    const scheduledNotif = await ScheduledNotification.findOneAndUpdate(
+      { _id: scheduledId, status: 'scheduled' },
+      { status: 'cancelled', cancelledAt: new Date() },
+      { new: true }
+    );
+
+    if (!scheduledNotif) {
+      return { success: false, error: 'Scheduled notification not found or already processed' };
+    }
+
+    return {
+      success: true,
+      message: 'Scheduled notification cancelled'
+    };
+
+  } catch (error) {
+    console.error('❌ Cancel scheduled notification error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Store in-app notifications for a set of users
+ * @param {Array} userIds - Array of user IDs
+ * @param {Object} notification - Formatted notification
+ * @returns {Promise<Array>} Created notification documents
+ */
+const storeNotifications = (userIds, notification) => {
+  const data = notification.data || {};
+  const type = Notification.schema.path('type').enumValues.includes(data.type)
+    ? data.type
+    : 'general';
+
+  return Notification.insertMany(userIds.map(userId => ({
+    user: userId,
+    type,
+    title: notification.title,
+    body: notification.body,
+    data
+  })));
+};
+
+/**
+ * Store an in-app notification and send it as a push notification
  * @param {string} userId - User ID
- * @returns {Promise<Object>} Notification preferences
+ * @param {string} type - Notification type
+ * @param {Object} data - Notification data
+ * @returns {Promise<Object>} Delivery result
  */
-const getUserNotificationPreferences = async (userId) => {
+const notifyUser = async (userId, type, data) => {
   try {
-    const user = await User.findById(userId).select('notificationPreferences');
-    
-    const defaultPreferences = {
-      newPosts: true,
-      newEvents: true,
-      eventReminders: true,
-      serviceHours: true,
-      badges: true,
-      mentions: true,
-      polls: true,
-      push: true,
-      email: false
+    const notification = createNotification(type, data);
+    const [record] = await storeNotifications([userId], notification);
+    const push = await sendPushNotification(userId, notification);
+
+    return {
+      success: true,
+      notificationId: record._id,
+      push
+    };
+
+  } catch (error) {
+    console.error('❌ Notify user error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Store in-app notifications for multiple users and push them in bulk
+ * @param {Array} userIds - Array of user IDs
+ * @param {string} type - Notification type
+ * @param {Object} data - Notification data
+ * @returns {Promise<Object>} Delivery result
+ */
+const notifyUsers = async (userIds, type, data) => {
+  try {
+    if (!userIds || userIds.length === 0) {
+      return { success: true, createdCount: 0 };
+    }
+
+    const notification = createNotification(type, data);
+    const records = await storeNotifications(userIds, notification);
+    const push = await sendBulkPushNotifications(userIds, notification);
+
+    return {
+      success: true,
+      createdCount: records.length,
+      push
+    };
+
+  } catch (error) {
+    console.error('❌ Notify users error:', error);
+    return {
+      success: false,
+      error: error.message
     };
+  }
+};
 
+/**
+ * Notify all active members of a club
+ * @param {string} clubId - Club ID
+ * @param {string} type - Notification type
+ * @param {Object} data - Notification data
+ * @param {string} excludeUserId - User to skip (usually the author)
+ * @returns {Promise<Object>} Delivery result
+ */
+const notifyClubMembers = async (clubId, type, data, excludeUserId = null) => {
+  try {
+    const filter = { club: clubId, isActive: true };
+    if (excludeUserId) filter._id = { $ne: excludeUserId };
+
+    const members = await User.find(filter).select('_id');
+    return await notifyUsers(members.map(member => member._id), type, data);
+
+  } catch (error) {
+    console.error('❌ Notify club members error:', error);
     return {
-      ...defaultPreferences,
-      ...(user.notificationPreferences || {})
+      success: false,
+      error: error.message
     };
+  }
+};
+
+/**
+ * Get user notification preferences
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Notification preferences
+ */
+const getUserNotificationPreferences = async (userId) => {
+  try {
+    const user = await User.findById(userId).select('notificationPreferences');
+    return resolvePreferences(user);
 
   } catch (error) {
     console.error('❌ Get notification preferences error:', error);
@@ -400,5 +741,11 @@ module.exports = {
   handleInvalidToken,
   createNotification,
   scheduleNotification,
-  getUserNotificationPreferences
+  cancelScheduledNotification,
+  storeNotifications,
+  notifyUser,
+  notifyUsers,
+  notifyClubMembers,
+  getUserNotificationPreferences,
+  DEFAULT_PREFERENCES
 };
\ No newline at end of file
@@ -0,0 +1,242 @@
+// utils/paymentUtils.js
+const crypto = require('crypto');
+const Event = require('../models/Event');
+const Payment = require('../models/Payment');
+const EventRegistration = require('../models/EventRegistration');
+const ScheduledNotification = require('../models/ScheduledNotification');
+const { getPaymentProvider } = require('./payments');
+const { notifyUser } = require('./notificationUtils');
+const { getEventStartDate } = require('./eventUtils');
+const { getLimitedSelections } = require('./registrationFormUtils');
+const { releaseSeat } = require('./waitlistUtils');
+
+const PAYMENT_HOLD_HOURS = parseInt(process.env.PAYMENT_HOLD_HOURS, 10) || 24;
+const BATCH_SIZE = 50;
+
+/**
+ * Generate a receipt number (e.g. RCPT-2025-4F9A2C1B)
+ * @returns {string} Receipt number
+ */
+const generateReceiptNumber = () => {
+  return `RCPT-${new Date().getFullYear()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+};
+
+/**
+ * Get how long an unpaid registration keeps its seat (never past the start of the event)
+ * @param {Object} event - Event document
+ * @param {Date} now - Current time
+ * @returns {Date} Payment deadline
+ */
+const getPaymentDeadline = (event, now = new Date()) => {
+  const deadline = new Date(now.getTime() + PAYMENT_HOLD_HOURS * 60 * 60 * 1000);
+  const start = getEventStartDate(event);
+
+  return start && start > now && start < deadline ? start : deadline;
+};
+
+/**
+ * Refund a paid payment in full and mark its registration refunded
+ * @param {Object} payment - Payment document
+ * @param {string} reason - Reason shown on the refund
+ * @returns {Promise<Object>} Refund result
+ */
+const refundPayment = async (payment, reason) => {
+  const amount = payment.amount - payment.refundedAmount;
+  if (payment.status !== 'paid' || amount <= 0) {
+    return { success: false, error: 'Payment is not refundable' };
+  }
+
+  const provider = getPaymentProvider(payment.provider);
+  if (!provider) {
+    payment.refunds.push({ amount, reason, status: 'failed', error: 'Payment provider unavailable' });
+    await payment.save();
+    return { success: false, error: 'Payment provider unavailable' };
+  }
+
+  try {
+    const result = await provider.refund({ payment, amount, reason });
+
+    payment.refunds.push({ refundId: result.refundId, amount, reason, status: result.status });
+
+    if (result.status === 'succeeded') {
+      payment.refundedAmount += amount;
+      payment.status = 'refunded';
+
+      // A duplicate payment's refund leaves the registration paid by the other one
+      await EventRegistration.updateOne(
+        { _id: payment.registration, paymentId: { $in: [payment._id.toString(), null] } },
+        { paymentStatus: 'refunded', updatedAt: new Date() }
+      );
+
+      await notifyUser(payment.user, 'general', {
+        title: 'Refund Issued',
+        body: `${payment.currency} ${amount.toFixed(2)} has been refunded${reason ? `: ${reason}` : ''}`,
+        screen: 'Payments'
+      });
+    }
+
+    await payment.save();
+    return { success: result.status === 'succeeded', refundId: result.refundId, status: result.status };
+
+  } catch (error) {
+    console.error(`❌ Refund failed for payment ${payment._id}:`, error);
+    payment.refunds.push({ amount, reason, status: 'failed', error: error.message });
+    await payment.save();
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Refund the paid payment of a registration, if there is one
+ * @param {Object} registration - EventRegistration document
+ * @param {string} reason - Reason shown on the refund
+ * @returns {Promise<Object|null>} Refund result, or null if nothing was paid
+ */
+const refundRegistrationPayment = async (registration, reason) => {
+  const payment = await Payment.findOne({ registration: registration._id, status: 'paid' });
+  if (!payment) return null;
+
+  return refundPayment(payment, reason);
+};
+
+/**
+ * Apply a verified webhook event to its payment (safe to call more than once)
+ * @param {string} providerName - Provider that sent the event
+ * @param {Object} webhookEvent - Normalized event from provider.parseWebhook
+ * @returns {Promise<Object>} Outcome
+ */
+const applyPaymentEvent = async (providerName, webhookEvent) => {
+  // Record the event ID atomically so concurrent deliveries are applied once
+  const payment = await Payment.findOneAndUpdate(
+    {
+      provider: providerName,
+      sessionId: webhookEvent.sessionId,
+      processedEvents: { $ne: webhookEvent.id }
+    },
+    { $push: { processedEvents: webhookEvent.id } },
+    { new: true }
+  );
+
+  if (!payment) {
+    const exists = await Payment.exists({ provider: providerName, sessionId: webhookEvent.sessionId });
+    return { applied: false, reason: exists ? 'duplicate' : 'unknown_session' };
+  }
+
+  if (webhookEvent.type === 'payment.failed') {
+    if (payment.status === 'pending') {
+      payment.status = 'failed';
+      payment.failureReason = webhookEvent.reason;
+      await payment.save();
+    }
+    return { applied: true, status: payment.status };
+  }
+
+  if (webhookEvent.type !== 'payment.succeeded' || payment.status === 'paid' || payment.status === 'refunded') {
+    return { applied: false, reason: 'ignored' };
+  }
+
+  if (Number(webhookEvent.amount) !== payment.amount || webhookEvent.currency !== payment.currency) {
+    payment.status = 'failed';
+    payment.failureReason = `Amount mismatch: expected ${payment.currency} ${payment.amount}`;
+    await payment.save();
+    return { applied: true, status: payment.status };
+  }
+
+  payment.status = 'paid';
+  payment.providerPaymentId = webhookEvent.providerPaymentId;
+  payment.paidAt = new Date();
+  payment.receiptNumber = generateReceiptNumber();
+  await payment.save();
+
+  const registration = await EventRegistration.findOneAndUpdate(
+    { _id: payment.registration, status: { $ne: 'cancelled' }, paymentStatus: { $ne: 'paid' } },
+    {
+      paymentStatus: 'paid',
+      paymentId: payment._id.toString(),
+      amountPaid: payment.amount,
+      updatedAt: new Date()
+    },
+    { new: true }
+  );
+
+  // Paid after the registration was cancelled, or through a second (e.g. expired) session: give the money back
+  if (!registration) {
+    const alreadyPaid = await EventRegistration.exists({
+      _id: payment.registration,
+      status: { $ne: 'cancelled' },
+      paymentStatus: 'paid'
+    });
+
+    await refundPayment(payment, alreadyPaid
+      ? 'Registration was already paid'
+      : 'Registration was cancelled before payment completed');
+    return { applied: true, status: 'refunded' };
+  }
+
+  await notifyUser(payment.user, 'general', {
+    title: 'Payment Received',
+    body: `Payment of ${payment.currency} ${payment.amount.toFixed(2)} received. Receipt ${payment.receiptNumber}`,
+    screen: 'Payments'
+  });
+
+  return { applied: true, status: payment.status };
+};
+
+/**
+ * Cancel registrations left unpaid past their deadline and pass the seats on
+ * @returns {Promise<number>} Number of registrations expired
+ */
+const expireUnpaidRegistrations = async () => {
+  const now = new Date();
+  const registrations = await EventRegistration.find({
+    status: 'registered',
+    paymentStatus: 'pending',
+    paymentExpiresAt: { $lte: now }
+  })
+    .select('_id event user formAnswers')
+    .sort({ paymentExpiresAt: 1 })
+    .limit(BATCH_SIZE);
+
+  let expired = 0;
+
+  for (const registration of registrations) {
+    // A payment completing after this is refunded by applyPaymentEvent
+    const cancelled = await EventRegistration.findOneAndUpdate(
+      { _id: registration._id, status: 'registered', paymentStatus: 'pending', paymentExpiresAt: { $lte: now } },
+      {
+        $set: { status: 'cancelled', paymentStatus: 'cancelled', cancelledAt: now, updatedAt: now },
+        $unset: { paymentExpiresAt: 1 }
+      }
+    );
+    if (!cancelled) continue;
+
+    expired++;
+
+    await ScheduledNotification.cancelByReference('EventRegistration', registration._id);
+    await Payment.updateMany({ registration: registration._id, status: 'pending' }, { status: 'expired' });
+
+    const event = await Event.findById(registration.event);
+    if (!event) continue;
+
+    await Event.releaseChoices(event._id, getLimitedSelections(event.registrationForm, registration.formAnswers));
+    await releaseSeat(event, registration.user);
+
+    await notifyUser(registration.user, 'general', {
+      title: 'Registration Expired',
+      body: `Your registration for ${event.title} was cancelled because payment was not completed in time`,
+      screen: 'EventDetail',
+      eventId: event._id.toString()
+    });
+  }
+
+  return expired;
+};
+
+module.exports = {
+  getPaymentDeadline,
+  expireUnpaidRegistrations,
+  generateReceiptNumber,
+  refundPayment,
+  refundRegistrationPayment,
+  applyPaymentEvent
+};
@@ -0,0 +1,22 @@
+// utils/payments/index.js
+const sandboxProvider = require('./sandboxProvider');
+
+// Each provider implements: name, isEnabled(), createCheckoutSession(), parseWebhook() and refund().
+// Register new gateways (PayHere, Stripe, ...) here.
+const providers = {
+  [sandboxProvider.name]: sandboxProvider
+};
+
+/**
+ * Get an enabled payment provider
+ * @param {string} name - Provider name (defaults to PAYMENT_PROVIDER; none when unset)
+ * @returns {Object|null} Provider, or null if unknown, unset or disabled
+ */
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  const provider = providers[name];
+  return provider && provider.isEnabled() ? provider : null;
+};
+
+module.exports = {
+  getPaymentProvider
+};
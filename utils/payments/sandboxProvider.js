@@ -0,0 +1,140 @@
+// utils/payments/sandboxProvider.js
+const crypto = require('crypto');
+const { getSecret } = require('../../config/secrets');
+
+// Local provider for development and testing: no money moves, but checkout
+// sessions, signed webhooks and refunds behave like a real gateway.
+const SIGNATURE_HEADER = 'x-sandbox-signature';
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const SESSION_TTL_MINUTES = 30;
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const sign = (timestamp, body) => {
+  return crypto.createHmac('sha256', getSecret('PAYMENT_SANDBOX_SECRET')).update(`${timestamp}.${body}`).digest('hex');
+};
+
+/**
+ * Whether the sandbox may be used (only when explicitly enabled, in any environment)
+ * @returns {boolean} True if enabled
+ */
+const isEnabled = () => process.env.PAYMENT_SANDBOX_ENABLED === 'true';
+
+/**
+ * Create a checkout session
+ * @param {Object} options - amount, currency, baseUrl
+ * @returns {Promise<Object>} sessionId, checkoutUrl, expiresAt
+ */
+const createCheckoutSession = async ({ baseUrl }) => {
+  const sessionId = randomId('sbx_cs');
+
+  return {
+    sessionId,
+    checkoutUrl: `${baseUrl}/api/payments/sandbox/checkout/${sessionId}`,
+    expiresAt: new Date(Date.now() + SESSION_TTL_MINUTES * 60 * 1000)
+  };
+};
+
+/**
+ * Build a signed webhook for a sandbox checkout outcome (what the gateway would send)
+ * @param {Object} options - sessionId, outcome (success/failure), amount, currency
+ * @returns {Object} Raw body and headers
+ */
+const buildWebhook = ({ sessionId, outcome, amount, currency }) => {
+  const succeeded = outcome === 'success';
+  const body = JSON.stringify({
+    id: randomId('sbx_evt'),
+    type: succeeded ? 'checkout.completed' : 'checkout.failed',
+    created: Math.floor(Date.now() / 1000),
+    data: {
+      sessionId,
+      paymentId: succeeded ? randomId('sbx_pay') : undefined,
+      amount,
+      currency,
+      reason: succeeded ? undefined : 'Card declined (sandbox)'
+    }
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  return {
+    rawBody: Buffer.from(body),
+    headers: { [SIGNATURE_HEADER]: `t=${timestamp},v1=${sign(timestamp, body)}` }
+  };
+};
+
+/**
+ * Verify a webhook signature and normalize its payload
+ * @param {Buffer} rawBody - Raw request body
+ * @param {Object} headers - Request headers
+ * @returns {Object} { event } on success, { error } otherwise
+ */
+const parseWebhook = (rawBody, headers) => {
+  const header = headers[SIGNATURE_HEADER];
+  if (!rawBody || !header) {
+    return { error: 'Missing signature' };
+  }
+
+  const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+  const timestamp = Number(parts.t);
+  const body = rawBody.toString('utf8');
+
+  if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    return { error: 'Signature timestamp outside tolerance' };
+  }
+
+  const expected = Buffer.from(sign(timestamp, body));
+  const received = Buffer.from(parts.v1 || '');
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { error: 'Invalid signature' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(body);
+  } catch (error) {
+    return { error: 'Malformed payload' };
+  }
+
+  const types = {
+    'checkout.completed': 'payment.succeeded',
+    'checkout.failed': 'payment.failed'
+  };
+
+  return {
+    event: {
+      id: payload.id,
+      type: types[payload.type] || payload.type,
+      sessionId: payload.data.sessionId,
+      providerPaymentId: payload.data.paymentId,
+      amount: payload.data.amount,
+      currency: payload.data.currency,
+      reason: payload.data.reason
+    }
+  };
+};
+
+/**
+ * Refund a captured payment
+ * @param {Object} options - payment, amount, reason
+ * @returns {Promise<Object>} refundId and status
+ */
+const refund = async ({ payment }) => {
+  if (!payment.providerPaymentId) {
+    throw new Error('Payment has not been captured');
+  }
+
+  return {
+    refundId: randomId('sbx_re'),
+    status: 'succeeded'
+  };
+};
+
+module.exports = {
+  name: 'sandbox',
+  isEnabled,
+  createCheckoutSession,
+  buildWebhook,
+  parseWebhook,
+  refund
+};
@@ -0,0 +1,85 @@
+// utils/pollNotificationUtils.js
+const Poll = require('../models/Poll');
+const User = require('../models/User');
+const { notifyClubMembers, notifyUsers } = require('./notificationUtils');
+const { getPollAudienceScope } = require('./pollUtils');
+
+/**
+ * Notify a poll's audience; polls open to all members go to the creator's club
+ * @param {Object} poll - Poll document
+ * @param {string} type - Notification type
+ * @param {string} excludeUserId - User left out (usually whoever triggered it)
+ * @returns {Promise<Object|null>} notifyUsers result
+ */
+const notifyPollAudience = async (poll, type, excludeUserId) => {
+  const data = {
+    pollQuestion: poll.question,
+    pollId: poll._id.toString()
+  };
+  const scope = getPollAudienceScope(poll);
+
+  if (scope === 'all') {
+    if (poll.club) return notifyClubMembers(poll.club, type, data, excludeUserId);
+    return null;
+  }
+
+  const filter = { isActive: true, _id: { $ne: excludeUserId } };
+
+  // Same verified membership the audience check uses
+  if (scope === 'club') {
+    filter['membership.club'] = poll.club;
+    filter['membership.verifiedAt'] = { $ne: null };
+  } else if (scope === 'district') {
+    filter['membership.district'] = poll.district;
+    filter['membership.verifiedAt'] = { $ne: null };
+  } else {
+    filter.$or = [
+      { role: { $in: poll.audience.roles } },
+      { _id: { $in: poll.audience.members } }
+    ];
+  }
+
+  const members = await User.find(filter).distinct('_id');
+  return notifyUsers(members, type, data);
+};
+
+/**
+ * Release a poll's results to everyone and tell its participants (once per poll)
+ * @param {Object} poll - Poll document
+ * @param {string} releasedBy - User releasing them, or null when the poll closed
+ * @returns {Promise<Object|null>} Updated poll, or null if results were already released
+ */
+const releasePollResults = async (poll, releasedBy = null) => {
+  const released = await Poll.findOneAndUpdate(
+    { _id: poll._id, resultsReleasedAt: null },
+    { $set: { resultsReleasedAt: new Date(), resultsReleasedBy: releasedBy } },
+    { new: true }
+  );
+
+  if (!released) return null;
+
+  try {
+    // Anonymous polls do not record voters, so their whole audience hears about it
+    if (released.isAnonymous) {
+      await notifyPollAudience(released, 'poll_results', releasedBy);
+    } else {
+      const participants = released.votes
+        .map(vote => vote.user)
+        .filter(userId => userId && (!releasedBy || userId.toString() !== releasedBy.toString()));
+
+      await notifyUsers(participants, 'poll_results', {
+        pollQuestion: released.question,
+        pollId: released._id.toString()
+      });
+    }
+  } catch (error) {
+    console.error('❌ Poll results notification error:', error);
+  }
+
+  return released;
+};
+
+module.exports = {
+  notifyPollAudience,
+  releasePollResults
+};
@@ -0,0 +1,482 @@
+// utils/pollUtils.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { getVerifiedMembership, isVerifiedMemberOf } = require('./membershipUtils');
+const { getSecret } = require('../config/secrets');
+
+const AUDIENCE_SCOPES = ['club', 'district', 'all', 'custom'];
+const AUDIENCE_ROLES = ['leo_member', 'webmaster', 'super_admin'];
+const MAX_AUDIENCE_MEMBERS = 500;
+const MAX_MEMBERSHIP_DAYS = 3650;
+const RESULTS_VISIBILITY = ['always', 'after_vote', 'after_close', 'manual'];
+const RESULTS_MANAGER_ROLES = ['webmaster', 'super_admin'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+/**
+ * Hash standing in for the voter on an anonymous poll or election ballot (not reversible without the secret)
+ * @param {string} pollId - Poll or election ID
+ * @param {string} userId - User ID
+ * @returns {string} Voter hash
+ */
+const getVoterHash = (pollId, userId) => {
+  const secret = getSecret('POLL_HASH_SECRET');
+  return crypto.createHmac('sha256', secret).update(`${pollId}:${userId}`).digest('hex');
+};
+
+/**
+ * Get the vote field identifying a voter: the user on open polls, a hash on anonymous ones
+ * @param {Object} poll - Poll document
+ * @param {string} userId - User ID
+ * @returns {Object} { user } or { voterHash }
+ */
+const getVoterIdentity = (poll, userId) => {
+  return poll.isAnonymous
+    ? { voterHash: getVoterHash(poll._id, userId) }
+    : { user: userId };
+};
+
+/**
+ * Find a user's vote on a poll
+ * @param {Object} poll - Poll document with votes
+ * @param {string} userId - User ID
+ * @returns {Object|undefined} Vote subdocument
+ */
+const findUserVote = (poll, userId) => {
+  if (poll.isAnonymous) {
+    const voterHash = getVoterHash(poll._id, userId);
+    return poll.votes.find(vote => vote.voterHash === voterHash);
+  }
+
+  return poll.votes.find(vote => {
+    if (!vote.user) return false;
+    return (vote.user._id || vote.user).toString() === userId.toString();
+  });
+};
+
+/**
+ * Get the option indexes chosen in a vote (handles single-choice votes cast before multi-select)
+ * @param {Object} vote - Poll vote subdocument
+ * @returns {number[]} Option indexes
+ */
+const getVoteSelections = (vote) => {
+  if (vote.optionIndexes && vote.optionIndexes.length > 0) return [...vote.optionIndexes];
+  return Number.isInteger(vote.optionIndex) ? [vote.optionIndex] : [];
+};
+
+/**
+ * Get how many options a voter must and may tick
+ * @param {Object} poll - Poll document
+ * @returns {Object} { min, max }
+ */
+const getSelectionLimits = (poll) => {
+  if (!poll.allowMultiple) return { min: 1, max: 1 };
+
+  const optionCount = poll.options.length;
+  return {
+    min: Math.min(poll.minSelections || 1, optionCount),
+    max: Math.min(poll.maxSelections || optionCount, optionCount)
+  };
+};
+
+/**
+ * Validate multi-select settings of a poll
+ * @param {Object} input - { allowMultiple, minSelections, maxSelections }
+ * @param {number} optionCount - Number of poll options
+ * @returns {Object} { rules } or { error } (maxSelections is null when every option may be ticked)
+ */
+const normalizeSelectionRules = ({ allowMultiple, minSelections, maxSelections }, optionCount) => {
+  if (!allowMultiple) {
+    return { rules: { allowMultiple: false, minSelections: 1, maxSelections: null } };
+  }
+
+  // Without maxSelections voters may tick every option, even if options are edited later
+  const hasMax = maxSelections !== undefined && maxSelections !== null;
+  const min = minSelections === undefined || minSelections === null ? 1 : Number(minSelections);
+  const max = hasMax ? Number(maxSelections) : optionCount;
+
+  if (!Number.isInteger(min) || min < 1 || min > optionCount) {
+    return { error: `minSelections must be a whole number between 1 and ${optionCount}` };
+  }
+
+  if (!Number.isInteger(max) || max < 1 || max > optionCount) {
+    return { error: `maxSelections must be a whole number between 1 and ${optionCount}` };
+  }
+
+  if (min > max) {
+    return { error: 'minSelections cannot be more than maxSelections' };
+  }
+
+  return { rules: { allowMultiple: true, minSelections: min, maxSelections: hasMax ? max : null } };
+};
+
+/**
+ * Validate a voter's selection against the poll's options and limits
+ * @param {Object} poll - Poll document
+ * @param {number|number[]} input - Option index or indexes
+ * @returns {Object} { optionIndexes } or { error }
+ */
+const normalizeVoteSelection = (poll, input) => {
+  const values = Array.isArray(input) ? input : [input];
+  const optionIndexes = [];
+
+  for (const value of values) {
+    const index = Number(value);
+
+    if (value === null || value === '' || !Number.isInteger(index) || index < 0 || index >= poll.options.length) {
+      return { error: 'Invalid option' };
+    }
+
+    if (optionIndexes.includes(index)) {
+      return { error: 'Each option can only be selected once' };
+    }
+
+    optionIndexes.push(index);
+  }
+
+  const { min, max } = getSelectionLimits(poll);
+
+  if (optionIndexes.length < min || optionIndexes.length > max) {
+    return {
+      error: min === max
+        ? `Select ${min} option${min === 1 ? '' : 's'}`
+        : `Select between ${min} and ${max} options`
+    };
+  }
+
+  return { optionIndexes: optionIndexes.sort((a, b) => a - b) };
+};
+
+/**
+ * Count how many voters ticked each option
+ * @param {Object[]} votes - Poll votes
+ * @param {number} optionCount - Number of poll options
+ * @returns {number[]} Count per option index
+ */
+const countOptionVotes = (votes, optionCount) => {
+  const counts = new Array(optionCount).fill(0);
+
+  votes.forEach(vote => {
+    getVoteSelections(vote).forEach(index => {
+      if (index < optionCount) counts[index]++;
+    });
+  });
+
+  return counts;
+};
+
+/**
+ * Build per-option results as a share of voters and a share of all ticks
+ * @param {Object} poll - Poll document with votes
+ * @returns {Object} { totalVoters, totalSelections, results }
+ */
+const buildPollResults = (poll) => {
+  const counts = countOptionVotes(poll.votes, poll.options.length);
+  const totalVoters = poll.votes.length;
+  const totalSelections = counts.reduce((sum, count) => sum + count, 0);
+
+  const results = poll.options.map((option, index) => ({
+    index,
+    text: option.text,
+    votes: counts[index],
+    // In multi-select polls these add up to more than 100
+    voterPercentage: totalVoters > 0 ? (counts[index] / totalVoters) * 100 : 0,
+    votePercentage: totalSelections > 0 ? (counts[index] / totalSelections) * 100 : 0
+  }));
+
+  return { totalVoters, totalSelections, results };
+};
+
+/**
+ * Get who a poll is for; polls from before audiences were open to all when public, else to the club
+ * @param {Object} poll - Poll document
+ * @returns {string} Audience scope
+ */
+const getPollAudienceScope = (poll) => {
+  if (poll.audience && poll.audience.scope) return poll.audience.scope;
+  return poll.isPublic === false ? 'club' : 'all';
+};
+
+/**
+ * Check whether a user is in a poll's audience (club and district scopes need a verified membership)
+ * @param {Object} poll - Poll document
+ * @param {Object} user - User document
+ * @returns {boolean} Whether the poll is meant for the user
+ */
+const isInPollAudience = (poll, user) => {
+  switch (getPollAudienceScope(poll)) {
+    case 'all':
+      return true;
+    case 'club':
+      return isVerifiedMemberOf(user, 'club', poll.club);
+    case 'district':
+      return isVerifiedMemberOf(user, 'district', poll.district);
+    case 'custom':
+      return (poll.audience.roles || []).includes(user.role) ||
+        (poll.audience.members || []).some(member => sameId(member, user._id));
+    default:
+      return false;
+  }
+};
+
+/**
+ * Check whether a user may see a poll: its audience, its creator and super admins
+ * @param {Object} poll - Poll document
+ * @param {Object} user - User document
+ * @returns {boolean} Whether the poll is visible
+ */
+const canViewPoll = (poll, user) => {
+  return user.role === 'super_admin' || sameId(poll.createdBy, user._id) || isInPollAudience(poll, user);
+};
+
+/**
+ * Query condition matching the polls a user may see (same rules as canViewPoll)
+ * @param {Object} user - User document
+ * @returns {Object} MongoDB filter
+ */
+const buildPollVisibilityFilter = (user) => {
+  if (user.role === 'super_admin') return {};
+
+  const conditions = [
+    { createdBy: user._id },
+    { 'audience.scope': 'all' },
+    { 'audience.scope': 'custom', 'audience.roles': user.role },
+    { 'audience.scope': 'custom', 'audience.members': user._id },
+    { 'audience.scope': { $exists: false }, isPublic: { $ne: false } }
+  ];
+
+  // Profile club and district are self-edited, so only a verified membership opens club and district polls
+  const membership = getVerifiedMembership(user);
+
+  if (membership) {
+    conditions.push(
+      { 'audience.scope': 'club', club: membership.club },
+      { 'audience.scope': { $exists: false }, isPublic: false, club: membership.club }
+    );
+
+    if (membership.district) {
+      conditions.push({ 'audience.scope': 'district', district: membership.district });
+    }
+  }
+
+  return { $or: conditions };
+};
+
+/**
+ * Check whether a user may vote: in the audience, verified and a member for long enough if required
+ * @param {Object} poll - Poll document
+ * @param {Object} user - User document
+ * @param {Date} now - Current time
+ * @returns {Object} { canVote, reason }
+ */
+const getVoteEligibility = (poll, user, now = new Date()) => {
+  if (!isInPollAudience(poll, user)) {
+    return { canVote: false, reason: 'This poll is not open to you' };
+  }
+
+  const requirements = poll.voteRequirements || {};
+
+  if (requirements.verifiedOnly && !user.isVerified) {
+    return { canVote: false, reason: 'Only verified members can vote on this poll' };
+  }
+
+  if (requirements.minMembershipDays > 0) {
+    const joined = user.joinDate || user.createdAt;
+
+    if (!joined || now - new Date(joined) < requirements.minMembershipDays * DAY_MS) {
+      return {
+        canVote: false,
+        reason: `Members can vote after ${requirements.minMembershipDays} days of membership`
+      };
+    }
+  }
+
+  return { canVote: true };
+};
+
+/**
+ * Validate a poll audience
+ * @param {Object} input - { scope, roles, members }
+ * @returns {Object} { audience } or { error }
+ */
+const normalizePollAudience = (input) => {
+  const raw = input && typeof input === 'object' ? input : { scope: input };
+  const scope = raw.scope;
+
+  if (!AUDIENCE_SCOPES.includes(scope)) {
+    return { error: `Audience must be one of: ${AUDIENCE_SCOPES.join(', ')}` };
+  }
+
+  if (scope !== 'custom') {
+    return { audience: { scope, roles: [], members: [] } };
+  }
+
+  const roles = Array.isArray(raw.roles) ? [...new Set(raw.roles)] : [];
+  const members = Array.isArray(raw.members) ? [...new Set(raw.members.map(String))] : [];
+
+  const unknownRole = roles.find(role => !AUDIENCE_ROLES.includes(role));
+  if (unknownRole) {
+    return { error: `Unknown role ${unknownRole}. Available: ${AUDIENCE_ROLES.join(', ')}` };
+  }
+
+  if (members.some(member => !mongoose.Types.ObjectId.isValid(member))) {
+    return { error: 'Audience members must be user IDs' };
+  }
+
+  if (members.length > MAX_AUDIENCE_MEMBERS) {
+    return { error: `A custom audience can list at most ${MAX_AUDIENCE_MEMBERS} members` };
+  }
+
+  if (roles.length === 0 && members.length === 0) {
+    return { error: 'A custom audience needs at least one role or member' };
+  }
+
+  return { audience: { scope, roles, members } };
+};
+
+/**
+ * Validate the extra voting conditions of a poll
+ * @param {Object} input - { minMembershipDays, verifiedOnly }
+ * @returns {Object} { voteRequirements } or { error }
+ */
+const normalizeVoteRequirements = (input = {}) => {
+  const minMembershipDays = input.minMembershipDays === undefined || input.minMembershipDays === null
+    ? 0
+    : Number(input.minMembershipDays);
+
+  if (!Number.isInteger(minMembershipDays) || minMembershipDays < 0 || minMembershipDays > MAX_MEMBERSHIP_DAYS) {
+    return { error: `minMembershipDays must be a whole number between 0 and ${MAX_MEMBERSHIP_DAYS}` };
+  }
+
+  return {
+    voteRequirements: {
+      minMembershipDays,
+      verifiedOnly: input.verifiedOnly === true || input.verifiedOnly === 'true'
+    }
+  };
+};
+
+/**
+ * Get a poll's results policy; polls created before policies follow showResults
+ * @param {Object} poll - Poll document
+ * @returns {string} One of RESULTS_VISIBILITY
+ */
+const getResultsVisibility = (poll) => {
+  if (poll.resultsVisibility) return poll.resultsVisibility;
+  return poll.showResults === false ? 'after_close' : 'always';
+};
+
+/**
+ * Check whether a user may see a poll's counts under its results policy
+ * @param {Object} poll - Poll document (needs votes, endDate and the results fields)
+ * @param {Object} user - User document
+ * @param {Date} now - Current time
+ * @returns {Object} { visible, reason }
+ */
+const getResultsAccess = (poll, user, now = new Date()) => {
+  // The creator and webmasters follow the count throughout
+  if (sameId(poll.createdBy, user._id) || RESULTS_MANAGER_ROLES.includes(user.role) || poll.resultsReleasedAt) {
+    return { visible: true };
+  }
+
+  const hasEnded = new Date(poll.endDate) < now;
+
+  switch (getResultsVisibility(poll)) {
+    case 'always':
+      return { visible: true };
+    case 'after_vote':
+      return findUserVote(poll, user._id) || hasEnded
+        ? { visible: true }
+        : { visible: false, reason: 'Results are shown once you have voted' };
+    case 'after_close':
+      return hasEnded
+        ? { visible: true }
+        : { visible: false, reason: 'Results are shown once the poll closes' };
+    default:
+      return { visible: false, reason: 'Results will be shown when the poll creator releases them' };
+  }
+};
+
+/**
+ * Validate a results policy, falling back to the legacy showResults flag
+ * @param {string} resultsVisibility - Requested policy
+ * @param {boolean} showResults - Legacy flag, used when no policy is given
+ * @returns {Object} { resultsVisibility, showResults } or { error }
+ */
+const normalizeResultsVisibility = (resultsVisibility, showResults) => {
+  const policy = resultsVisibility !== undefined && resultsVisibility !== null
+    ? resultsVisibility
+    : (showResults === false ? 'after_close' : 'always');
+
+  if (!RESULTS_VISIBILITY.includes(policy)) {
+    return { error: `Results visibility must be one of: ${RESULTS_VISIBILITY.join(', ')}` };
+  }
+
+  return { resultsVisibility: policy, showResults: policy === 'always' };
+};
+
+/**
+ * Shape a poll for API responses; anonymous polls never include individual votes, hidden results no counts
+ * @param {Object} poll - Poll document with votes
+ * @param {Object} user - Requesting user
+ * @returns {Object} Poll data with totalVotes, hasVoted, eligibility, resultsVisible and (open polls only) myVote
+ */
+const serializePoll = (poll, user) => {
+  const data = poll.toObject();
+  const userVote = findUserVote(poll, user._id);
+
+  data.totalVotes = poll.votes.length;
+  data.hasVoted = !!userVote;
+  data.audience = { ...data.audience, scope: getPollAudienceScope(poll) };
+  data.eligibility = getVoteEligibility(poll, user);
+
+  // Only the creator and super admins see who a custom audience lists
+  if (!sameId(poll.createdBy, user._id) && user.role !== 'super_admin') {
+    delete data.audience.members;
+  }
+
+  if (poll.isAnonymous) {
+    delete data.votes;
+  } else {
+    data.myVote = userVote ? getVoteSelections(userVote) : null;
+  }
+
+  const resultsAccess = getResultsAccess(poll, user);
+  data.resultsVisibility = getResultsVisibility(poll);
+  data.resultsVisible = resultsAccess.visible;
+
+  // Hidden results: no option counts and no votes to count them from
+  if (!resultsAccess.visible) {
+    data.options = data.options.map(({ votes, ...option }) => option);
+    delete data.votes;
+    data.resultsHiddenReason = resultsAccess.reason;
+  }
+
+  return data;
+};
+
+module.exports = {
+  AUDIENCE_SCOPES,
+  RESULTS_VISIBILITY,
+  getPollAudienceScope,
+  isInPollAudience,
+  canViewPoll,
+  buildPollVisibilityFilter,
+  getVoteEligibility,
+  normalizePollAudience,
+  normalizeVoteRequirements,
+  getResultsVisibility,
+  getResultsAccess,
+  normalizeResultsVisibility,
+  getVoterHash,
+  getVoterIdentity,
+  findUserVote,
+  serializePoll,
+  getVoteSelections,
+  getSelectionLimits,
+  normalizeSelectionRules,
+  normalizeVoteSelection,
+  countOptionVotes,
+  buildPollResults
+};
@@ -0,0 +1,235 @@
+// utils/recurrenceUtils.js
+const { SRI_LANKA_OFFSET, getSriLankaDay } = require('./eventUtils');
+
+const FREQUENCIES = ['weekly', 'monthly'];
+const MONTHLY_TYPES = ['day_of_month', 'nth_weekday'];
+const MAX_OCCURRENCES = 104;
+const MAX_SPAN_YEARS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Convert a YYYY-MM-DD day into a UTC timestamp for day arithmetic
+ * @param {string} day - Calendar day
+ * @returns {number} Timestamp
+ */
+const dayToUtc = (day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return Date.UTC(year, month - 1, date);
+};
+
+/**
+ * Convert a UTC timestamp back into a YYYY-MM-DD day
+ * @param {number} time - Timestamp
+ * @returns {string} Calendar day
+ */
+const utcToDay = (time) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * Convert a calendar day into the stored event date (midnight, Sri Lanka time)
+ * @param {string} day - Calendar day
+ * @returns {Date} Event date
+ */
+const dayToEventDate = (day) => new Date(`${day}T00:00:00${SRI_LANKA_OFFSET}`);
+
+/**
+ * Find the nth weekday of a month (week -1 means the last one)
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {number} weekday - Day of week (0 = Sunday)
+ * @param {number} week - 1-5 or -1
+ * @returns {number|null} Timestamp, or null if the month has no such day
+ */
+const nthWeekdayOfMonth = (year, month, weekday, week) => {
+  if (week === -1) {
+    const last = new Date(Date.UTC(year, month + 1, 0));
+    const offset = (last.getUTCDay() - weekday + 7) % 7;
+    return last.getTime() - offset * DAY_MS;
+  }
+
+  const first = new Date(Date.UTC(year, month, 1));
+  const offset = (weekday - first.getUTCDay() + 7) % 7;
+  const time = first.getTime() + (offset + (week - 1) * 7) * DAY_MS;
+
+  return new Date(time).getUTCMonth() === month ? time : null;
+};
+
+/**
+ * Validate a recurrence rule and fill in defaults from the first occurrence
+ * @param {Object} rule - Recurrence rule from the request
+ * @param {Date} startDate - Date of the first occurrence
+ * @returns {Object} { rule } on success, { error } otherwise
+ */
+const normalizeRecurrenceRule = (rule, startDate) => {
+  if (!rule || typeof rule !== 'object') {
+    return { error: 'Recurrence rule is required' };
+  }
+
+  if (!FREQUENCIES.includes(rule.frequency)) {
+    return { error: `Frequency must be one of: ${FREQUENCIES.join(', ')}` };
+  }
+
+  const start = new Date(startDate);
+  if (isNaN(start.getTime())) {
+    return { error: 'A valid start date is required' };
+  }
+
+  const startUtc = new Date(dayToUtc(getSriLankaDay(start)));
+  const interval = rule.interval === undefined ? 1 : Number(rule.interval);
+
+  if (!Number.isInteger(interval) || interval < 1 || interval > 12) {
+    return { error: 'Interval must be a whole number between 1 and 12' };
+  }
+
+  const hasCount = rule.count !== undefined && rule.count !== null;
+  const hasUntil = rule.until !== undefined && rule.until !== null;
+
+  if (hasCount === hasUntil) {
+    return { error: 'Recurrence needs either an end date (until) or a number of occurrences (count)' };
+  }
+
+  const normalized = { frequency: rule.frequency, interval };
+
+  if (hasCount) {
+    const count = Number(rule.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES) {
+      return { error: `Count must be between 1 and ${MAX_OCCURRENCES}` };
+    }
+    normalized.count = count;
+  } else {
+    const until = new Date(rule.until);
+    if (isNaN(until.getTime()) || until < start) {
+      return { error: 'End date (until) must be a valid date after the start date' };
+    }
+    normalized.until = until;
+  }
+
+  if (rule.frequency === 'weekly') {
+    const daysOfWeek = rule.daysOfWeek === undefined ? [startUtc.getUTCDay()] : rule.daysOfWeek;
+
+    if (!Array.isArray(daysOfWeek) || daysOfWeek.length === 0 ||
+      !daysOfWeek.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      return { error: 'daysOfWeek must be a list of weekdays (0 = Sunday to 6 = Saturday)' };
+    }
+
+    normalized.daysOfWeek = [...new Set(daysOfWeek)].sort();
+  } else {
+    const monthlyType = rule.monthlyType || 'day_of_month';
+
+    if (!MONTHLY_TYPES.includes(monthlyType)) {
+      return { error: `monthlyType must be one of: ${MONTHLY_TYPES.join(', ')}` };
+    }
+
+    normalized.monthlyType = monthlyType;
+
+    if (monthlyType === 'day_of_month') {
+      const dayOfMonth = rule.dayOfMonth === undefined ? startUtc.getUTCDate() : Number(rule.dayOfMonth);
+      if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) {
+        return { error: 'dayOfMonth must be between 1 and 31' };
+      }
+      normalized.dayOfMonth = dayOfMonth;
+    } else {
+      const dayOfWeek = rule.dayOfWeek === undefined ? startUtc.getUTCDay() : Number(rule.dayOfWeek);
+      const weekOfMonth = rule.weekOfMonth === undefined
+        ? Math.ceil(startUtc.getUTCDate() / 7)
+        : Number(rule.weekOfMonth);
+
+      if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+        return { error: 'dayOfWeek must be between 0 (Sunday) and 6 (Saturday)' };
+      }
+      if (!Number.isInteger(weekOfMonth) || !(weekOfMonth === -1 || (weekOfMonth >= 1 && weekOfMonth <= 5))) {
+        return { error: 'weekOfMonth must be 1-5, or -1 for the last week' };
+      }
+
+      normalized.dayOfWeek = dayOfWeek;
+      normalized.weekOfMonth = weekOfMonth;
+    }
+  }
+
+  const { days, truncated } = expandDays(normalized, start);
+  if (truncated) {
+    return { error: `A series can have at most ${MAX_OCCURRENCES} occurrences over ${MAX_SPAN_YEARS} years` };
+  }
+  if (days.length === 0) {
+    return { error: 'Recurrence rule does not produce any occurrences' };
+  }
+
+  return { rule: normalized };
+};
+
+/**
+ * Expand a normalized rule into calendar days
+ * @param {Object} rule - Normalized recurrence rule
+ * @param {Date} startDate - Date of the first occurrence
+ * @returns {Object} days (YYYY-MM-DD) and whether the series was cut off
+ */
+const expandDays = (rule, startDate) => {
+  const startDay = getSriLankaDay(startDate);
+  const startTime = dayToUtc(startDay);
+  const limit = rule.count || MAX_OCCURRENCES;
+  const untilTime = rule.until ? dayToUtc(getSriLankaDay(rule.until)) : Infinity;
+  const horizon = Date.UTC(new Date(startTime).getUTCFullYear() + MAX_SPAN_YEARS, 0, 1);
+  const days = [];
+
+  const accept = (time) => {
+    if (time < startTime || time > untilTime) return true;
+    if (days.length >= limit) return false;
+    days.push(utcToDay(time));
+    return true;
+  };
+
+  if (rule.frequency === 'weekly') {
+    // Weeks are counted from the Sunday on or before the first occurrence
+    const weekStart = startTime - new Date(startTime).getUTCDay() * DAY_MS;
+
+    for (let week = 0; ; week += rule.interval) {
+      const base = weekStart + week * 7 * DAY_MS;
+      if (base > untilTime || base > horizon || days.length >= limit) break;
+
+      for (const weekday of rule.daysOfWeek) {
+        if (!accept(base + weekday * DAY_MS)) break;
+      }
+    }
+  } else {
+    const first = new Date(startTime);
+
+    for (let offset = 0; ; offset += rule.interval) {
+      const year = first.getUTCFullYear() + Math.floor((first.getUTCMonth() + offset) / 12);
+      const month = (first.getUTCMonth() + offset) % 12;
+      const monthStart = Date.UTC(year, month, 1);
+      if (monthStart > untilTime || monthStart > horizon || days.length >= limit) break;
+
+      let time = null;
+      if (rule.monthlyType === 'nth_weekday') {
+        time = nthWeekdayOfMonth(year, month, rule.dayOfWeek, rule.weekOfMonth);
+      } else {
+        // Months without the day (e.g. the 31st) are skipped
+        const candidate = Date.UTC(year, month, rule.dayOfMonth);
+        if (new Date(candidate).getUTCMonth() === month) time = candidate;
+      }
+
+      if (time !== null) accept(time);
+    }
+  }
+
+  const lastTime = days.length ? dayToUtc(days[days.length - 1]) : startTime;
+  const truncated = !rule.count && untilTime !== Infinity && untilTime > lastTime &&
+    (days.length >= MAX_OCCURRENCES || untilTime > horizon);
+
+  return { days, truncated };
+};
+
+/**
+ * Get the dates of every occurrence of a series
+ * @param {Object} rule - Normalized recurrence rule
+ * @param {Date} startDate - Date of the first occurrence
+ * @returns {Date[]} Occurrence dates (midnight, Sri Lanka time)
+ */
+const generateOccurrenceDates = (rule, startDate) => {
+  return expandDays(rule, startDate).days.map(dayToEventDate);
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  normalizeRecurrenceRule,
+  generateOccurrenceDates
+};
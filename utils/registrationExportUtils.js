@@ -0,0 +1,141 @@
+// utils/registrationExportUtils.js
+const ExcelJS = require('exceljs');
+const { formatSriLankaDateTime } = require('./eventUtils');
+const { getAnswer, formatAnswerValue, csvCell } = require('./registrationFormUtils');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const formatDate = (date) => (date ? formatSriLankaDateTime(date) : '');
+
+// Columns available in attendee exports, in output order
+const EXPORT_COLUMNS = [
+  { key: 'name', header: 'Name', width: 28, value: (reg) => reg.user && reg.user.fullName },
+  { key: 'email', header: 'Email', width: 32, value: (reg) => reg.user && reg.user.email },
+  { key: 'phone', header: 'Phone', width: 16, value: (reg) => reg.user && reg.user.contactNumber },
+  { key: 'leoId', header: 'Leo ID', width: 14, value: (reg) => reg.user && reg.user.leoId },
+  { key: 'club', header: 'Club', width: 28, value: (reg) => reg.user && reg.user.club && reg.user.club.name },
+  { key: 'district', header: 'District', width: 16, value: (reg) => reg.user && reg.user.district && reg.user.district.name },
+  { key: 'registeredAt', header: 'Registered At', width: 18, value: (reg) => formatDate(reg.registrationDate) },
+  { key: 'status', header: 'Status', width: 12, value: (reg) => reg.status },
+  { key: 'paymentStatus', header: 'Payment Status', width: 15, value: (reg) => reg.paymentStatus },
+  { key: 'amountPaid', header: 'Amount Paid', width: 12, value: (reg) => reg.amountPaid },
+  { key: 'checkInTime', header: 'Checked In At', width: 18, value: (reg) => formatDate(reg.checkInTime) },
+  // Expands to one column per registration form field
+  { key: 'answers', header: 'Form Answers' }
+];
+
+/**
+ * Parse the requested export columns (comma-separated keys; all columns when empty)
+ * @param {string|string[]} input - Column keys
+ * @returns {Object} { columns } or { error }
+ */
+const parseExportColumns = (input) => {
+  if (input === undefined || input === '') {
+    return { columns: EXPORT_COLUMNS.map(column => column.key) };
+  }
+
+  const keys = (Array.isArray(input) ? input : String(input).split(','))
+    .map(key => String(key).trim())
+    .filter(Boolean);
+  const available = EXPORT_COLUMNS.map(column => column.key);
+  const unknown = keys.filter(key => !available.includes(key));
+
+  if (unknown.length > 0) {
+    return { error: `Unknown columns: ${unknown.join(', ')}. Available: ${available.join(', ')}` };
+  }
+
+  if (keys.length === 0) {
+    return { error: 'Select at least one column' };
+  }
+
+  // Keep the standard column order whatever order they were requested in
+  return { columns: available.filter(key => keys.includes(key)) };
+};
+
+/**
+ * Build the header and rows of an attendee export
+ * @param {Object[]} fields - Event registration form
+ * @param {Object[]} registrations - EventRegistration documents with user, club and district populated
+ * @param {string[]} columnKeys - Columns from parseExportColumns
+ * @returns {Object} { columns: [{ header, width }], rows: any[][] }
+ */
+const buildExportRows = (fields, registrations, columnKeys) => {
+  const columns = [];
+
+  for (const key of columnKeys) {
+    if (key === 'answers') {
+      fields.forEach(field => columns.push({
+        header: field.label,
+        width: 24,
+        value: (reg) => formatAnswerValue(getAnswer(reg.formAnswers, field.key))
+      }));
+    } else {
+      columns.push(EXPORT_COLUMNS.find(column => column.key === key));
+    }
+  }
+
+  const rows = registrations.map(registration =>
+    columns.map(column => {
+      const value = column.value(registration);
+      return value === undefined || value === null ? '' : value;
+    })
+  );
+
+  return {
+    columns: columns.map(({ header, width }) => ({ header, width })),
+    rows
+  };
+};
+
+/**
+ * Serialize an export as CSV
+ * @param {Object} exportData - Result of buildExportRows
+ * @returns {string} CSV text
+ */
+const buildExportCsv = ({ columns, rows }) => {
+  const header = columns.map(column => column.header);
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+/**
+ * Serialize an export as an Excel workbook
+ * @param {Object} exportData - Result of buildExportRows
+ * @param {string} sheetName - Worksheet name
+ * @returns {Promise<Buffer>} XLSX file contents
+ */
+const buildExportXlsx = async ({ columns, rows }, sheetName = 'Registrations') => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'LeoConnect';
+  workbook.created = new Date();
+
+  // Sheet names are limited to 31 characters and cannot contain []:*?/\
+  const worksheet = workbook.addWorksheet(sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Registrations', {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+
+  worksheet.columns = columns.map((column, index) => ({
+    header: column.header,
+    key: `c${index}`,
+    width: column.width
+  }));
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.addRows(rows);
+
+  if (columns.length > 0) {
+    worksheet.autoFilter = {
+      from: { row: 1, column: 1 },
+      to: { row: 1, column: columns.length }
+    };
+  }
+
+  return workbook.xlsx.writeBuffer();
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  parseExportColumns,
+  buildExportRows,
+  buildExportCsv,
+  buildExportXlsx
+};
@@ -0,0 +1,319 @@
+// utils/registrationFormUtils.js
+const FIELD_TYPES = ['text', 'choice', 'number', 'date'];
+const KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/;
+const MAX_FIELDS = 30;
+const MAX_OPTIONS = 50;
+const DEFAULT_TEXT_LENGTH = 500;
+
+/**
+ * Read an answer from a plain object or a Mongoose Map
+ * @param {Object|Map} answers - Answers
+ * @param {string} key - Field key
+ * @returns {*} Answer
+ */
+const getAnswer = (answers, key) => {
+  if (!answers) return undefined;
+  return answers instanceof Map ? answers.get(key) : answers[key];
+};
+
+const isEmpty = (value) => {
+  return value === undefined || value === null ||
+    (typeof value === 'string' && value.trim() === '') ||
+    (Array.isArray(value) && value.length === 0);
+};
+
+/**
+ * Whether a field is shown, given the answers to earlier fields
+ * @param {Object} field - Form field
+ * @param {Object|Map} answers - Answers so far
+ * @returns {boolean} True if the field applies
+ */
+const isFieldVisible = (field, answers) => {
+  if (!field.showIf || !field.showIf.field) return true;
+
+  const answer = getAnswer(answers, field.showIf.field);
+  if (isEmpty(answer)) return false;
+
+  const selected = Array.isArray(answer) ? answer : [answer];
+  return selected.some(value => field.showIf.values.some(expected => String(expected) === String(value)));
+};
+
+/**
+ * Validate an organizer's form definition
+ * @param {Object[]} fields - Field definitions from the request
+ * @returns {Object} { fields } on success, { error } otherwise
+ */
+const normalizeRegistrationForm = (fields) => {
+  if (!Array.isArray(fields)) {
+    return { error: 'Registration form must be a list of fields' };
+  }
+
+  if (fields.length > MAX_FIELDS) {
+    return { error: `A registration form can have at most ${MAX_FIELDS} fields` };
+  }
+
+  const keys = new Map();
+  const normalized = [];
+
+  for (const [index, input] of fields.entries()) {
+    const name = `Field ${index + 1}`;
+
+    if (!input || typeof input !== 'object') {
+      return { error: `${name} is invalid` };
+    }
+
+    if (!KEY_PATTERN.test(input.key || '')) {
+      return { error: `${name}: key must start with a letter and contain only letters, numbers and underscores` };
+    }
+
+    if (keys.has(input.key)) {
+      return { error: `Duplicate field key "${input.key}"` };
+    }
+
+    if (typeof input.label !== 'string' || !input.label.trim() || input.label.length > 200) {
+      return { error: `${name}: label is required (max 200 characters)` };
+    }
+
+    if (!FIELD_TYPES.includes(input.type)) {
+      return { error: `${name}: type must be one of: ${FIELD_TYPES.join(', ')}` };
+    }
+
+    const field = {
+      key: input.key,
+      label: input.label.trim(),
+      type: input.type,
+      required: Boolean(input.required)
+    };
+
+    if (input.helpText) field.helpText = String(input.helpText).slice(0, 300);
+
+    if (input.type === 'text') {
+      const maxLength = input.maxLength === undefined ? DEFAULT_TEXT_LENGTH : Number(input.maxLength);
+      if (!Number.isInteger(maxLength) || maxLength < 1 || maxLength > 2000) {
+        return { error: `${name}: maxLength must be between 1 and 2000` };
+      }
+      field.maxLength = maxLength;
+    }
+
+    if (input.type === 'number') {
+      for (const bound of ['min', 'max']) {
+        if (input[bound] === undefined || input[bound] === null) continue;
+        if (!Number.isFinite(Number(input[bound]))) {
+          return { error: `${name}: ${bound} must be a number` };
+        }
+        field[bound] = Number(input[bound]);
+      }
+      if (field.min !== undefined && field.max !== undefined && field.min > field.max) {
+        return { error: `${name}: min cannot be greater than max` };
+      }
+    }
+
+    if (input.type === 'choice') {
+      if (!Array.isArray(input.options) || input.options.length === 0 || input.options.length > MAX_OPTIONS) {
+        return { error: `${name}: choice fields need between 1 and ${MAX_OPTIONS} options` };
+      }
+
+      const values = new Set();
+      field.multiple = Boolean(input.multiple);
+      field.options = [];
+
+      for (const option of input.options) {
+        // Options may be given as plain strings
+        const value = String(typeof option === 'object' && option !== null ? option.value : option || '').trim();
+
+        if (!value || values.has(value)) {
+          return { error: `${name}: option values must be unique and non-empty` };
+        }
+        values.add(value);
+
+        const normalizedOption = {
+          value,
+          label: (typeof option === 'object' && option.label) ? String(option.label).trim() : value
+        };
+
+        if (typeof option === 'object' && option.limit !== undefined && option.limit !== null) {
+          const limit = Number(option.limit);
+          if (!Number.isInteger(limit) || limit < 1) {
+            return { error: `${name}: option "${value}" limit must be a positive whole number` };
+          }
+          normalizedOption.limit = limit;
+        }
+
+        field.options.push(normalizedOption);
+      }
+    }
+
+    if (input.showIf) {
+      const parent = keys.get(input.showIf.field);
+      const values = Array.isArray(input.showIf.values) ? input.showIf.values : [input.showIf.values];
+
+      // Conditions may only point back, so forms cannot loop
+      if (!parent) {
+        return { error: `${name}: showIf must refer to an earlier field` };
+      }
+      if (values.length === 0 || values.some(isEmpty)) {
+        return { error: `${name}: showIf needs at least one value` };
+      }
+
+      field.showIf = { field: parent.key, values: values.map(String) };
+    }
+
+    keys.set(field.key, field);
+    normalized.push(field);
+  }
+
+  return { fields: normalized };
+};
+
+/**
+ * Validate answers against an event's registration form
+ * @param {Object[]} fields - Event registration form
+ * @param {Object} answers - Answers keyed by field key
+ * @returns {Object} Validation result with the cleaned answers
+ */
+const validateRegistrationAnswers = (fields = [], answers = {}) => {
+  const errors = [];
+  const cleaned = {};
+  const input = answers && typeof answers === 'object' ? answers : {};
+
+  for (const field of fields) {
+    // Hidden questions are neither required nor stored
+    if (!isFieldVisible(field, cleaned)) continue;
+
+    const value = input[field.key];
+
+    if (isEmpty(value)) {
+      if (field.required) errors.push(`${field.label} is required`);
+      continue;
+    }
+
+    if (field.type === 'text') {
+      if (typeof value !== 'string') {
+        errors.push(`${field.label} must be text`);
+      } else if (value.trim().length > field.maxLength) {
+        errors.push(`${field.label} must not exceed ${field.maxLength} characters`);
+      } else {
+        cleaned[field.key] = value.trim();
+      }
+    } else if (field.type === 'number') {
+      const number = Number(value);
+      if (typeof value === 'boolean' || !Number.isFinite(number)) {
+        errors.push(`${field.label} must be a number`);
+      } else if (field.min !== undefined && field.min !== null && number < field.min) {
+        errors.push(`${field.label} must be at least ${field.min}`);
+      } else if (field.max !== undefined && field.max !== null && number > field.max) {
+        errors.push(`${field.label} must be at most ${field.max}`);
+      } else {
+        cleaned[field.key] = number;
+      }
+    } else if (field.type === 'date') {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        errors.push(`${field.label} must be a valid date`);
+      } else {
+        cleaned[field.key] = date;
+      }
+    } else if (field.type === 'choice') {
+      const selected = field.multiple ? value : [value];
+      const allowed = new Set(field.options.map(option => option.value));
+
+      if (!Array.isArray(selected) || selected.some(item => !allowed.has(String(item)))) {
+        errors.push(`${field.label} has an invalid choice`);
+      } else if (new Set(selected.map(String)).size !== selected.length) {
+        errors.push(`${field.label} has duplicate choices`);
+      } else {
+        cleaned[field.key] = field.multiple ? selected.map(String) : String(value);
+      }
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    answers: cleaned
+  };
+};
+
+/**
+ * List the selected options that have a limited number of places
+ * @param {Object[]} fields - Event registration form
+ * @param {Object|Map} answers - Stored or cleaned answers
+ * @returns {Object[]} Selections as { key, value }
+ */
+const getLimitedSelections = (fields = [], answers) => {
+  const selections = [];
+
+  for (const field of fields) {
+    if (field.type !== 'choice') continue;
+
+    const answer = getAnswer(answers, field.key);
+    if (isEmpty(answer)) continue;
+
+    for (const value of Array.isArray(answer) ? answer : [answer]) {
+      const option = field.options.find(item => item.value === value);
+      if (option && option.limit) selections.push({ key: field.key, value });
+    }
+  }
+
+  return selections;
+};
+
+/**
+ * Describe a selection for error messages (e.g. Workshop: "Public speaking")
+ * @param {Object[]} fields - Event registration form
+ * @param {Object} selection - { key, value }
+ * @returns {string} Label
+ */
+const describeSelection = (fields, selection) => {
+  const field = fields.find(item => item.key === selection.key);
+  const option = field && field.options.find(item => item.value === selection.value);
+  return `${field ? field.label : selection.key}: "${option ? option.label : selection.value}"`;
+};
+
+const formatAnswerValue = (value) => {
+  if (isEmpty(value)) return '';
+  if (Array.isArray(value)) return value.join('; ');
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value);
+};
+
+// Quote a CSV cell and stop spreadsheet apps from running it as a formula
+const csvCell = (value) => {
+  let text = formatAnswerValue(value);
+  if (/^[=+\-@]/.test(text) && !Number.isFinite(Number(text))) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV of registrations and their form answers
+ * @param {Object[]} fields - Event registration form
+ * @param {Object[]} registrations - EventRegistration documents with user populated
+ * @returns {string} CSV text
+ */
+const buildAnswersCsv = (fields, registrations) => {
+  const header = ['Name', 'Email', 'Leo ID', 'Status', 'Registered At', ...fields.map(field => field.label)];
+
+  const rows = registrations.map(registration => [
+    registration.user ? registration.user.fullName : '',
+    registration.user ? registration.user.email : '',
+    registration.user ? registration.user.leoId : '',
+    registration.status,
+    registration.registrationDate ? registration.registrationDate.toISOString() : '',
+    ...fields.map(field => getAnswer(registration.formAnswers, field.key))
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  FIELD_TYPES,
+  getAnswer,
+  isFieldVisible,
+  normalizeRegistrationForm,
+  validateRegistrationAnswers,
+  getLimitedSelections,
+  describeSelection,
+  formatAnswerValue,
+  csvCell,
+  buildAnswersCsv
+};
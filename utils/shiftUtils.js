@@ -0,0 +1,147 @@
+// utils/shiftUtils.js
+const ServiceHour = require('../models/ServiceHour');
+const ShiftSignup = require('../models/ShiftSignup');
+const { notifyUser } = require('./notificationUtils');
+
+const MAX_SHIFT_HOURS = 24;
+// Same limits as the VolunteerShift schema
+const SHIFT_TEXT_LIMITS = { name: 100, role: 100, description: 500 };
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Validate shift details for create or update
+ * @param {Object} data - Request body
+ * @param {Object} existing - Shift being updated (optional)
+ * @returns {Object} Validation result with the cleaned fields
+ */
+const validateShiftInput = (data, existing) => {
+  const errors = [];
+  const shift = {};
+
+  Object.entries(SHIFT_TEXT_LIMITS).forEach(([field, limit]) => {
+    if (data[field] === undefined) return;
+
+    if (typeof data[field] !== 'string') {
+      errors.push(`${field} must be text`);
+      return;
+    }
+
+    shift[field] = data[field].trim();
+    if (shift[field].length > limit) {
+      errors.push(`${field} cannot be more than ${limit} characters`);
+    }
+  });
+
+  if (!existing && !shift.name) {
+    errors.push('Shift name is required');
+  }
+
+  for (const field of ['startTime', 'endTime']) {
+    if (data[field] === undefined) continue;
+
+    const date = new Date(data[field]);
+    if (isNaN(date.getTime())) {
+      errors.push(`${field} must be a valid date and time`);
+    } else {
+      shift[field] = date;
+    }
+  }
+
+  const startTime = shift.startTime || (existing && existing.startTime);
+  const endTime = shift.endTime || (existing && existing.endTime);
+
+  if (!startTime || !endTime) {
+    errors.push('Shift start and end times are required');
+  } else if (endTime <= startTime) {
+    errors.push('Shift must end after it starts');
+  } else if (endTime - startTime > MAX_SHIFT_HOURS * HOUR_MS) {
+    errors.push(`A shift cannot be longer than ${MAX_SHIFT_HOURS} hours`);
+  }
+
+  if (data.capacity !== undefined || !existing) {
+    const capacity = Number(data.capacity);
+
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      errors.push('Capacity must be a positive whole number');
+    } else if (existing && capacity < existing.signedUp) {
+      errors.push(`Capacity cannot be lower than the ${existing.signedUp} volunteers already signed up`);
+    } else {
+      shift.capacity = capacity;
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    shift
+  };
+};
+
+/**
+ * Length of a shift in hours, rounded to the nearest half hour
+ * @param {Object} shift - VolunteerShift document
+ * @returns {number} Hours (at least 0.5)
+ */
+const getShiftHours = (shift) => {
+  const hours = (shift.endTime - shift.startTime) / HOUR_MS;
+  return Math.max(0.5, Math.round(hours * 2) / 2);
+};
+
+/**
+ * Find an active sign-up of the user that overlaps a time range
+ * @param {string} userId - User ID
+ * @param {Date} startTime - Range start
+ * @param {Date} endTime - Range end
+ * @returns {Promise<Object|null>} Overlapping sign-up with its shift
+ */
+const findOverlappingSignup = (userId, startTime, endTime) => {
+  return ShiftSignup.findOne({
+    user: userId,
+    status: 'signed_up',
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  }).populate('shift', 'name startTime endTime event');
+};
+
+/**
+ * Record the hours of a worked shift as approved service hours
+ * @param {Object} signup - ShiftSignup document (status worked)
+ * @param {Object} shift - VolunteerShift document
+ * @param {Object} event - Event document
+ * @param {Object} confirmedBy - User confirming the shift
+ * @returns {Promise<Object>} Created ServiceHour
+ */
+const creditShiftHours = async (signup, shift, event, confirmedBy) => {
+  const serviceHour = await ServiceHour.create({
+    user: signup.user,
+    event: event._id,
+    projectName: `${event.title} - ${shift.name}`,
+    hours: signup.hoursWorked,
+    date: shift.startTime,
+    description: shift.role ? `Volunteer shift: ${shift.role}` : 'Volunteer shift',
+    status: 'approved',
+    verifiedBy: confirmedBy._id,
+    verifiedAt: new Date(),
+    club: event.club,
+    district: event.district,
+    shiftSignup: signup._id
+  });
+
+  await ServiceHour.creditApprovedHours(serviceHour);
+  await ShiftSignup.updateOne({ _id: signup._id }, { serviceHour: serviceHour._id });
+
+  notifyUser(signup.user, 'service_hours_approved', {
+    hours: serviceHour.hours,
+    serviceHourId: serviceHour._id.toString()
+  });
+
+  return serviceHour;
+};
+
+module.exports = {
+  MAX_SHIFT_HOURS,
+  validateShiftInput,
+  getShiftHours,
+  findOverlappingSignup,
+  creditShiftHours
+};
@@ -0,0 +1,163 @@
+// utils/waitlistUtils.js
+const Event = require('../models/Event');
+const EventRegistration = require('../models/EventRegistration');
+const { notifyUser } = require('./notificationUtils');
+const { getEventStartDate, formatSriLankaDateTime } = require('./eventUtils');
+const { getLimitedSelections } = require('./registrationFormUtils');
+
+const OFFER_WINDOW_HOURS = parseInt(process.env.WAITLIST_OFFER_HOURS, 10) || 24;
+const BATCH_SIZE = 50;
+
+/**
+ * Add a registration to the end of an event's waitlist
+ * @param {Object} event - Event document
+ * @param {Object} registration - EventRegistration document (unsaved or cancelled)
+ * @returns {Promise<Object>} Saved registration
+ */
+const joinWaitlist = async (event, registration) => {
+  const last = await EventRegistration.findOne({ event: event._id, status: 'waitlisted' })
+    .sort({ waitlistPosition: -1 })
+    .select('waitlistPosition');
+
+  registration.status = 'waitlisted';
+  registration.waitlistPosition = last ? last.waitlistPosition + 1 : 1;
+  registration.updatedAt = new Date();
+
+  return registration.save();
+};
+
+/**
+ * Close the gap left by a registration leaving the waitlist
+ * @param {string} eventId - Event ID
+ * @param {number} position - Position that was vacated
+ */
+const compactWaitlist = (eventId, position) => {
+  return EventRegistration.updateMany(
+    { event: eventId, status: 'waitlisted', waitlistPosition: { $gt: position } },
+    { $inc: { waitlistPosition: -1 } }
+  );
+};
+
+/**
+ * Offer a freed seat to the first person on the waitlist
+ * @param {Object} event - Event document
+ * @returns {Promise<Object|null>} Offered registration, or null if nobody was promoted
+ */
+const promoteNextFromWaitlist = async (event) => {
+  if (event.status === 'cancelled') return null;
+
+  const now = new Date();
+  const start = getEventStartDate(event);
+
+  // Offers never outlive the start of the event
+  let offerExpiresAt = new Date(now.getTime() + OFFER_WINDOW_HOURS * 60 * 60 * 1000);
+  if (start && start < offerExpiresAt) offerExpiresAt = start;
+  if (offerExpiresAt <= now) return null;
+
+  const registration = await EventRegistration.findOneAndUpdate(
+    { event: event._id, status: 'waitlisted' },
+    {
+      $set: { status: 'offered', offeredAt: now, offerExpiresAt, updatedAt: now },
+      $unset: { waitlistPosition: 1 }
+    },
+    { sort: { waitlistPosition: 1 }, new: false }
+  );
+
+  if (!registration) return null;
+
+  await compactWaitlist(event._id, registration.waitlistPosition);
+
+  await notifyUser(registration.user, 'waitlist_offer', {
+    eventTitle: event.title,
+    eventId: event._id.toString(),
+    expiresAt: formatSriLankaDateTime(offerExpiresAt)
+  });
+
+  return registration;
+};
+
+/**
+ * Hand a freed seat to the waitlist, or give it back to the event if nobody is waiting
+ * @param {Object} event - Event document
+ * @param {string} userId - User giving up the seat (removed from registeredUsers)
+ * @returns {Promise<Object|null>} Offered registration, if any
+ */
+const releaseSeat = async (event, userId) => {
+  const offered = await promoteNextFromWaitlist(event);
+
+  if (offered) {
+    // The seat stays counted and is now held for the offered user
+    if (userId) {
+      await Event.updateOne({ _id: event._id }, { $pull: { registeredUsers: userId } });
+    }
+  } else {
+    await Event.releaseSeat(event._id, userId);
+  }
+
+  return offered;
+};
+
+/**
+ * Offer seats to waitlisted users while the event has capacity (e.g. after maxAttendees is raised)
+ * @param {Object} event - Event document
+ * @returns {Promise<number>} Number of offers made
+ */
+const fillFromWaitlist = async (event) => {
+  let offers = 0;
+
+  while (true) {
+    // Claim a seat first so concurrent registrations cannot overbook
+    const claimed = await Event.reserveSeat(event._id);
+    if (!claimed) break;
+
+    const offered = await promoteNextFromWaitlist(claimed);
+    if (!offered) {
+      await Event.releaseSeat(event._id);
+      break;
+    }
+
+    offers++;
+  }
+
+  return offers;
+};
+
+/**
+ * Expire unconfirmed waitlist offers and pass the seats to the next in line
+ * @returns {Promise<number>} Number of offers expired
+ */
+const expireWaitlistOffers = async () => {
+  const now = new Date();
+  const offers = await EventRegistration.find({ status: 'offered', offerExpiresAt: { $lte: now } })
+    .select('_id event user formAnswers')
+    .limit(BATCH_SIZE);
+
+  let expired = 0;
+
+  for (const offer of offers) {
+    const updated = await EventRegistration.findOneAndUpdate(
+      { _id: offer._id, status: 'offered' },
+      { status: 'cancelled', cancelledAt: now, updatedAt: now }
+    );
+    if (!updated) continue;
+
+    expired++;
+
+    const event = await Event.findById(offer.event);
+    if (event) {
+      await Event.releaseChoices(event._id, getLimitedSelections(event.registrationForm, offer.formAnswers));
+      await releaseSeat(event);
+    }
+  }
+
+  return expired;
+};
+
+module.exports = {
+  joinWaitlist,
+  compactWaitlist,
+  promoteNextFromWaitlist,
+  releaseSeat,
+  fillFromWaitlist,
+  expireWaitlistOffers
+};